@@ -0,0 +1,283 @@
+// asciiBoard.js
+import {
+    ALLOWED_WALL_SIDES, ASCII_TILE_SIZE, ASCII_CORNER, ASCII_WALL_MARKERS, ASCII_LASER_MARKER,
+    ASCII_GATE_MARKERS, ASCII_ROBOT_MARKER, ASCII_FLOOR_SYMBOLS,
+} from './config.js';
+import { getOppositeWallSide } from './tile.js';
+
+// A tile is a 3x3 block: corners, a marker in the middle of each side and the floor in the centre.
+//
+//   +-+
+//   |>L    <- a 1x conveyor east, a west wall and a laser on the east wall (firing west)
+//   + +
+//
+// Anything the fixed symbols in config.js cannot express (express conveyors, crushers,
+// push panels, toggle walls, ...) uses a legend letter defined after the grid, separated
+// by a blank line, as `<letter> = <JSON>`. See DESIGN.md ("ASCII Board Notation").
+
+const SIDE_OFFSETS = {
+    north: { row: 0, col: 1 },
+    west: { row: 1, col: 0 },
+    east: { row: 1, col: 2 },
+    south: { row: 2, col: 1 },
+};
+const SIDE_LEGEND_TYPES = ['pusher', 'laser', 'toggleWall'];
+const RESERVED_CHARACTERS = new Set([
+    ' ', ASCII_CORNER, ASCII_LASER_MARKER, ASCII_ROBOT_MARKER,
+    ...ASCII_WALL_MARKERS, ...Object.keys(ASCII_GATE_MARKERS), ...Object.keys(ASCII_FLOOR_SYMBOLS),
+]);
+const LEGEND_KEYS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'
+    .split('').filter(key => !RESERVED_CHARACTERS.has(key));
+
+/**
+ * Splits notation text into its grid lines and legend lines, removing the
+ * indentation shared by the grid (so boards can be indented inside template literals).
+ * @param {string} text - The notation.
+ * @returns {{gridLines: string[], legendLines: string[]}}
+ */
+function splitNotation(text) {
+    const lines = text.split('\n').map(line => line.replace(/\s+$/, ''));
+    while (lines.length > 0 && lines[0] === '') lines.shift();
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+    const blankIndex = lines.indexOf('');
+    const gridLines = blankIndex === -1 ? lines : lines.slice(0, blankIndex);
+    const legendLines = blankIndex === -1 ? [] : lines.slice(blankIndex + 1).filter(line => line !== '');
+
+    const indent = Math.min(...gridLines.map(line => line.length - line.trimStart().length));
+    return { gridLines: gridLines.map(line => line.slice(indent)), legendLines };
+}
+
+/**
+ * Parses the legend lines of the notation.
+ * @param {string[]} legendLines - Lines of the form `a = {"type": "crusher", "steps": [2, 4]}`.
+ * @returns {Map<string, object>} Legend letter -> device.
+ */
+function parseLegend(legendLines) {
+    const legend = new Map();
+    legendLines.forEach(line => {
+        const match = line.trim().match(/^(\S)\s*=\s*(.+)$/);
+        if (!match) {
+            throw new Error(`Invalid legend line '${line.trim()}'. Must look like: a = {"type": "crusher", "steps": [2, 4]}`);
+        }
+        const [, key, json] = match;
+        if (RESERVED_CHARACTERS.has(key)) {
+            throw new Error(`Legend key '${key}' is a built-in symbol. Must be another character.`);
+        }
+        if (legend.has(key)) {
+            throw new Error(`Legend key '${key}' is defined more than once.`);
+        }
+        let device;
+        try {
+            device = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Legend entry '${key}' is not valid JSON: ${error.message}`);
+        }
+        if (!device || typeof device.type !== 'string') {
+            throw new Error(`Legend entry '${key}' is missing a 'type'.`);
+        }
+        legend.set(key, device);
+    });
+    return legend;
+}
+
+/**
+ * Works out the floor device drawn with a character.
+ * @param {string} symbol - The centre character of a tile.
+ * @param {Map<string, object>} legend - The parsed legend.
+ * @param {number} r - Row index, for error messages.
+ * @param {number} c - Column index, for error messages.
+ * @returns {object} A copy of the floor device.
+ */
+function parseFloorSymbol(symbol, legend, r, c) {
+    if (ASCII_FLOOR_SYMBOLS[symbol]) {
+        return { ...ASCII_FLOOR_SYMBOLS[symbol] };
+    }
+    if (/^[1-9]$/.test(symbol)) {
+        return { type: 'checkpoint', order: Number(symbol) };
+    }
+    const device = legend.get(symbol);
+    if (!device) {
+        throw new Error(`Unknown floor symbol '${symbol}' at (${r}, ${c}). Must be a built-in symbol or a legend key.`);
+    }
+    if (SIDE_LEGEND_TYPES.includes(device.type)) {
+        throw new Error(`Legend entry '${symbol}' at (${r}, ${c}) is a ${device.type}, which must be placed on a tile side.`);
+    }
+    return { ...device };
+}
+
+/**
+ * Adds whatever a side marker stands for to a tile definition.
+ * @param {object} tileDef - The tile definition being built.
+ * @param {string} marker - The character in the middle of the side.
+ * @param {'north' | 'south' | 'east' | 'west'} side - Which side the marker is on.
+ * @param {Map<string, object>} legend - The parsed legend.
+ * @param {number} r - Row index, for error messages.
+ * @param {number} c - Column index, for error messages.
+ */
+function applySideMarker(tileDef, marker, side, legend, r, c) {
+    if (marker === ' ') {
+        return;
+    }
+    if (ASCII_WALL_MARKERS.has(marker)) {
+        tileDef.walls.push(side);
+        return;
+    }
+    if (ASCII_GATE_MARKERS[marker]) {
+        tileDef.gates.push({ side, direction: ASCII_GATE_MARKERS[marker] });
+        return;
+    }
+    if (marker === ASCII_LASER_MARKER) {
+        tileDef.walls.push(side);
+        tileDef.wallDevices.push({ type: 'laser', direction: getOppositeWallSide(side) });
+        return;
+    }
+    const device = legend.get(marker);
+    if (!device) {
+        throw new Error(`Unknown ${side} side marker '${marker}' at (${r}, ${c}). Must be a wall, gate, laser or legend key.`);
+    }
+    if (device.type === 'toggleWall') {
+        tileDef.toggleWalls.push({ side, steps: device.steps });
+    } else if (device.type === 'pusher' || device.type === 'laser') {
+        // Wall devices fire away from the wall they are mounted on
+        tileDef.walls.push(side);
+        const { type, ...settings } = device;
+        tileDef.wallDevices.push({ type, direction: getOppositeWallSide(side), ...settings });
+    } else {
+        throw new Error(`Legend entry '${marker}' at (${r}, ${c}) is a ${device.type}, which must be placed on the floor.`);
+    }
+}
+
+/**
+ * Parses the ASCII board notation into a board definition for the `Board` constructor.
+ * @param {string} text - The notation: a grid of 3x3 tile blocks, optionally followed by a blank line and a legend.
+ * @returns {object[][]} 2D array of tile definitions {floorDevice, walls, wallDevices, toggleWalls, gates}.
+ */
+export function parseAsciiBoard(text) {
+    const { gridLines, legendLines } = splitNotation(text);
+    if (gridLines.length === 0 || gridLines.length % ASCII_TILE_SIZE !== 0) {
+        throw new Error(`ASCII board has ${gridLines.length} grid lines. Must be a multiple of ${ASCII_TILE_SIZE} (one block per tile).`);
+    }
+    const width = Math.max(...gridLines.map(line => line.length));
+    if (width % ASCII_TILE_SIZE !== 0) {
+        throw new Error(`ASCII board is ${width} characters wide. Must be a multiple of ${ASCII_TILE_SIZE} (one block per tile).`);
+    }
+    // Trailing spaces are often trimmed by editors, so short lines are padded back out
+    const grid = gridLines.map(line => line.padEnd(width, ' '));
+    const legend = parseLegend(legendLines);
+
+    const definition = [];
+    for (let r = 0; r < grid.length / ASCII_TILE_SIZE; r++) {
+        const row = [];
+        for (let c = 0; c < width / ASCII_TILE_SIZE; c++) {
+            const top = r * ASCII_TILE_SIZE;
+            const left = c * ASCII_TILE_SIZE;
+            const tileDef = {
+                floorDevice: parseFloorSymbol(grid[top + 1][left + 1], legend, r, c),
+                walls: [],
+                wallDevices: [],
+                toggleWalls: [],
+                gates: [],
+            };
+            ALLOWED_WALL_SIDES.forEach(side => {
+                const offset = SIDE_OFFSETS[side];
+                applySideMarker(tileDef, grid[top + offset.row][left + offset.col], side, legend, r, c);
+            });
+            row.push(tileDef);
+        }
+        definition.push(row);
+    }
+    return definition;
+}
+
+/**
+ * Finds the built-in floor symbol for a device, if it has one.
+ * @param {object} floorDevice - A floor device from Board.toJSON().
+ * @returns {string | null} The symbol, or null if the device needs a legend entry.
+ */
+function getFloorSymbol(floorDevice) {
+    if (floorDevice.type === 'checkpoint' && Number.isInteger(floorDevice.order) &&
+        floorDevice.order >= 1 && floorDevice.order <= 9 && Object.keys(floorDevice).length === 2) {
+        return String(floorDevice.order);
+    }
+    const keys = Object.keys(floorDevice);
+    const symbol = Object.keys(ASCII_FLOOR_SYMBOLS).find(key => {
+        const builtIn = ASCII_FLOOR_SYMBOLS[key];
+        return Object.keys(builtIn).length === keys.length && keys.every(name => builtIn[name] === floorDevice[name]);
+    });
+    return symbol || null;
+}
+
+/**
+ * Prints a board in the ASCII board notation.
+ * Robots, if given, are drawn as `@` over the floor of their tile. That output is
+ * for diagnostics (e.g. test failures) and no longer parses back into the board.
+ * @param {Board} board - The board to print.
+ * @param {{row: number, col: number}[]} [robots=[]] - Robots to mark on the board.
+ * @returns {string} The notation, with a legend for devices that have no built-in symbol.
+ */
+export function printAsciiBoard(board, robots = []) {
+    const legend = new Map(); // JSON of the device -> legend key
+    const legendKeyFor = (device, r, c) => {
+        const json = JSON.stringify(device);
+        if (!legend.has(json)) {
+            if (legend.size === LEGEND_KEYS.length) {
+                throw new Error(`Board at (${r}, ${c}) needs more than ${LEGEND_KEYS.length} legend entries to print.`);
+            }
+            legend.set(json, LEGEND_KEYS[legend.size]);
+        }
+        return legend.get(json);
+    };
+
+    const sideMarker = (tileDef, side, r, c) => {
+        const hasWall = tileDef.walls.includes(side);
+        const features = [
+            ...tileDef.wallDevices.filter(device => device.direction === getOppositeWallSide(side)),
+            ...tileDef.toggleWalls.filter(toggleWall => toggleWall.side === side),
+            ...tileDef.gates.filter(gate => gate.side === side),
+        ];
+        // Wall devices sit on a permanent wall; toggle walls and gates replace it
+        const isWallDevice = features.length === 1 && features[0].type !== undefined;
+        if (features.length > 1 || (features.length === 1 && hasWall !== isWallDevice)) {
+            throw new Error(`Tile at (${r}, ${c}) has more on its ${side} side than one marker can show.`);
+        }
+        if (features.length === 0) {
+            if (!hasWall) return ' ';
+            return side === 'north' || side === 'south' ? '-' : '|';
+        }
+        const feature = features[0];
+        if (feature.type === 'laser' && Object.keys(feature).length === 2) {
+            return ASCII_LASER_MARKER;
+        }
+        if (feature.type) {
+            const { direction, ...device } = feature;
+            return legendKeyFor(device, r, c);
+        }
+        if (feature.steps) {
+            return legendKeyFor({ type: 'toggleWall', steps: feature.steps }, r, c);
+        }
+        return Object.keys(ASCII_GATE_MARKERS).find(key => ASCII_GATE_MARKERS[key] === feature.direction);
+    };
+
+    const { definition } = board.toJSON();
+    const lines = [];
+    definition.forEach((rowDefs, r) => {
+        const block = ['', '', ''];
+        rowDefs.forEach((tileDef, c) => {
+            let floor = getFloorSymbol(tileDef.floorDevice) || legendKeyFor(tileDef.floorDevice, r, c);
+            if (robots.some(robot => robot.row === r && robot.col === c)) {
+                floor = ASCII_ROBOT_MARKER;
+            }
+            block[0] += ASCII_CORNER + sideMarker(tileDef, 'north', r, c) + ASCII_CORNER;
+            block[1] += sideMarker(tileDef, 'west', r, c) + floor + sideMarker(tileDef, 'east', r, c);
+            block[2] += ASCII_CORNER + sideMarker(tileDef, 'south', r, c) + ASCII_CORNER;
+        });
+        lines.push(...block);
+    });
+
+    if (legend.size > 0) {
+        lines.push('');
+        legend.forEach((key, json) => lines.push(`${key} = ${json}`));
+    }
+    return lines.join('\n');
+}
@@ -1,7 +1,33 @@
 // board.js
 import * as Logger from './logger.js';
-import { ALLOWED_WALL_SIDES, TILE_SYMBOLS } from './config.js'; // Import for validation and laser constants
-import { Tile, getOppositeWallSide } from './tile.js';
+import { ALLOWED_WALL_SIDES, TILE_SYMBOLS, TURN_LEFT, TURN_RIGHT } from './config.js'; // Import for validation and laser constants
+import { Tile, getOppositeWallSide, getNeighbour } from './tile.js';
+
+/**
+ * Copies a device, turning its `steps` Set into a sorted array so it survives JSON.
+ * @param {object} device - A floor device, wall device or toggle wall.
+ * @returns {object} The JSON-friendly copy.
+ */
+function stepsToArray(device) {
+    const copy = { ...device };
+    if (copy.steps instanceof Set) {
+        copy.steps = Array.from(copy.steps).sort((a, b) => a - b);
+    }
+    return copy;
+}
+
+/**
+ * Copies a device, turning a JSON-friendly `steps` array into the Set the tiles use.
+ * Devices without an array are returned unchanged.
+ * @param {object} device - A floor device, wall device or toggle wall.
+ * @returns {object} The device with its steps as a Set.
+ */
+function stepsToSet(device) {
+    if (!device || !Array.isArray(device.steps)) {
+        return device;
+    }
+    return { ...device, steps: new Set(device.steps) };
+}
 
 export class Board {
     /**
@@ -12,16 +38,24 @@ export class Board {
     /**
      * Creates a new Board instance from a board definition.
      * Parses the raw board definition into a grid of Tile objects, validating tile properties.
+     * Any `steps` schedule may be given as an array (as in JSON board files) or a Set.
      * @param {object[][]} boardDefinition - 2D array of tile objects {type, walls}.
+     * @param {object} [options={}] - Board-wide rules.
+     * @param {boolean} [options.edgesArePits=false] - Treat board edges without a wall as pits, so robots moved off them lose a life.
      */
-    constructor(boardDefinition) {
+    constructor(boardDefinition, options = {}) {
         if (!boardDefinition || boardDefinition.length === 0 || !boardDefinition[0] || boardDefinition[0].length === 0) {
             throw new Error("Board definition is empty or invalid.");
         }
         this.rows = boardDefinition.length;
         this.cols = boardDefinition[0].length;
+        this.edgesArePits = Boolean(options.edgesArePits);
+        this.currentProgramStep = null; // Program step being resolved; toggle walls read it
+        this.eventSink = () => {}; // Where notify() sends events: the game's bus, or a simulation's recorder
         this.flags = [];
         this.tiles = [];
+        this.teleporterLinks = new Map(); // 'row-col' -> {row, col} of the linked teleporter
+        const teleportersByPair = new Map();
 
         Logger.log(`Parsing ${this.rows}x${this.cols} object board definition...`);
 
@@ -32,7 +66,7 @@ export class Board {
             const rowTiles = [];
             for (let c = 0; c < this.cols; c++) {
                 const tileDef = boardDefinition[r][c];
-                const floorDevice = tileDef.floorDevice || { type: 'none' };
+                const floorDevice = stepsToSet(tileDef.floorDevice || { type: 'none' });
 
                 if (!floorDevice.type) {
                     throw new Error(`Tile at (${r}, ${c}) is missing floorDevice type.`);
@@ -50,6 +84,16 @@ export class Board {
                     if (floorDevice.speed !== 1 && floorDevice.speed !== 2) {
                         throw new Error(`Invalid conveyor speed '${floorDevice.speed}' at (${r}, ${c}). Must be 1 or 2.`);
                     }
+                    if (floorDevice.turn !== undefined && floorDevice.turn !== TURN_LEFT && floorDevice.turn !== TURN_RIGHT) {
+                        throw new Error(`Invalid conveyor turn '${floorDevice.turn}' at (${r}, ${c}). Must be '${TURN_LEFT}' or '${TURN_RIGHT}'.`);
+                    }
+                    if (floorDevice.entries !== undefined) {
+                        if (!Array.isArray(floorDevice.entries) || floorDevice.entries.length === 0 ||
+                            floorDevice.entries.some(side => !ALLOWED_WALL_SIDES.includes(side) || side === floorDevice.direction) ||
+                            new Set(floorDevice.entries).size !== floorDevice.entries.length) {
+                            throw new Error(`Invalid conveyor entries at (${r}, ${c}). Must be distinct sides other than the exit direction '${floorDevice.direction}'.`);
+                        }
+                    }
                 }
 
                 if (floorDevice.type === 'checkpoint') {
@@ -58,7 +102,26 @@ export class Board {
                     }
                 }
 
-                const tileData = new Tile(floorDevice, r, c, tileDef.walls, tileDef.wallDevices);
+                if (floorDevice.type === 'crusher') {
+                    if (!(floorDevice.steps instanceof Set) || floorDevice.steps.size === 0) {
+                        throw new Error(`Crusher at (${r}, ${c}) has no activation steps defined (e.g., steps: new Set([2, 4])).`);
+                    }
+                    if (floorDevice.damage !== undefined && (!Number.isInteger(floorDevice.damage) || floorDevice.damage < 1)) {
+                        throw new Error(`Invalid crusher damage '${floorDevice.damage}' at (${r}, ${c}). Must be a positive integer.`);
+                    }
+                }
+                if (floorDevice.type === 'teleporter') {
+                    if (floorDevice.pairId === undefined || floorDevice.pairId === null || floorDevice.pairId === '') {
+                        throw new Error(`Teleporter at (${r}, ${c}) is missing a 'pairId' linking it to its partner.`);
+                    }
+                    if (!teleportersByPair.has(floorDevice.pairId)) {
+                        teleportersByPair.set(floorDevice.pairId, []);
+                    }
+                    teleportersByPair.get(floorDevice.pairId).push({ row: r, col: c });
+                }
+
+                const tileData = new Tile(floorDevice, r, c, tileDef.walls,
+                    (tileDef.wallDevices || []).map(stepsToSet), (tileDef.toggleWalls || []).map(stepsToSet), tileDef.gates);
                 rowTiles.push(tileData);
 
                 if (tileData.floorDevice.type === 'repair-station' || tileData.floorDevice.type === 'checkpoint') {
@@ -68,14 +131,79 @@ export class Board {
             this.tiles.push(rowTiles);
         }
 
+        this.validateConveyorEntries();
+        teleportersByPair.forEach((ends, pairId) => {
+            if (ends.length !== 2) {
+                throw new Error(`Teleporter pair '${pairId}' has ${ends.length} tile(s). Each pair must link exactly 2 tiles.`);
+            }
+            this.teleporterLinks.set(`${ends[0].row}-${ends[0].col}`, ends[1]);
+            this.teleporterLinks.set(`${ends[1].row}-${ends[1].col}`, ends[0]);
+        });
+
         // Sort flags by order and count total checkpoints
         this.flags.sort((a, b) => a.order - b.order);
         this.totalCheckpoints = this.flags.filter(flag => flag.type === 'checkpoint').length;
 
         Logger.log(`Parsed board. Found ${this.flags.length} flags.`);
         Logger.log(`Total checkpoints: ${this.totalCheckpoints}`);
-        // Note: Wall consistency (east wall of A matching west wall of B) is assumed
-        // to be handled correctly in the definition for now.
+        // Note: Wall consistency (east wall of A matching west wall of B) is not checked
+        // here; checkWallSymmetry in boardLint.js reports mismatches.
+    }
+
+    /**
+     * Checks that every side listed in a conveyor's `entries` is fed by a neighbouring
+     * conveyor pointing into that tile, so merges and curves are drawn where belts really join.
+     */
+    validateConveyorEntries() {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                const floorDevice = this.tiles[r][c].floorDevice;
+                if (floorDevice.type !== 'conveyor' || !floorDevice.entries) continue;
+
+                floorDevice.entries.forEach(side => {
+                    const { targetRow, targetCol, success } = this.getMoveTarget(r, c, side);
+                    const feeder = success ? this.getTileData(targetRow, targetCol).floorDevice : null;
+                    if (!feeder || feeder.type !== 'conveyor' || feeder.direction !== getOppositeWallSide(side)) {
+                        throw new Error(`Conveyor at (${r}, ${c}) lists a ${side} entry, but no conveyor feeds in from that side.`);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Converts the board back into a JSON-serializable definition, with every
+     * `steps` Set stored as an array.
+     * @returns {{definition: object[][], options: {edgesArePits: boolean}}}
+     */
+    toJSON() {
+        const definition = this.tiles.map(rowTiles => rowTiles.map(tile => ({
+            floorDevice: stepsToArray(tile.floorDevice),
+            walls: [...tile.walls],
+            wallDevices: tile.wallDevices.map(stepsToArray),
+            toggleWalls: tile.toggleWalls.map(stepsToArray),
+            gates: tile.gates.map(gate => ({ ...gate })),
+        })));
+        return { definition, options: { edgesArePits: this.edgesArePits } };
+    }
+
+    /**
+     * Creates a board from the output of toJSON().
+     * @param {{definition: object[][], options?: object}} json - The saved board.
+     * @returns {Board} The restored board.
+     */
+    static fromJSON(json) {
+        return new Board(json.definition, json.options || {});
+    }
+
+    /**
+     * Gets the tile linked to a teleporter.
+     * @param {number} r - Row of the teleporter.
+     * @param {number} c - Column of the teleporter.
+     * @returns {{row: number, col: number}|null} The linked teleporter, or null if the tile is not a teleporter.
+     */
+    getTeleporterDestination(r, c) {
+        return this.teleporterLinks.get(`${r}-${c}`) || null;
     }
 
     /**
@@ -116,36 +244,132 @@ export class Board {
         // on the definition being perfectly symmetrical. Let's stick to the simpler check for now.
     }
 
+    /**
+     * Sets where the events reported for this board go: the game's EventBus, or a simulation's action log.
+     * Until then they are dropped.
+     * @param {Function} sink - Called with (eventName, data).
+     */
+    setEventSink(sink) {
+        this.eventSink = sink;
+    }
+
+    /**
+     * Reports a game event that is not about a single robot's state (program steps,
+     * checkpoints, the end of the game) through the board's event sink.
+     * @param {string} eventName - The name of the event.
+     * @param {object} data - The event payload.
+     */
+    notify(eventName, data) {
+        this.eventSink(eventName, data);
+    }
+
+    /**
+     * Sets the program step being resolved, which decides whether toggle walls are closed.
+     * @param {number|null} step - The 1-based program step, or null between turns.
+     */
+    setProgramStep(step) {
+        if (this.currentProgramStep === step) return;
+        this.currentProgramStep = step;
+        this.notify('programStepChanged', { step });
+    }
+
+    /**
+     * Checks if leaving a tile in a direction is stopped by a closed wall or a one-way gate,
+     * on either the side being left or the neighbouring tile's side being entered.
+     * @param {number} r - Row of the tile being left.
+     * @param {number} c - Column of the tile being left.
+     * @param {'north' | 'south' | 'east' | 'west'} direction - Direction of travel.
+     * @returns {boolean} True if the crossing is blocked at the current program step.
+     */
+    isCrossingBlocked(r, c, direction) {
+        const tileData = this.getTileData(r, c);
+        if (tileData && tileData.blocksCrossing(direction, direction, this.currentProgramStep)) {
+            return true;
+        }
+        const next = getNeighbour(r, c, direction);
+        const nextTileData = this.getTileData(next.row, next.col);
+        return Boolean(nextTileData) &&
+            nextTileData.blocksCrossing(getOppositeWallSide(direction), direction, this.currentProgramStep);
+    }
+
+    /**
+     * Determines where a single-tile move from a tile in a given direction would land,
+     * considering board boundaries and the walls and gates on both the exit and entry sides
+     * as they stand at the current program step.
+     * @param {number} r - Row of the tile being left.
+     * @param {number} c - Column of the tile being left.
+     * @param {'north' | 'south' | 'east' | 'west'} direction - Direction of travel.
+     * @returns {{targetRow: number, targetCol: number, success: boolean, blockedByWall: boolean, fellOffBoard: boolean}}
+     *   On a wall block the target is the starting tile; on a boundary block it is the off-board tile.
+     *   When edges are pits, leaving through an open edge is not a success but sets fellOffBoard.
+     */
+    getMoveTarget(r, c, direction) {
+        if (!ALLOWED_WALL_SIDES.includes(direction)) {
+            throw new Error(`Invalid move direction: ${direction}. Must be one of ${ALLOWED_WALL_SIDES.join(', ')}.`);
+        }
+        const { row: targetRow, col: targetCol } = getNeighbour(r, c, direction);
+
+        if (!this.getTileData(targetRow, targetCol)) {
+            const fellOffBoard = this.edgesArePits && !this.isCrossingBlocked(r, c, direction);
+            return { targetRow, targetCol, success: false, blockedByWall: false, fellOffBoard };
+        }
+
+        if (this.isCrossingBlocked(r, c, direction)) {
+            return { targetRow: r, targetCol: c, success: false, blockedByWall: true, fellOffBoard: false };
+        }
+
+        return { targetRow, targetCol, success: true, blockedByWall: false, fellOffBoard: false };
+    }
+
+    /**
+     * Takes a life from a robot that fell into a hole or off the board and returns it
+     * to its last visited station. Positioning when no station was visited is left to the game loop.
+     * @param {Robot} robot - The falling robot.
+     * @returns {{gameEnded: boolean, fellInHole: boolean}} gameEnded is true if the robot has no lives left.
+     */
+    applyFall(robot) {
+        const gameEnded = robot.loseLife(); // Robot loses a life and respawns or game ends
+
+        if (!gameEnded) { // If game didn't end, robot respawned
+            const lastKey = robot.getRobotState().lastVisitedStationKey;
+            if (lastKey) {
+                Logger.log(`   Returning to last visited station: ${lastKey}`);
+                const [lastR, lastC] = lastKey.split('-').map(Number);
+                if (this.getTileData(lastR, lastC)) {
+                    robot.setPosition(lastR, lastC);
+                } else {
+                    Logger.error(`   Last visited station key ${lastKey} points to an invalid tile! Cannot return.`);
+                }
+            } else {
+                Logger.error("   Fell, but no last visited repair station recorded! Cannot return.");
+            }
+        }
+        return { gameEnded, fellInHole: true };
+    }
+
     /**
      * Calculates the path of a laser beam from a given start tile and direction.
-     * The path stops at the first wall or board boundary encountered.
+     * The path stops at the first closed wall, opposing gate, board boundary or blocker encountered.
      * @param {number} startR - Starting row of the laser tile.
      * @param {number} startC - Starting column of the laser tile.
      * @param {'north' | 'south' | 'east' | 'west'} laserDirection - The direction the laser fires.
+     * @param {Array<{row: number, col: number}>} [blockers] - Positions that stop the beam (e.g. robots). A blocker's tile is included as the last path entry.
      * @returns {Array<{row: number, col: number}>} An array of coordinates representing the laser path (excluding the laser tile itself).
      */
-    getLaserPath(startR, startC, laserDirection, robotState = null) {
+    getLaserPath(startR, startC, laserDirection, blockers = []) {
         const path = [];
         let currentR = startR;
         let currentC = startC;
 
-        let dr = 0, dc = 0;
-        let exitWallSide = '';
-        let entryWallSide = '';
-
-        switch (laserDirection) {
-            case 'north': dr = -1; exitWallSide = 'north'; entryWallSide = 'south'; break;
-            case 'south': dr = 1;  exitWallSide = 'south'; entryWallSide = 'north'; break;
-            case 'east':  dc = 1;  exitWallSide = 'east';  entryWallSide = 'west';  break;
-            case 'west':  dc = -1; exitWallSide = 'west';  entryWallSide = 'east';  break;
-            default:
-                Logger.warn(`Invalid laser direction: ${laserDirection}. Cannot calculate path.`);
-                return path; // Return empty path for invalid direction
+        if (!ALLOWED_WALL_SIDES.includes(laserDirection)) {
+            Logger.warn(`Invalid laser direction: ${laserDirection}. Cannot calculate path.`);
+            return path; // Return empty path for invalid direction
         }
+        const exitWallSide = laserDirection;
+        const entryWallSide = getOppositeWallSide(laserDirection);
 
         // Start checking from the tile *adjacent* to the laser emitter
-        let nextR = startR + dr;
-        let nextC = startC + dc;
+        let { row: nextR, col: nextC } = getNeighbour(startR, startC, laserDirection);
 
         while (true) {
             // Check boundaries for the *next* tile
@@ -153,15 +377,9 @@ export class Board {
                 break; // Out of bounds, path ends
             }
 
-            // Check for robot in the next tile
-            if (robotState && nextR === robotState.row && nextC === robotState.col) {
-                path.push({ row: nextR, col: nextC }); // Include the robot's tile
-                break; // Laser hit the robot
-            }
-
             // Check for a wall on the *current* tile (from which the laser is exiting)
             // This is the wall on the emitter tile for the first step, or the previous path tile for subsequent steps.
-            if (this.getTileData(currentR, currentC).hasWall(exitWallSide)) {
+            if (this.getTileData(currentR, currentC).blocksCrossing(exitWallSide, laserDirection, this.currentProgramStep)) {
                 // If the current tile (or emitter) has a wall blocking exit, the laser stops *before* entering nextR, nextC
                 // For the emitter tile, we assume the laser successfully exits.
                 if (!(currentR === startR && currentC === startC)) { // Don't block on the emitter's own wall
@@ -170,60 +388,146 @@ export class Board {
             }
 
             // Laser hit a wall on the next tile's entry side, so it stops *before* entering this tile.
-            if (this.getTileData(nextR, nextC).hasWall(entryWallSide)) {
+            if (this.getTileData(nextR, nextC).blocksCrossing(entryWallSide, laserDirection, this.currentProgramStep)) {
                 break;
             }
 
             path.push({ row: nextR, col: nextC });
 
+            // A blocker absorbs the beam on its own tile
+            if (blockers.some(blocker => blocker.row === nextR && blocker.col === nextC)) {
+                break;
+            }
+
             currentR = nextR;
             currentC = nextC;
-            nextR += dr;
-            nextC += dc;
+            ({ row: nextR, col: nextC } = getNeighbour(currentR, currentC, laserDirection));
         }
 
         return path;
     }
 
     /**
-     * Applies damage to the robot if it is in the path of any laser on the board.
-     * @param {Robot} robot - The robot instance.
-     * @param {Function} sleep - The sleep utility function from gameLoop.js.
-     * @returns {Promise<boolean>} True if the game ended due to laser damage, false otherwise.
+     * Finds the robot hit by the laser mounted on the given tile, if any.
+     * A robot standing on the emitter tile is hit first; otherwise the beam hits
+     * the first robot along its path.
+     * @param {number} r - Row of the laser tile.
+     * @param {number} c - Column of the laser tile.
+     * @param {'north' | 'south' | 'east' | 'west'} laserDirection - The direction the laser fires.
+     * @param {Robot[]} robots - Robots still on the board.
+     * @returns {Robot|null} The robot hit, or null if the beam hits nothing.
+     */
+    findLaserTarget(r, c, laserDirection, robots) {
+        const robotAt = (row, col) => robots.find(robot => robot.row === row && robot.col === col) || null;
+
+        const robotOnEmitter = robotAt(r, c);
+        if (robotOnEmitter) {
+            return robotOnEmitter;
+        }
+
+        const laserPath = this.getLaserPath(r, c, laserDirection, robots.map(robot => robot.getRobotState()));
+        if (laserPath.length === 0) {
+            return null;
+        }
+        const lastTile = laserPath[laserPath.length - 1];
+        return robotAt(lastTile.row, lastTile.col);
+    }
+
+    /**
+     * Calculates the path of a robot's forward-facing laser.
+     * Unlike a wall-mounted emitter, the beam is stopped by a wall on the front of the robot's own tile.
+     * @param {{row: number, col: number, orientation: string}} robotState - The firing robot.
+     * @param {{row: number, col: number}[]} [blockers=[]] - Positions that absorb the beam, e.g. other robots.
+     * @returns {{row: number, col: number}[]} The tiles the beam crosses, ending on the tile where it stops.
      */
-    async applyLasers(robot, sleep) {
+    getRobotLaserPath(robotState, blockers = []) {
+        const { row, col, orientation } = robotState;
+        if (this.getTileData(row, col).blocksCrossing(orientation, orientation, this.currentProgramStep)) {
+            return [];
+        }
+        return this.getLaserPath(row, col, orientation, blockers);
+    }
+
+    /**
+     * Finds the robot hit by another robot's forward laser, if any.
+     * @param {Robot} shooter - The robot firing.
+     * @param {Robot[]} robots - Robots still on the board.
+     * @returns {Robot|null} The first robot in line, or null if the beam hits nothing.
+     */
+    findRobotLaserTarget(shooter, robots) {
+        const others = robots.filter(robot => robot !== shooter);
+        const laserPath = this.getRobotLaserPath(shooter.getRobotState(), others.map(robot => robot.getRobotState()));
+        if (laserPath.length === 0) {
+            return null;
+        }
+        const lastTile = laserPath[laserPath.length - 1];
+        return others.find(robot => robot.row === lastTile.row && robot.col === lastTile.col) || null;
+    }
+
+    /**
+     * Fires every robot's forward laser. All robots fire at once, so targets are chosen
+     * before any damage is dealt. Powered down and destroyed robots do not fire.
+     * Each hit is reported as 'laserHit', naming the shooter.
+     * @param {Robot[]} robots - The robots on the board.
+     * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+     * @returns {boolean} True if every robot has been destroyed, false otherwise.
+     */
+    applyRobotLasers(robots, pause) {
+        Logger.log("   Checking for robot laser fire...");
+        const activeRobots = robots.filter(robot => !robot.isDestroyed());
+        const hits = activeRobots
+            .filter(shooter => !shooter.getIsPoweredDown())
+            .map(shooter => ({ shooter, target: this.findRobotLaserTarget(shooter, activeRobots) }))
+            .filter(hit => hit.target);
+
+        for (const { shooter, target } of hits) {
+            Logger.log(`   Robot ${target.id} hit by ${shooter.id}'s laser firing ${shooter.orientation}!`);
+            this.notify('laserHit', {
+                robotId: target.id, source: 'robot', shooterId: shooter.id,
+                row: shooter.row, col: shooter.col, direction: shooter.orientation, damage: 1,
+            });
+            target.takeDamage();
+            pause(300); // Small delay for visual feedback of damage
+        }
+        return robots.every(robot => robot.isDestroyed());
+    }
+
+    /**
+     * Applies damage to every robot standing in the path of a laser on the board.
+     * Each laser deals its strength in damage and only fires on its scheduled steps.
+     * Destroyed robots are neither hit nor block beams. Each hit is reported as 'laserHit',
+     * naming the emitter's tile.
+     * @param {Robot[]} robots - The robots on the board.
+     * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+     * @param {number} currentProgramStep - The current step number of the program execution.
+     * @returns {boolean} True if every robot has been destroyed, false otherwise.
+     */
+    applyLasers(robots, pause, currentProgramStep) {
         Logger.log("   Checking for laser fire...");
-        let gameEnded = false;
 
         // Iterate through all tiles to find lasers
         for (let r = 0; r < this.rows; r++) {
             for (let c = 0; c < this.cols; c++) {
                 const tile = this.getTileData(r, c);
-                const laserDevice = tile ? tile.getWallDevice('laser') : null;
-                if (laserDevice) {
-                    // Check if robot is on the laser emitter tile itself
-                    const robotOnEmitter = (robot.row === r && robot.col === c);
-
-                    const laserPath = this.getLaserPath(r, c, laserDevice.direction, robot.getRobotState());
-                    // Check if robot is on any tile in the laser's path
-                    const robotInLaserPath = laserPath.some(
-                        pathTile => pathTile.row === robot.row && pathTile.col === robot.col
-                    );
-
-                    if (robotOnEmitter || robotInLaserPath) {
-                        Logger.log(`   Robot hit by laser from (${r},${c}) firing ${laserDevice.direction}!`);
-                        Logger.log(`   Robot health BEFORE damage: ${robot.getRobotState().health}`);
-                        robot.takeDamage();
-                        Logger.log(`   Robot health AFTER damage: ${robot.getRobotState().health}`);
-                        await sleep(300); // Small delay for visual feedback of damage
-                        if (robot.isDestroyed()) {
-                            gameEnded = true;
-                            return true;
-                        }
-                    }
+                const laserDevice = tile ? tile.getActiveLaser(currentProgramStep) : null;
+                if (!laserDevice) continue;
+
+                const activeRobots = robots.filter(robot => !robot.isDestroyed());
+                const target = this.findLaserTarget(r, c, laserDevice.direction, activeRobots);
+                if (target) {
+                    Logger.log(`   Robot ${target.id} hit by laser from (${r},${c}) firing ${laserDevice.direction}!`);
+                    Logger.log(`   Robot health BEFORE damage: ${target.getRobotState().health}`);
+                    const damage = laserDevice.strength || 1;
+                    this.notify('laserHit', {
+                        robotId: target.id, source: 'board', shooterId: null,
+                        row: r, col: c, direction: laserDevice.direction, damage,
+                    });
+                    target.takeDamage(damage);
+                    Logger.log(`   Robot health AFTER damage: ${target.getRobotState().health}`);
+                    pause(300); // Small delay for visual feedback of damage
                 }
             }
         }
-        return gameEnded;
+        return robots.every(robot => robot.isDestroyed());
     }
 }
\ No newline at end of file
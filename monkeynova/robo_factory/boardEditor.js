@@ -0,0 +1,421 @@
+// boardEditor.js
+import { ALLOWED_WALL_SIDES, PROGRAM_SIZE, EDITOR_MAX_BOARD_SIZE, orientations } from './config.js';
+import { Board } from './board.js';
+import { getOppositeWallSide, getNeighbour } from './tile.js';
+import { parseBoardFile, createBoardFile, createEmptyBoardDefinition } from './boardLoader.js';
+import { lintBoard } from './boardLint.js';
+import * as Logger from './logger.js';
+
+/**
+ * Parses a step schedule typed by the user, e.g. "1, 3, 5".
+ * @param {string} text - Comma or space separated program steps.
+ * @returns {number[]} The distinct steps in ascending order (empty for blank text).
+ */
+export function parseSteps(text) {
+    const parts = String(text).split(/[\s,]+/).filter(part => part !== '');
+    const steps = parts.map(Number);
+    if (steps.some(step => !Number.isInteger(step) || step < 1 || step > PROGRAM_SIZE)) {
+        throw new Error(`Invalid steps '${text}'. Must be program steps from 1 to ${PROGRAM_SIZE}, e.g. "1, 3, 5".`);
+    }
+    return Array.from(new Set(steps)).sort((a, b) => a - b);
+}
+
+/**
+ * Holds a board definition being edited. Every edit is checked by building a `Board`
+ * from the definition; the result is announced with 'editorBoardChanged' so the view
+ * can redraw the board or show why it is invalid.
+ */
+export class BoardEditor {
+    /**
+     * @param {object[][]} definition - Board definition to start from (steps as arrays or Sets).
+     * @param {object} [metadata={}] - Board file metadata.
+     * @param {string} [metadata.name] - Board name.
+     * @param {string} [metadata.author] - Board author.
+     * @param {string} [metadata.description] - Board description.
+     * @param {{row: number, col: number, orientation: string}[]} [metadata.starts] - Robot start positions.
+     * @param {object} [metadata.rules] - Board-wide rules, as in board files.
+     */
+    constructor(definition, metadata = {}) {
+        this.board = null; // Last definition that built a valid Board
+        this.error = null; // Why the current definition is invalid, or null
+        this.issues = []; // Lint report for the current board (see boardLint.js)
+        this.eventSink = () => {}; // Where 'editorBoardChanged' goes: the editor page's EventBus
+        this.reset(definition, metadata);
+        this.validate();
+    }
+
+    /**
+     * Replaces the whole board being edited, without validating.
+     * @param {object[][]} definition - Board definition (steps as arrays or Sets).
+     * @param {object} metadata - Board file metadata, as for the constructor.
+     */
+    reset(definition, metadata) {
+        // Round-trip through Board.toJSON() so steps are arrays and every list exists
+        const rules = metadata.rules || {};
+        this.definition = new Board(definition, rules).toJSON().definition;
+        this.name = metadata.name || 'Untitled Board';
+        this.author = metadata.author || '';
+        this.description = metadata.description || '';
+        this.rules = { ...rules };
+        this.starts = (metadata.starts || [{ row: this.definition.length - 1, col: 0, orientation: 'north' }])
+            .map(start => ({ ...start }));
+    }
+
+    /**
+     * Creates an editor for an empty walled board.
+     * @param {number} rows - Number of rows.
+     * @param {number} cols - Number of columns.
+     * @returns {BoardEditor} The editor.
+     */
+    static createEmpty(rows, cols) {
+        return new BoardEditor(createEmptyBoardDefinition(rows, cols));
+    }
+
+    /**
+     * Creates an editor for the contents of a board file.
+     * @param {object} boardFile - The parsed JSON of a board file.
+     * @returns {BoardEditor} The editor.
+     */
+    static fromBoardFile(boardFile) {
+        const { board, ...metadata } = parseBoardFile(boardFile);
+        return new BoardEditor(board.toJSON().definition, metadata);
+    }
+
+    /**
+     * Replaces the board being edited with the contents of a board file.
+     * @param {object} boardFile - The parsed JSON of a board file.
+     * @returns {boolean} True if the loaded board is valid.
+     */
+    loadBoardFile(boardFile) {
+        const { board, ...metadata } = parseBoardFile(boardFile);
+        this.reset(board.toJSON().definition, metadata);
+        Logger.log(`Board editor: loaded '${this.name}'.`);
+        return this.validate();
+    }
+
+    /**
+     * Sets where the editor announces its changes. Until then they are dropped.
+     * @param {Function} sink - Called with (eventName, data).
+     */
+    setEventSink(sink) {
+        this.eventSink = sink;
+    }
+
+    /**
+     * Renames the board.
+     * @param {string} name - The new name.
+     */
+    setName(name) {
+        this.name = name;
+    }
+
+    get rows() {
+        return this.definition.length;
+    }
+
+    get cols() {
+        return this.definition[0].length;
+    }
+
+    /**
+     * Rebuilds the board from the definition, lints it, and announces the result.
+     * @returns {boolean} True if the definition is a valid board (lint issues do not make it invalid).
+     */
+    validate() {
+        try {
+            const board = new Board(this.definition, this.rules);
+            this.starts.forEach((start, index) => {
+                if (!board.getTileData(start.row, start.col)) {
+                    throw new Error(`Robot start ${index + 1} at (${start.row}, ${start.col}) is off the board.`);
+                }
+            });
+            this.board = board;
+            this.error = null;
+            this.issues = lintBoard(board, { starts: this.starts });
+        } catch (error) {
+            this.error = error.message;
+            this.issues = [];
+            Logger.warn(`Board editor: ${this.error}`);
+        }
+        this.eventSink('editorBoardChanged', { board: this.board, error: this.error, issues: this.issues, starts: this.starts });
+        return this.error === null;
+    }
+
+    /**
+     * Gets a tile definition, throwing if the position is off the board.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @returns {object} The tile definition.
+     */
+    getTileDefinition(r, c) {
+        if (r < 0 || r >= this.rows || c < 0 || c >= this.cols) {
+            throw new Error(`Tile (${r}, ${c}) is off the ${this.rows}x${this.cols} board.`);
+        }
+        return this.definition[r][c];
+    }
+
+    /**
+     * Gets the tile on the other side of a tile's side, if there is one.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The shared side.
+     * @returns {object | null} The neighbouring tile definition.
+     */
+    getNeighbourDefinition(r, c, side) {
+        const next = getNeighbour(r, c, side);
+        const row = this.definition[next.row];
+        return row && row[next.col] ? row[next.col] : null;
+    }
+
+    /**
+     * Places a floor device, replacing the one on the tile.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {object} floorDevice - The device, e.g. { type: 'checkpoint', order: 2 }.
+     * @returns {boolean} True if the board is valid after the edit.
+     */
+    setFloorDevice(r, c, floorDevice) {
+        this.getTileDefinition(r, c).floorDevice = { ...floorDevice };
+        return this.validate();
+    }
+
+    /**
+     * Adds or removes a permanent wall. The wall is mirrored onto the neighbouring tile,
+     * and removing it also removes the lasers and push panels mounted on it.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The side to change.
+     * @returns {boolean} True if the board is valid after the edit.
+     */
+    toggleWall(r, c, side) {
+        const hasWall = this.getTileDefinition(r, c).walls.includes(side);
+        this.setWall(r, c, side, !hasWall);
+        return this.validate();
+    }
+
+    /**
+     * Sets whether a side has a permanent wall, on both tiles that share it, without validating.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The side to change.
+     * @param {boolean} present - Whether the wall should exist.
+     */
+    setWall(r, c, side, present) {
+        const sides = [{ tile: this.getTileDefinition(r, c), side }];
+        const neighbour = this.getNeighbourDefinition(r, c, side);
+        if (neighbour) sides.push({ tile: neighbour, side: getOppositeWallSide(side) });
+
+        sides.forEach(({ tile, side: tileSide }) => {
+            tile.walls = tile.walls.filter(wall => wall !== tileSide);
+            if (present) {
+                tile.walls.push(tileSide);
+                // A permanent wall replaces any toggle wall or gate on the same side
+                tile.toggleWalls = tile.toggleWalls.filter(toggleWall => toggleWall.side !== tileSide);
+                tile.gates = tile.gates.filter(gate => gate.side !== tileSide);
+            } else {
+                tile.wallDevices = tile.wallDevices.filter(device => device.direction !== getOppositeWallSide(tileSide));
+            }
+        });
+    }
+
+    /**
+     * Makes a side a toggle wall closed on the given steps, or removes the toggle wall.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The side to change.
+     * @param {number[]} steps - Steps the wall is closed on; empty removes it.
+     * @returns {boolean} True if the board is valid after the edit.
+     */
+    setToggleWall(r, c, side, steps) {
+        const tile = this.getTileDefinition(r, c);
+        tile.toggleWalls = tile.toggleWalls.filter(toggleWall => toggleWall.side !== side);
+        if (steps.length > 0) {
+            this.setWall(r, c, side, false);
+            tile.gates = tile.gates.filter(gate => gate.side !== side);
+            tile.toggleWalls.push({ side, steps: [...steps] });
+        }
+        return this.validate();
+    }
+
+    /**
+     * Puts a one-way gate on a side, or removes it.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The side to change.
+     * @param {string | null} direction - The direction robots may cross in; null removes the gate.
+     * @returns {boolean} True if the board is valid after the edit.
+     */
+    setGate(r, c, side, direction) {
+        const tile = this.getTileDefinition(r, c);
+        tile.gates = tile.gates.filter(gate => gate.side !== side);
+        if (direction) {
+            this.setWall(r, c, side, false);
+            tile.toggleWalls = tile.toggleWalls.filter(toggleWall => toggleWall.side !== side);
+            tile.gates.push({ side, direction });
+        }
+        return this.validate();
+    }
+
+    /**
+     * Mounts a laser or push panel on a side (adding the wall it needs), or clears the side's devices.
+     * The device fires away from the wall, so its direction is the opposite of the side.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The wall to mount on.
+     * @param {{type: 'laser' | 'pusher', steps?: number[], strength?: number} | null} device - The device; null removes it.
+     * @returns {boolean} True if the board is valid after the edit.
+     */
+    setWallDevice(r, c, side, device) {
+        const tile = this.getTileDefinition(r, c);
+        const direction = getOppositeWallSide(side);
+        tile.wallDevices = tile.wallDevices.filter(existing => existing.direction !== direction);
+        if (device) {
+            if (!tile.walls.includes(side)) this.setWall(r, c, side, true);
+            tile.wallDevices.push({ ...device, direction });
+        }
+        return this.validate();
+    }
+
+    /**
+     * Moves the first robot's start position.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {string} orientation - Direction the robot starts facing.
+     * @returns {boolean} True if the board is valid after the edit.
+     */
+    setStart(r, c, orientation) {
+        this.getTileDefinition(r, c);
+        if (!orientations.includes(orientation)) {
+            throw new Error(`Invalid start orientation '${orientation}'. Must be one of ${orientations.join(', ')}.`);
+        }
+        this.starts[0] = { row: r, col: c, orientation };
+        return this.validate();
+    }
+
+    /**
+     * Resizes the board, keeping the tiles that still fit. New tiles are plain, with walls
+     * on the board edge and mirroring the walls of the tiles they border. Starts that no
+     * longer fit are moved inside.
+     * @param {number} rows - New number of rows.
+     * @param {number} cols - New number of columns.
+     * @returns {boolean} True if the board is valid after the edit.
+     */
+    resize(rows, cols) {
+        [rows, cols].forEach(size => {
+            if (!Number.isInteger(size) || size < 1 || size > EDITOR_MAX_BOARD_SIZE) {
+                throw new Error(`Invalid board size '${size}'. Must be an integer from 1 to ${EDITOR_MAX_BOARD_SIZE}.`);
+            }
+        });
+        const oldRows = this.rows;
+        const oldCols = this.cols;
+        const resized = createEmptyBoardDefinition(rows, cols);
+        for (let r = 0; r < Math.min(rows, oldRows); r++) {
+            for (let c = 0; c < Math.min(cols, oldCols); c++) {
+                resized[r][c] = this.definition[r][c];
+            }
+        }
+        this.definition = resized;
+
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                if (r < oldRows && c < oldCols) continue;
+                ALLOWED_WALL_SIDES.forEach(side => {
+                    const neighbour = this.getNeighbourDefinition(r, c, side);
+                    if (neighbour && neighbour.walls.includes(getOppositeWallSide(side)) && !resized[r][c].walls.includes(side)) {
+                        resized[r][c].walls.push(side);
+                    }
+                });
+            }
+        }
+        this.starts = this.starts.map(start => ({
+            ...start,
+            row: Math.min(start.row, rows - 1),
+            col: Math.min(start.col, cols - 1),
+        }));
+        Logger.log(`Board editor: resized to ${rows}x${cols}.`);
+        return this.validate();
+    }
+
+    /**
+     * Applies an editor tool to a tile, as chosen in the editor panel. Side tools
+     * (walls and wall devices) act on `side` and remove what they would add if it is already there.
+     * @param {string} tool - A floor device type, 'wall', 'toggleWall', 'gate', 'laser', 'pusher' or 'start'.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The side nearest the click.
+     * @param {object} settings - Values from the editor panel.
+     * @param {string} settings.direction - Conveyor, gate and start direction.
+     * @param {number} settings.speed - Conveyor speed.
+     * @param {string} settings.rotation - Gear rotation, 'cw' or 'ccw'.
+     * @param {number} settings.order - Checkpoint order.
+     * @param {number[]} settings.steps - Steps for crushers, toggle walls, pushers and scheduled lasers.
+     * @param {number} settings.strength - Laser strength.
+     * @param {string} settings.pairId - Teleporter pair.
+     * @returns {boolean} True if the board is valid after the edit.
+     */
+    applyTool(tool, r, c, side, settings) {
+        const tile = this.getTileDefinition(r, c);
+        const direction = getOppositeWallSide(side);
+        const existingDevice = tile.wallDevices.find(device => device.direction === direction);
+        switch (tool) {
+            case 'wall':
+                return this.toggleWall(r, c, side);
+            case 'toggleWall': {
+                const exists = tile.toggleWalls.some(toggleWall => toggleWall.side === side);
+                return this.setToggleWall(r, c, side, exists ? [] : settings.steps);
+            }
+            case 'gate': {
+                const exists = tile.gates.some(gate => gate.side === side);
+                return this.setGate(r, c, side, exists ? null : settings.direction);
+            }
+            case 'laser':
+            case 'pusher': {
+                if (existingDevice && existingDevice.type === tool) {
+                    return this.setWallDevice(r, c, side, null);
+                }
+                const device = { type: tool };
+                if (tool === 'pusher') device.steps = settings.steps;
+                if (tool === 'laser') {
+                    if (settings.strength > 1) device.strength = settings.strength;
+                    if (settings.steps.length > 0 && settings.steps.length < PROGRAM_SIZE) device.steps = settings.steps;
+                }
+                return this.setWallDevice(r, c, side, device);
+            }
+            case 'start':
+                return this.setStart(r, c, settings.direction);
+            case 'checkpoint':
+                return this.setFloorDevice(r, c, { type: 'checkpoint', order: settings.order });
+            case 'conveyor':
+                return this.setFloorDevice(r, c, { type: 'conveyor', direction: settings.direction, speed: settings.speed });
+            case 'gear':
+                return this.setFloorDevice(r, c, { type: 'gear', direction: settings.rotation });
+            case 'crusher':
+                return this.setFloorDevice(r, c, { type: 'crusher', steps: settings.steps });
+            case 'teleporter':
+                return this.setFloorDevice(r, c, { type: 'teleporter', pairId: settings.pairId });
+            case 'none':
+            case 'hole':
+            case 'repair-station':
+            case 'oil':
+                return this.setFloorDevice(r, c, { type: tool });
+            default:
+                throw new Error(`Unknown editor tool '${tool}'.`);
+        }
+    }
+
+    /**
+     * Converts the edited board into a board file.
+     * @returns {object} A JSON-serializable board file.
+     */
+    toBoardFile() {
+        if (this.error) {
+            throw new Error(`Cannot export an invalid board: ${this.error}`);
+        }
+        return createBoardFile(this.board, {
+            name: this.name,
+            author: this.author,
+            description: this.description,
+            starts: this.starts,
+        });
+    }
+}
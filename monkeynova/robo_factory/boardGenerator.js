@@ -0,0 +1,344 @@
+// boardGenerator.js
+import {
+    ALLOWED_WALL_SIDES, GENERATOR_DEFAULT_ROWS, GENERATOR_DEFAULT_COLS, GENERATOR_MIN_SIZE,
+    GENERATOR_MAX_SIZE, GENERATOR_DIFFICULTIES, GENERATOR_DEFAULT_WEIGHTS,
+} from './config.js';
+import { Board } from './board.js';
+import { getOppositeWallSide, getNeighbour } from './tile.js';
+import { createRandom, generateSeed, parseSeed } from './random.js';
+import { createEmptyBoardDefinition } from './boardLoader.js';
+import { lintBoard, formatLintReport } from './boardLint.js';
+import * as Logger from './logger.js';
+
+const PUSHER_SCHEDULES = [[1, 3, 5], [2, 4]];
+const MAX_PLACEMENT_ATTEMPTS_PER_HAZARD = 10;
+
+/**
+ * Picks a random integer in [0, max).
+ * @param {Function} random - Seeded generator from createRandom().
+ * @param {number} max - Exclusive upper bound.
+ * @returns {number}
+ */
+function randomInt(random, max) {
+    return Math.floor(random() * max);
+}
+
+/**
+ * Picks a random element of a list.
+ * @param {Function} random - Seeded generator from createRandom().
+ * @param {any[]} list - The choices.
+ * @returns {any}
+ */
+function pick(random, list) {
+    return list[randomInt(random, list.length)];
+}
+
+/**
+ * Picks a key of a weights object, with probability proportional to its weight.
+ * @param {Function} random - Seeded generator from createRandom().
+ * @param {object} weights - Feature name -> non-negative weight.
+ * @returns {string} The chosen feature.
+ */
+function pickWeighted(random, weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = random() * total;
+    for (const [feature, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return feature;
+    }
+    return entries[entries.length - 1][0];
+}
+
+/**
+ * Checks the generator options and fills in defaults.
+ * @param {object} options - Options passed to generateBoard().
+ * @returns {{seed: number, rows: number, cols: number, difficulty: string, weights: object}}
+ */
+function resolveOptions(options) {
+    const seed = parseSeed(options.seed !== undefined ? options.seed : generateSeed());
+    const rows = options.rows !== undefined ? options.rows : GENERATOR_DEFAULT_ROWS;
+    const cols = options.cols !== undefined ? options.cols : GENERATOR_DEFAULT_COLS;
+    [rows, cols].forEach(size => {
+        if (!Number.isInteger(size) || size < GENERATOR_MIN_SIZE || size > GENERATOR_MAX_SIZE) {
+            throw new Error(`Invalid board size '${size}'. Must be an integer from ${GENERATOR_MIN_SIZE} to ${GENERATOR_MAX_SIZE}.`);
+        }
+    });
+
+    const difficulty = options.difficulty || 'medium';
+    if (!GENERATOR_DIFFICULTIES[difficulty]) {
+        throw new Error(`Invalid difficulty '${difficulty}'. Must be one of ${Object.keys(GENERATOR_DIFFICULTIES).join(', ')}.`);
+    }
+
+    const weights = { ...GENERATOR_DEFAULT_WEIGHTS, ...(options.weights || {}) };
+    Object.entries(weights).forEach(([feature, weight]) => {
+        if (GENERATOR_DEFAULT_WEIGHTS[feature] === undefined) {
+            throw new Error(`Unknown feature '${feature}' in weights. Must be one of ${Object.keys(GENERATOR_DEFAULT_WEIGHTS).join(', ')}.`);
+        }
+        if (typeof weight !== 'number' || !(weight >= 0)) {
+            throw new Error(`Invalid weight '${weight}' for ${feature}. Must be a number >= 0.`);
+        }
+    });
+    return { seed, rows, cols, difficulty, weights };
+}
+
+/**
+ * Builds one random board. Keeps the state shared by the placement steps.
+ */
+class BoardBuilder {
+    /**
+     * @param {Function} random - Seeded generator from createRandom().
+     * @param {number} rows - Number of rows.
+     * @param {number} cols - Number of columns.
+     * @param {object} settings - The difficulty's entry in GENERATOR_DIFFICULTIES.
+     */
+    constructor(random, rows, cols, settings) {
+        this.random = random;
+        this.rows = rows;
+        this.cols = cols;
+        this.settings = settings;
+        this.definition = createEmptyBoardDefinition(rows, cols);
+        this.reservedTiles = new Set(); // Start and checkpoints: keep their floor
+        this.pathTiles = new Set(); // The guaranteed route: never a hole
+        this.pathCrossings = new Set(); // Sides the route crosses: never a wall
+    }
+
+    getTile(r, c) {
+        const row = this.definition[r];
+        return row && row[c] ? row[c] : null;
+    }
+
+    randomTile() {
+        return { row: randomInt(this.random, this.rows), col: randomInt(this.random, this.cols) };
+    }
+
+    isFreeFloor(r, c) {
+        return !this.reservedTiles.has(`${r}-${c}`) && this.getTile(r, c).floorDevice.type === 'none';
+    }
+
+    hasWallBetween(r, c, side) {
+        const next = getNeighbour(r, c, side);
+        const neighbour = this.getTile(next.row, next.col);
+        return this.getTile(r, c).walls.includes(side) ||
+            Boolean(neighbour && neighbour.walls.includes(getOppositeWallSide(side)));
+    }
+
+    /**
+     * Places the start on the bottom row and the checkpoints, each the farthest of a few
+     * random candidates from the previous stop, so the route crosses the board.
+     * @returns {{row: number, col: number, orientation: string}} The start.
+     */
+    placeStartAndCheckpoints() {
+        const start = { row: this.rows - 1, col: randomInt(this.random, this.cols), orientation: 'north' };
+        this.reservedTiles.add(`${start.row}-${start.col}`);
+        let previous = start;
+        for (let order = 1; order <= this.settings.checkpoints; order++) {
+            let best = null;
+            // Five candidates, or more if they keep landing on reserved tiles
+            for (let sample = 0; sample < 50 && (!best || sample < 5); sample++) {
+                const candidate = this.randomTile();
+                if (this.reservedTiles.has(`${candidate.row}-${candidate.col}`)) continue;
+                const distance = Math.abs(candidate.row - previous.row) + Math.abs(candidate.col - previous.col);
+                if (!best || distance > best.distance) best = { ...candidate, distance };
+            }
+            if (!best) break; // The board is nearly full of checkpoints; stop without leaving a gap in the order
+            this.getTile(best.row, best.col).floorDevice = { type: 'checkpoint', order };
+            this.reservedTiles.add(`${best.row}-${best.col}`);
+            this.carvePath(previous, best);
+            previous = best;
+        }
+        return start;
+    }
+
+    /**
+     * Marks an L-shaped route between two tiles that hazards must keep open.
+     * @param {{row: number, col: number}} from - Route start.
+     * @param {{row: number, col: number}} to - Route end.
+     */
+    carvePath(from, to) {
+        let { row, col } = from;
+        this.pathTiles.add(`${row}-${col}`);
+        const stepToward = (axis) => {
+            const side = axis === 'row'
+                ? (to.row > row ? 'south' : 'north')
+                : (to.col > col ? 'east' : 'west');
+            const next = getNeighbour(row, col, side);
+            this.pathCrossings.add(`${row}-${col}-${side}`);
+            this.pathCrossings.add(`${next.row}-${next.col}-${getOppositeWallSide(side)}`);
+            ({ row, col } = next);
+            this.pathTiles.add(`${row}-${col}`);
+        };
+        const axes = this.random() < 0.5 ? ['row', 'col'] : ['col', 'row'];
+        axes.forEach(axis => {
+            while ((axis === 'row' ? row !== to.row : col !== to.col)) stepToward(axis);
+        });
+    }
+
+    placeHole() {
+        const { row, col } = this.randomTile();
+        if (!this.isFreeFloor(row, col) || this.pathTiles.has(`${row}-${col}`)) return false;
+        this.getTile(row, col).floorDevice = { type: 'hole' };
+        return true;
+    }
+
+    placeGear() {
+        const { row, col } = this.randomTile();
+        if (!this.isFreeFloor(row, col)) return false;
+        this.getTile(row, col).floorDevice = { type: 'gear', direction: pick(this.random, ['cw', 'ccw']) };
+        return true;
+    }
+
+    placeOil() {
+        const { row, col } = this.randomTile();
+        if (!this.isFreeFloor(row, col)) return false;
+        this.getTile(row, col).floorDevice = { type: 'oil' };
+        return true;
+    }
+
+    placeCrusher() {
+        const { row, col } = this.randomTile();
+        if (!this.isFreeFloor(row, col)) return false;
+        this.getTile(row, col).floorDevice = { type: 'crusher', steps: [...pick(this.random, PUSHER_SCHEDULES)] };
+        return true;
+    }
+
+    /**
+     * Lays a straight belt of 2 to 4 tiles whose exit leads onto the board with no wall in the way.
+     * @returns {boolean} True if the belt was placed.
+     */
+    placeConveyor() {
+        const direction = pick(this.random, ALLOWED_WALL_SIDES);
+        const length = 2 + randomInt(this.random, 3);
+        let { row, col } = this.randomTile();
+        const run = [];
+        while (run.length < length && this.getTile(row, col) && this.isFreeFloor(row, col)) {
+            const next = getNeighbour(row, col, direction);
+            const nextTile = this.getTile(next.row, next.col);
+            if (!nextTile || nextTile.floorDevice.type === 'hole' || this.hasWallBetween(row, col, direction)) break;
+            run.push({ row, col });
+            ({ row, col } = next);
+        }
+        if (run.length < 2) return false;
+        const speed = this.random() < this.settings.expressConveyorChance ? 2 : 1;
+        run.forEach(tile => {
+            this.getTile(tile.row, tile.col).floorDevice = { type: 'conveyor', direction, speed };
+        });
+        return true;
+    }
+
+    /**
+     * Adds a wall segment to both tiles sharing a side, away from the route and belt exits.
+     * @returns {boolean} True if the wall was placed.
+     */
+    placeWall() {
+        const { row, col } = this.randomTile();
+        const side = pick(this.random, ALLOWED_WALL_SIDES);
+        const next = getNeighbour(row, col, side);
+        const neighbour = this.getTile(next.row, next.col);
+        if (!neighbour || this.pathCrossings.has(`${row}-${col}-${side}`) || this.hasWallBetween(row, col, side)) return false;
+        const tile = this.getTile(row, col);
+        const opposite = getOppositeWallSide(side);
+        // Keep belt exits and the fronts of lasers open (lint flags both)
+        const pointsAcross = (device, direction) => Boolean(device) && device.direction === direction;
+        if ((tile.floorDevice.type === 'conveyor' && pointsAcross(tile.floorDevice, side)) ||
+            (neighbour.floorDevice.type === 'conveyor' && pointsAcross(neighbour.floorDevice, opposite)) ||
+            pointsAcross(tile.wallDevices.find(device => device.type === 'laser'), side) ||
+            pointsAcross(neighbour.wallDevices.find(device => device.type === 'laser'), opposite)) {
+            return false;
+        }
+        tile.walls.push(side);
+        neighbour.walls.push(opposite);
+        return true;
+    }
+
+    /**
+     * Picks an edge tile for a wall device firing into the board.
+     * @returns {{row: number, col: number, side: string, tile: object} | null} The spot, or null if taken.
+     */
+    pickEdgeMount() {
+        const side = pick(this.random, ALLOWED_WALL_SIDES);
+        const row = side === 'north' ? 0 : side === 'south' ? this.rows - 1 : randomInt(this.random, this.rows);
+        const col = side === 'west' ? 0 : side === 'east' ? this.cols - 1 : randomInt(this.random, this.cols);
+        const tile = this.getTile(row, col);
+        if (tile.wallDevices.length > 0 || this.reservedTiles.has(`${row}-${col}`)) return null;
+        // Lint flags devices firing straight into a wall
+        if (this.hasWallBetween(row, col, getOppositeWallSide(side))) return null;
+        return { row, col, side, tile };
+    }
+
+    placeLaser() {
+        const mount = this.pickEdgeMount();
+        if (!mount) return false;
+        const laser = { type: 'laser', direction: getOppositeWallSide(mount.side) };
+        const strength = 1 + randomInt(this.random, this.settings.maxLaserStrength);
+        if (strength > 1) laser.strength = strength;
+        mount.tile.wallDevices.push(laser);
+        return true;
+    }
+
+    placePusher() {
+        const mount = this.pickEdgeMount();
+        if (!mount) return false;
+        mount.tile.wallDevices.push({
+            type: 'pusher',
+            direction: getOppositeWallSide(mount.side),
+            steps: [...pick(this.random, PUSHER_SCHEDULES)],
+        });
+        return true;
+    }
+
+    /**
+     * Tries to place one feature.
+     * @param {string} feature - A key of GENERATOR_DEFAULT_WEIGHTS.
+     * @returns {boolean} True if it was placed.
+     */
+    placeFeature(feature) {
+        switch (feature) {
+            case 'hole': return this.placeHole();
+            case 'conveyor': return this.placeConveyor();
+            case 'gear': return this.placeGear();
+            case 'wall': return this.placeWall();
+            case 'laser': return this.placeLaser();
+            case 'pusher': return this.placePusher();
+            case 'crusher': return this.placeCrusher();
+            case 'oil': return this.placeOil();
+            default: throw new Error(`Unknown feature '${feature}'.`);
+        }
+    }
+}
+
+/**
+ * Generates a random board. The same options always produce the same board.
+ * Checkpoints are joined by a route that stays free of holes and walls, so every
+ * checkpoint is reachable from the start; hazards are placed around it.
+ * @param {object} [options={}] - Generator options.
+ * @param {number|string} [options.seed] - Seed for the layout (a fresh one if omitted).
+ * @param {number} [options.rows] - Number of rows (Config.GENERATOR_DEFAULT_ROWS if omitted).
+ * @param {number} [options.cols] - Number of columns (Config.GENERATOR_DEFAULT_COLS if omitted).
+ * @param {'easy' | 'medium' | 'hard'} [options.difficulty='medium'] - How many checkpoints and hazards to place.
+ * @param {object} [options.weights] - Relative chance of each feature, overriding Config.GENERATOR_DEFAULT_WEIGHTS.
+ * @returns {{definition: object[][], starts: {row: number, col: number, orientation: string}[],
+ *            name: string, seed: number, difficulty: string}}
+ */
+export function generateBoard(options = {}) {
+    const { seed, rows, cols, difficulty, weights } = resolveOptions(options);
+    const settings = GENERATOR_DIFFICULTIES[difficulty];
+    const random = createRandom(seed);
+    const builder = new BoardBuilder(random, rows, cols, settings);
+    const start = builder.placeStartAndCheckpoints();
+
+    const hazardCount = Math.round(rows * cols * settings.hazardDensity);
+    const hasFeatures = Object.values(weights).some(weight => weight > 0);
+    let placed = 0;
+    for (let attempt = 0; hasFeatures && placed < hazardCount && attempt < hazardCount * MAX_PLACEMENT_ATTEMPTS_PER_HAZARD; attempt++) {
+        if (builder.placeFeature(pickWeighted(random, weights))) placed++;
+    }
+
+    const starts = [start];
+    const errors = lintBoard(new Board(builder.definition), { starts }).filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`Generated board (seed ${seed}) failed validation:\n${formatLintReport(errors)}`);
+    }
+    Logger.log(`Generated ${rows}x${cols} ${difficulty} board from seed ${seed} with ${placed} hazard(s).`);
+    return { definition: builder.definition, starts, name: `Generated ${difficulty} board #${seed}`, seed, difficulty };
+}
@@ -0,0 +1,263 @@
+// boardLint.js
+import { ALLOWED_WALL_SIDES, PROGRAM_SIZE } from './config.js';
+import { getOppositeWallSide, getNeighbour } from './tile.js';
+
+// Checks a parsed Board for mistakes the Board constructor lets through. Every check
+// returns plain issue objects, so the same report serves node scripts and the board editor.
+
+/**
+ * Creates a lint issue.
+ * @param {'error' | 'warning'} severity - Errors make the board unplayable as intended; warnings are probably mistakes.
+ * @param {string} code - Stable identifier of the check, e.g. 'asymmetric-wall'.
+ * @param {number|null} row - Row of the tile concerned, or null for board-wide issues.
+ * @param {number|null} col - Column of the tile concerned, or null for board-wide issues.
+ * @param {string} message - Human-readable description.
+ * @returns {{severity: string, code: string, row: number|null, col: number|null, message: string}}
+ */
+function createIssue(severity, code, row, col, message) {
+    return { severity, code, row, col, message };
+}
+
+/**
+ * Checks whether a permanent wall stands between a tile and its neighbour, on either tile.
+ * @param {Board} board - The board.
+ * @param {number} r - Row index.
+ * @param {number} c - Column index.
+ * @param {'north' | 'south' | 'east' | 'west'} side - The side to check.
+ * @returns {boolean} True if either tile has a permanent wall on the shared side.
+ */
+function hasPermanentWallBetween(board, r, c, side) {
+    if (board.getTileData(r, c).hasWall(side)) return true;
+    const { row, col } = getNeighbour(r, c, side);
+    const neighbour = board.getTileData(row, col);
+    return Boolean(neighbour) && neighbour.hasWall(getOppositeWallSide(side));
+}
+
+/**
+ * Reports walls present on one tile but missing from the neighbour that shares the side.
+ * @param {Board} board - The board.
+ * @returns {object[]} The issues.
+ */
+export function checkWallSymmetry(board) {
+    const issues = [];
+    for (let r = 0; r < board.rows; r++) {
+        for (let c = 0; c < board.cols; c++) {
+            const tile = board.getTileData(r, c);
+            // Only east and south, so each shared side is checked once
+            ['east', 'south'].forEach(side => {
+                const { row, col } = getNeighbour(r, c, side);
+                const neighbour = board.getTileData(row, col);
+                if (!neighbour) return;
+                const opposite = getOppositeWallSide(side);
+                if (tile.hasWall(side) !== neighbour.hasWall(opposite)) {
+                    const [withWall, withoutWall] = tile.hasWall(side)
+                        ? [`(${r}, ${c}) ${side}`, `(${row}, ${col}) ${opposite}`]
+                        : [`(${row}, ${col}) ${opposite}`, `(${r}, ${c}) ${side}`];
+                    issues.push(createIssue('warning', 'asymmetric-wall', r, c,
+                        `Wall on ${withWall} has no matching wall on ${withoutWall}.`));
+                }
+            });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Reports checkpoint orders used more than once and gaps in the sequence 1..N.
+ * @param {Board} board - The board.
+ * @returns {object[]} The issues.
+ */
+export function checkCheckpointOrders(board) {
+    const issues = [];
+    const checkpoints = board.flags.filter(flag => flag.type === 'checkpoint');
+    const byOrder = new Map();
+    checkpoints.forEach(flag => {
+        if (!byOrder.has(flag.order)) byOrder.set(flag.order, []);
+        byOrder.get(flag.order).push(flag);
+    });
+
+    byOrder.forEach((flags, order) => {
+        if (flags.length > 1) {
+            flags.forEach(flag => issues.push(createIssue('error', 'duplicate-checkpoint-order', flag.row, flag.col,
+                `Checkpoint order ${order} is used by ${flags.length} checkpoints.`)));
+        }
+        if (!Number.isInteger(order)) {
+            flags.forEach(flag => issues.push(createIssue('error', 'invalid-checkpoint-order', flag.row, flag.col,
+                `Checkpoint order ${order} is not a whole number.`)));
+        }
+    });
+
+    const highest = checkpoints.reduce((max, flag) => Math.max(max, flag.order), 0);
+    for (let order = 1; order <= highest; order++) {
+        if (!byOrder.has(order)) {
+            issues.push(createIssue('error', 'missing-checkpoint-order', null, null,
+                `No checkpoint has order ${order}, so checkpoints after it can never be counted.`));
+        }
+    }
+    return issues;
+}
+
+/**
+ * Measures how many tiles a robot must cross to reach each tile, starting from the given
+ * tiles. A robot may cross a side unless a permanent wall blocks it or a toggle wall or
+ * gate blocks it on every program step, never ends up on a hole, and may take any
+ * teleporter to its partner (counted as one tile). Conveyors, pushers and oil only move
+ * robots to neighbours too, so they add no other routes.
+ * @param {Board} board - The board.
+ * @param {{row: number, col: number}[]} sources - Where the search starts.
+ * @returns {Map<string, number>} Distance of every reachable tile, keyed 'row-col'.
+ */
+export function measureDistances(board, sources) {
+    const distances = new Map();
+    const queue = [];
+    const visit = (row, col, distance) => {
+        const tile = board.getTileData(row, col);
+        const key = `${row}-${col}`;
+        if (!tile || tile.floorDevice.type === 'hole' || distances.has(key)) return;
+        distances.set(key, distance);
+        queue.push({ row, col, distance });
+    };
+    const isCrossable = (r, c, side) => {
+        const { row, col } = getNeighbour(r, c, side);
+        const neighbour = board.getTileData(row, col);
+        if (!neighbour) return false;
+        for (let step = 1; step <= PROGRAM_SIZE; step++) {
+            if (!board.getTileData(r, c).blocksCrossing(side, side, step) &&
+                !neighbour.blocksCrossing(getOppositeWallSide(side), side, step)) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    sources.forEach(({ row, col }) => visit(row, col, 0));
+    while (queue.length > 0) {
+        const { row, col, distance } = queue.shift();
+        ALLOWED_WALL_SIDES.forEach(side => {
+            if (isCrossable(row, col, side)) {
+                const next = getNeighbour(row, col, side);
+                visit(next.row, next.col, distance + 1);
+            }
+        });
+        const partner = board.getTeleporterDestination(row, col);
+        if (partner) visit(partner.row, partner.col, distance + 1);
+    }
+    return distances;
+}
+
+/**
+ * Finds the tiles a robot could stand on, starting from the given tiles (see measureDistances).
+ * @param {Board} board - The board.
+ * @param {{row: number, col: number}[]} sources - Where the search starts.
+ * @returns {Set<string>} Reachable tiles as 'row-col' keys.
+ */
+export function findReachableTiles(board, sources) {
+    return new Set(measureDistances(board, sources).keys());
+}
+
+/**
+ * Reports checkpoints no robot can reach from the start positions. Without start
+ * positions, reachability is measured from the first checkpoint.
+ * @param {Board} board - The board.
+ * @param {{row: number, col: number}[]} starts - Robot start positions.
+ * @returns {object[]} The issues.
+ */
+export function checkCheckpointReachability(board, starts) {
+    const checkpoints = board.flags.filter(flag => flag.type === 'checkpoint');
+    const sources = starts.length > 0 ? starts : checkpoints.slice(0, 1);
+    if (sources.length === 0) return [];
+
+    const reachable = findReachableTiles(board, sources);
+    return checkpoints
+        .filter(flag => !reachable.has(`${flag.row}-${flag.col}`))
+        .map(flag => createIssue('error', 'unreachable-checkpoint', flag.row, flag.col,
+            `Checkpoint ${flag.order} at (${flag.row}, ${flag.col}) cannot be reached from ${starts.length > 0 ? 'the start' : 'checkpoint 1'}.`));
+}
+
+/**
+ * Reports conveyors whose exit is always closed by a permanent wall or the board edge.
+ * @param {Board} board - The board.
+ * @returns {object[]} The issues.
+ */
+export function checkConveyorExits(board) {
+    const issues = [];
+    for (let r = 0; r < board.rows; r++) {
+        for (let c = 0; c < board.cols; c++) {
+            const floorDevice = board.getTileData(r, c).floorDevice;
+            if (floorDevice.type !== 'conveyor') continue;
+
+            const { row, col } = getNeighbour(r, c, floorDevice.direction);
+            const offBoard = !board.getTileData(row, col);
+            if (hasPermanentWallBetween(board, r, c, floorDevice.direction)) {
+                issues.push(createIssue('warning', 'conveyor-into-wall', r, c,
+                    `Conveyor at (${r}, ${c}) points ${floorDevice.direction} into a wall.`));
+            } else if (offBoard && !board.edgesArePits) {
+                issues.push(createIssue('warning', 'conveyor-into-wall', r, c,
+                    `Conveyor at (${r}, ${c}) points ${floorDevice.direction} into the board edge.`));
+            }
+        }
+    }
+    return issues;
+}
+
+/**
+ * Reports lasers whose beam cannot leave the emitter's tile: the board edge or a wall is
+ * directly in front of them. The beam then only ever hits a robot on the emitter's tile.
+ * @param {Board} board - The board.
+ * @returns {object[]} The issues.
+ */
+export function checkLaserEmitters(board) {
+    const issues = [];
+    for (let r = 0; r < board.rows; r++) {
+        for (let c = 0; c < board.cols; c++) {
+            const laser = board.getTileData(r, c).getWallDevice('laser');
+            if (!laser) continue;
+
+            const { row, col } = getNeighbour(r, c, laser.direction);
+            let reason = null;
+            if (!board.getTileData(row, col)) {
+                reason = 'the board edge';
+            } else if (hasPermanentWallBetween(board, r, c, laser.direction)) {
+                reason = 'a wall';
+            }
+            if (reason) {
+                issues.push(createIssue('warning', 'laser-blocked-at-emitter', r, c,
+                    `Laser at (${r}, ${c}) fires ${laser.direction} straight into ${reason}.`));
+            }
+        }
+    }
+    return issues;
+}
+
+/**
+ * Runs every check on a board.
+ * @param {Board} board - The board to check.
+ * @param {object} [options={}] - Lint options.
+ * @param {{row: number, col: number}[]} [options.starts=[]] - Robot start positions, for the reachability check.
+ * @returns {{severity: 'error' | 'warning', code: string, row: number|null, col: number|null, message: string}[]}
+ *   The issues, errors first.
+ */
+export function lintBoard(board, options = {}) {
+    const starts = options.starts || [];
+    const issues = [
+        ...checkWallSymmetry(board),
+        ...checkCheckpointOrders(board),
+        ...checkCheckpointReachability(board, starts),
+        ...checkConveyorExits(board),
+        ...checkLaserEmitters(board),
+    ];
+    // Stable sort keeps each check's own order within a severity
+    return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+/**
+ * Formats lint issues one per line, e.g. for the console.
+ * @param {object[]} issues - Issues from lintBoard().
+ * @returns {string} The report, or a note that the board is clean.
+ */
+export function formatLintReport(issues) {
+    if (issues.length === 0) {
+        return 'No problems found.';
+    }
+    return issues.map(issue => `${issue.severity.toUpperCase()} [${issue.code}] ${issue.message}`).join('\n');
+}
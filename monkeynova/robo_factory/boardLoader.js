@@ -0,0 +1,132 @@
+// boardLoader.js
+import { BOARD_FILE_FORMAT, BOARD_FILE_VERSION, ALLOWED_BOARD_RULES, orientations } from './config.js';
+import { Board } from './board.js';
+import * as Logger from './logger.js';
+
+/**
+ * Creates an empty tile definition, with every list present so edits can push to them.
+ * @returns {object} The tile definition.
+ */
+function createEmptyTile() {
+    return { floorDevice: { type: 'none' }, walls: [], wallDevices: [], toggleWalls: [], gates: [] };
+}
+
+/**
+ * Creates a board definition of plain tiles surrounded by walls.
+ * @param {number} rows - Number of rows.
+ * @param {number} cols - Number of columns.
+ * @returns {object[][]} The board definition.
+ */
+export function createEmptyBoardDefinition(rows, cols) {
+    const definition = [];
+    for (let r = 0; r < rows; r++) {
+        const row = [];
+        for (let c = 0; c < cols; c++) {
+            const tile = createEmptyTile();
+            if (r === 0) tile.walls.push('north');
+            if (r === rows - 1) tile.walls.push('south');
+            if (c === 0) tile.walls.push('west');
+            if (c === cols - 1) tile.walls.push('east');
+            row.push(tile);
+        }
+        definition.push(row);
+    }
+    return definition;
+}
+
+/**
+ * Checks one robot start position from a board file.
+ * @param {object} start - The start entry.
+ * @param {number} index - Position of the entry, for error messages.
+ * @param {Board} board - The parsed board.
+ */
+function validateStart(start, index, board) {
+    if (!start || !Number.isInteger(start.row) || !Number.isInteger(start.col) || !board.getTileData(start.row, start.col)) {
+        throw new Error(`Board file start ${index} is not on the board. Must have integer 'row' and 'col' inside the ${board.rows}x${board.cols} board.`);
+    }
+    if (!orientations.includes(start.orientation)) {
+        throw new Error(`Board file start ${index} has invalid orientation '${start.orientation}'. Must be one of ${orientations.join(', ')}.`);
+    }
+}
+
+/**
+ * Turns the contents of a board file into a Board plus its metadata.
+ * See DESIGN.md ("Board Files") for the format.
+ * @param {object} boardFile - The parsed JSON of a board file.
+ * @returns {{board: Board, name: string, author: string, description: string,
+ *            starts: {row: number, col: number, orientation: string}[], rules: object}}
+ */
+export function parseBoardFile(boardFile) {
+    if (!boardFile || boardFile.format !== BOARD_FILE_FORMAT) {
+        throw new Error(`Not a board file. Must have "format": "${BOARD_FILE_FORMAT}".`);
+    }
+    if (boardFile.version !== BOARD_FILE_VERSION) {
+        throw new Error(`Unsupported board file version '${boardFile.version}'. Must be ${BOARD_FILE_VERSION}.`);
+    }
+    if (typeof boardFile.name !== 'string' || boardFile.name.trim() === '') {
+        throw new Error("Board file is missing a 'name'.");
+    }
+
+    const rules = boardFile.rules || {};
+    Object.keys(rules).forEach(rule => {
+        if (!ALLOWED_BOARD_RULES.has(rule)) {
+            throw new Error(`Unknown board rule '${rule}'. Must be one of ${Array.from(ALLOWED_BOARD_RULES).join(', ')}.`);
+        }
+    });
+
+    const board = new Board(boardFile.tiles, rules);
+
+    // A single 'start' is shorthand for a one-robot 'starts' list
+    const starts = boardFile.starts || (boardFile.start ? [boardFile.start] : []);
+    if (!Array.isArray(starts) || starts.length === 0) {
+        throw new Error("Board file needs a 'start' (or a 'starts' list) with row, col and orientation.");
+    }
+    starts.forEach((start, index) => validateStart(start, index, board));
+
+    Logger.log(`Loaded board '${boardFile.name}' by ${boardFile.author || 'unknown author'}.`);
+    return {
+        board,
+        name: boardFile.name,
+        author: boardFile.author || '',
+        description: boardFile.description || '',
+        starts: starts.map(start => ({ row: start.row, col: start.col, orientation: start.orientation })),
+        rules: { ...rules },
+    };
+}
+
+/**
+ * Converts a board and its metadata into the board file format.
+ * @param {Board} board - The board to save.
+ * @param {{name: string, author?: string, description?: string, starts: object[]}} metadata - The file's metadata.
+ * @returns {object} A JSON-serializable board file.
+ */
+export function createBoardFile(board, metadata) {
+    const { definition, options } = board.toJSON();
+    const rules = {};
+    ALLOWED_BOARD_RULES.forEach(rule => {
+        if (options[rule]) rules[rule] = options[rule];
+    });
+    return {
+        format: BOARD_FILE_FORMAT,
+        version: BOARD_FILE_VERSION,
+        name: metadata.name,
+        author: metadata.author || '',
+        description: metadata.description || '',
+        starts: metadata.starts.map(start => ({ ...start })),
+        rules,
+        tiles: definition,
+    };
+}
+
+/**
+ * Fetches and parses a board file.
+ * @param {string} url - Where the board file is served.
+ * @returns {Promise<object>} The result of parseBoardFile().
+ */
+export async function loadBoardFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load board file '${url}' (HTTP ${response.status}).`);
+    }
+    return parseBoardFile(await response.json());
+}
@@ -0,0 +1,253 @@
+// campaign.js
+import {
+    ALLOWED_CARD_TYPES, orientations, HAND_SIZE, PROGRAM_SIZE, CAMPAIGN_PROGRESS_VERSION,
+    CAMPAIGN_MAX_STARS, CAMPAIGN_TWO_STAR_SLACK,
+} from './config.js';
+import { Board } from './board.js';
+import Robot from './robot.js';
+import { parseAsciiBoard } from './asciiBoard.js';
+import { CAMPAIGN_LEVELS } from './campaignLevels.js';
+import * as Logger from './logger.js';
+
+// A campaign level is an ordinary single-robot game on a fixed board, optionally with a
+// fixed deck. It is played with Board, Robot and GameLoop.runProgramExecution; this module
+// only builds the game, scores a finished level and keeps the player's progress.
+
+/**
+ * Checks a level definition, throwing on the first problem.
+ * @param {object} level - The level definition.
+ * @param {string} level.id - Identifier used in the URL (?level=<id>) and in the saved progress.
+ * @param {string} level.name - Display name.
+ * @param {string} level.board - The board in ASCII notation (see asciiBoard.js).
+ * @param {{row: number, col: number, orientation: string}} level.start - Where the robot starts.
+ * @param {{turns: number} | {cards: number}} level.par - Turns taken or cards played for three stars.
+ * @param {string[]} [level.hand] - Card types dealt as the same hand every turn.
+ * @param {string[]} [level.cardSequence] - Card types dealt in this order, then again in discard order.
+ */
+export function validateLevel(level) {
+    if (!level || typeof level.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(level.id)) {
+        throw new Error(`Invalid level id '${level ? level.id : level}'. Must contain only letters, digits, '-' and '_'.`);
+    }
+    if (typeof level.name !== 'string' || level.name.trim() === '') {
+        throw new Error(`Level '${level.id}' has no name. Must be a non-empty string.`);
+    }
+    const board = new Board(parseAsciiBoard(level.board));
+    const { start } = level;
+    if (!start || !board.getTileData(start.row, start.col) || !orientations.includes(start.orientation)) {
+        throw new Error(`Invalid start for level '${level.id}'. Must be a tile on the board with an orientation of ${orientations.join(', ')}.`);
+    }
+    const parMeasures = Object.keys(level.par || {});
+    if (parMeasures.length !== 1 || !['turns', 'cards'].includes(parMeasures[0]) ||
+        !Number.isInteger(level.par[parMeasures[0]]) || level.par[parMeasures[0]] <= 0) {
+        throw new Error(`Invalid par for level '${level.id}'. Must be { turns: N } or { cards: N } with N a positive integer.`);
+    }
+    if (level.hand && level.cardSequence) {
+        throw new Error(`Level '${level.id}' has both a hand and a card sequence. Must have at most one.`);
+    }
+    const cards = getLevelCards(level);
+    if (cards) {
+        const invalidCard = cards.find(type => !ALLOWED_CARD_TYPES.has(type));
+        if (invalidCard !== undefined) {
+            throw new Error(`Invalid card '${invalidCard}' in level '${level.id}'. Must be one of ${Array.from(ALLOWED_CARD_TYPES).join(', ')}.`);
+        }
+        const maxCards = level.hand ? HAND_SIZE : Infinity;
+        if (cards.length < PROGRAM_SIZE || cards.length > maxCards) {
+            throw new Error(`Level '${level.id}' deals ${cards.length} cards. Must deal at least ${PROGRAM_SIZE}${level.hand ? ` and at most ${HAND_SIZE}` : ''}.`);
+        }
+    }
+}
+
+/**
+ * Finds a campaign level by id.
+ * @param {string} levelId - The level id.
+ * @param {object[]} [levels=CAMPAIGN_LEVELS] - The campaign.
+ * @returns {object} The level definition.
+ */
+export function findLevel(levelId, levels = CAMPAIGN_LEVELS) {
+    const level = levels.find(candidate => candidate.id === levelId);
+    if (!level) {
+        throw new Error(`Unknown level '${levelId}'. Must be one of ${levels.map(candidate => candidate.id).join(', ')}.`);
+    }
+    return level;
+}
+
+/**
+ * Finds the level after the given one.
+ * @param {string} levelId - The level id.
+ * @param {object[]} [levels=CAMPAIGN_LEVELS] - The campaign.
+ * @returns {object|null} The next level, or null after the last one.
+ */
+export function getNextLevel(levelId, levels = CAMPAIGN_LEVELS) {
+    const index = levels.findIndex(level => level.id === levelId);
+    return index > -1 && index + 1 < levels.length ? levels[index + 1] : null;
+}
+
+/**
+ * Gets the card types a level deals, for Deck.initFixedDeck().
+ * @param {object} level - The level definition.
+ * @returns {string[]|null} The fixed deck, or null to play with the shuffled full deck.
+ */
+export function getLevelCards(level) {
+    return level.hand || level.cardSequence || null;
+}
+
+/**
+ * Builds the board and robot for a level.
+ * @param {object} level - The level definition.
+ * @returns {{board: Board, robots: Robot[]}}
+ */
+export function createLevelGame(level) {
+    validateLevel(level);
+    const board = new Board(parseAsciiBoard(level.board));
+    const { row, col, orientation } = level.start;
+    Logger.log(`Playing level '${level.name}'.`);
+    return { board, robots: [new Robot(row, col, orientation, 'robot-1')] };
+}
+
+/**
+ * Describes a level's par for display.
+ * @param {object} level - The level definition.
+ * @returns {string} e.g. 'Par: 2 turns'.
+ */
+export function formatPar(level) {
+    const [measure, value] = Object.entries(level.par)[0];
+    const unit = measure === 'turns' ? 'turn' : 'card';
+    return `Par: ${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+/**
+ * Scores a finished level against its par: full stars at or under par, one fewer within
+ * CAMPAIGN_TWO_STAR_SLACK of it, and a single star for any other completion.
+ * @param {object} level - The level definition.
+ * @param {{completed: boolean, turns: number, cardsUsed: number}} result - How the level went.
+ * @returns {number} The stars earned, 0 if the level was not completed.
+ */
+export function calculateStars(level, result) {
+    if (!result.completed) {
+        return 0;
+    }
+    const [measure, par] = Object.entries(level.par)[0];
+    const score = measure === 'turns' ? result.turns : result.cardsUsed;
+    if (score <= par) {
+        return CAMPAIGN_MAX_STARS;
+    }
+    return score <= par + CAMPAIGN_TWO_STAR_SLACK[measure] ? CAMPAIGN_MAX_STARS - 1 : 1;
+}
+
+/**
+ * Counts the turns taken and cards played while a level is being played.
+ */
+export class LevelRun {
+    /**
+     * @param {object} level - The level being played.
+     * @param {Robot} robot - The robot programmed from the hand.
+     */
+    constructor(level, robot) {
+        this.level = level;
+        this.robot = robot;
+        this.turns = 0;
+        this.cardsUsed = 0;
+        this.result = null;
+    }
+
+    /** Counts a turn; call when the program starts running. */
+    startTurn() {
+        this.turns++;
+    }
+
+    /** Counts the card played in a register, unless the robot sits the turn out powered down. */
+    recordRegister() {
+        if (!this.robot.getIsPoweredDown() && !this.robot.isDestroyed()) {
+            this.cardsUsed++;
+        }
+    }
+
+    /**
+     * Ends the run.
+     * @param {boolean} isWin - Whether the robot visited every checkpoint.
+     * @returns {{levelId: string, completed: boolean, turns: number, cardsUsed: number, stars: number}}
+     */
+    finish(isWin) {
+        const result = { levelId: this.level.id, completed: isWin, turns: this.turns, cardsUsed: this.cardsUsed };
+        this.result = { ...result, stars: calculateStars(this.level, result) };
+        Logger.log(`Level '${this.level.id}' ${isWin ? 'completed' : 'failed'} after ${this.turns} turn(s) and ${this.cardsUsed} card(s): ${this.result.stars} star(s).`);
+        return this.result;
+    }
+}
+
+/**
+ * Creates progress for a player who has not finished any level.
+ * @returns {{version: number, levels: object}} Level id -> best result.
+ */
+export function createEmptyProgress() {
+    return { version: CAMPAIGN_PROGRESS_VERSION, levels: {} };
+}
+
+/**
+ * Reads campaign progress from storage.
+ * @param {Storage} storage - Where to load from (e.g. window.localStorage).
+ * @param {string} key - The storage key.
+ * @returns {object} The progress, empty if nothing is saved under the key.
+ */
+export function loadCampaignProgress(storage, key) {
+    const json = storage.getItem(key);
+    if (!json) {
+        return createEmptyProgress();
+    }
+    const progress = JSON.parse(json);
+    if (!progress || progress.version !== CAMPAIGN_PROGRESS_VERSION || typeof progress.levels !== 'object') {
+        throw new Error(`Unsupported campaign progress version '${progress ? progress.version : undefined}'. Must be ${CAMPAIGN_PROGRESS_VERSION}.`);
+    }
+    return progress;
+}
+
+/**
+ * Writes campaign progress to storage as JSON.
+ * @param {Storage} storage - Where to save (e.g. window.localStorage).
+ * @param {string} key - The storage key.
+ * @param {object} progress - The progress to save.
+ */
+export function saveCampaignProgress(storage, key, progress) {
+    storage.setItem(key, JSON.stringify(progress));
+    Logger.log(`Campaign progress saved to '${key}'.`);
+}
+
+/**
+ * Merges a finished level into the progress, keeping the best stars, turns and cards
+ * seen for the level. Failed attempts are not recorded.
+ * @param {object} progress - The progress to update.
+ * @param {{levelId: string, completed: boolean, turns: number, cardsUsed: number, stars: number}} result - From LevelRun.finish().
+ * @returns {object} The progress.
+ */
+export function recordLevelResult(progress, result) {
+    if (!result.completed) {
+        return progress;
+    }
+    const best = progress.levels[result.levelId];
+    progress.levels[result.levelId] = best
+        ? {
+            stars: Math.max(best.stars, result.stars),
+            turns: Math.min(best.turns, result.turns),
+            cardsUsed: Math.min(best.cardsUsed, result.cardsUsed),
+        }
+        : { stars: result.stars, turns: result.turns, cardsUsed: result.cardsUsed };
+    return progress;
+}
+
+/**
+ * Lists the levels for the level-select screen. The first level is always unlocked;
+ * each later level unlocks once the one before it is completed.
+ * @param {object} progress - The player's progress.
+ * @param {object[]} [levels=CAMPAIGN_LEVELS] - The campaign.
+ * @returns {{level: object, stars: number, unlocked: boolean}[]}
+ */
+export function getLevelSelectEntries(progress, levels = CAMPAIGN_LEVELS) {
+    return levels.map((level, index) => {
+        const best = progress.levels[level.id];
+        return {
+            level,
+            stars: best ? best.stars : 0,
+            unlocked: index === 0 || Boolean(progress.levels[levels[index - 1].id]),
+        };
+    });
+}
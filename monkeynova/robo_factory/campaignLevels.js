@@ -0,0 +1,66 @@
+// campaignLevels.js
+
+// The hand-authored campaign, played in list order. Each level is checked by
+// validateLevel() in campaign.js; see DESIGN.md ("Campaign") for the fields.
+export const CAMPAIGN_LEVELS = [
+    {
+        id: 'first-steps',
+        name: 'First Steps',
+        description: 'Drive east to the checkpoint. Every turn deals the same hand.',
+        board: `
+            +-++-++-++-++-+
+            |.  .  O  .  .|
+            + ++ ++ ++ ++ +
+            + ++ ++ ++ ++ +
+            |.  .  .  .  1|
+            + ++ ++ ++ ++ +
+            + ++ ++ ++ ++ +
+            |.  .  O  .  .|
+            +-++-++-++-++-+
+        `,
+        start: { row: 1, col: 0, orientation: 'east' },
+        hand: ['move1', 'move2', 'move1', 'turnL', 'turnR', 'uturn', 'back1'],
+        par: { turns: 1 },
+    },
+    {
+        id: 'around-the-wall',
+        name: 'Around the Wall',
+        description: 'A wall blocks the way east. Go around it to reach both checkpoints.',
+        board: `
+            +-++-++-++-++-+
+            |.  .  .  .  1|
+            + ++ ++ ++ ++ +
+            + ++ ++ ++ ++ +
+            |.  .||.  .  .|
+            + ++ ++ ++ ++ +
+            + ++ ++ ++ ++ +
+            |.  .||.  O  .|
+            + ++ ++ ++ ++ +
+            + ++ ++ ++ ++ +
+            |.  .||.  .  2|
+            +-++-++-++-++-+
+        `,
+        start: { row: 3, col: 0, orientation: 'north' },
+        hand: ['move2', 'move1', 'move2', 'move2', 'turnR', 'turnR', 'move1'],
+        par: { turns: 2 },
+    },
+    {
+        id: 'conveyor-express',
+        name: 'Conveyor Express',
+        description: 'Let the conveyor do the work. Cards come in a fixed order; use as few as you can.',
+        board: `
+            +-++-++-++-++-++-+
+            |.  .  .  O  .  .|
+            + ++ ++ ++ ++ ++ +
+            + ++ ++ ++ ++ ++ +
+            |>  >  >  >  >  1|
+            + ++ ++ ++ ++ ++ +
+            + ++ ++ ++ ++ ++ +
+            |.  .  .  .  .  .|
+            +-++-++-++-++-++-+
+        `,
+        start: { row: 2, col: 0, orientation: 'north' },
+        cardSequence: ['uturn', 'back1', 'move1', 'turnR', 'move2', 'turnL', 'move1', 'move1', 'turnR', 'move2'],
+        par: { cards: 3 },
+    },
+];
@@ -1,205 +1,363 @@
 // cards.js
 import { HAND_SIZE, FULL_DECK_DEFINITION, ALLOWED_CARD_TYPES } from './config.js';
-import { emit } from './eventEmitter.js'; // Import emit
 import * as Logger from './logger.js';
+import { createRandom, generateSeed } from './random.js';
 
-let currentDeck = [];
-let handCards = []; // Array of card data objects { type, text, instanceId }
-let discardPile = [];
-let allCardInstances = {}; // Map: instanceId -> card data object
-let cardInstanceCounter = 0;
+/**
+ * The cards of one game: the draw pile, the hand the first robot is programmed from and
+ * the discard pile. Each game creates its own deck, so two games never deal from the same cards.
+ * Changes are announced as 'handUpdated' and 'cardCountsUpdated' on the game's bus.
+ */
+export class Deck {
+    /**
+     * @param {EventBus|null} [eventBus=null] - The game's bus, or null to deal without announcing.
+     */
+    constructor(eventBus = null) {
+        this.currentDeck = [];
+        this.handCards = []; // Array of card data objects { type, text, priority, instanceId }
+        this.discardPile = [];
+        this.allCardInstances = {}; // Map: instanceId -> card data object
+        this.cardInstanceCounter = 0;
+        this.currentSeed = null; // Seed the deck was initialized with
+        this.random = Math.random; // Seeded generator used by every shuffle
+        this.shuffles = true; // False for a fixed deck, which deals its cards in a set order
+        this.eventBus = eventBus;
+    }
 
-// Fisher-Yates Shuffle
-function shuffle(deck) {
-    Logger.log(`Shuffling ${deck.length} cards...`);
-    for (let i = deck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [deck[i], deck[j]] = [deck[j], deck[i]];
+    // Fisher-Yates Shuffle
+    shuffle(deck) {
+        Logger.log(`Shuffling ${deck.length} cards...`);
+        for (let i = deck.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [deck[i], deck[j]] = [deck[j], deck[i]];
+        }
     }
-}
 
-/** Emits the current card counts */
-function emitCounts() {
-    emit('cardCountsUpdated', {
-        deck: currentDeck.length,
-        discard: discardPile.length,
-        hand: handCards.length
-    });
-}
+    /**
+     * Emits a card event on the game's bus, if there is one.
+     * @param {string} eventName - The name of the event.
+     * @param {any} data - The event payload.
+     */
+    emit(eventName, data) {
+        if (this.eventBus) {
+            this.eventBus.emit(eventName, data);
+        }
+    }
 
-/**
- * Initializes the deck, shuffles, and draws the starting hand.
- * @returns {object[]} The initial hand card data (still useful for initial UI setup).
- */
-export function initDeckAndHand() {
-    // Validate all cards in the FULL_DECK_DEFINITION at initialization
-    for (const cardDef of FULL_DECK_DEFINITION) {
-        if (!ALLOWED_CARD_TYPES.has(cardDef.type)) {
-            throw new Error(`Invalid card type '${cardDef.type}' found in FULL_DECK_DEFINITION. Must be one of ${Array.from(ALLOWED_CARD_TYPES).join(', ')}.`);
+    /** Emits the current card counts */
+    emitCounts() {
+        this.emit('cardCountsUpdated', {
+            deck: this.currentDeck.length,
+            discard: this.discardPile.length,
+            hand: this.handCards.length
+        });
+    }
+
+    /**
+     * Initializes the deck, shuffles, and draws the starting hand.
+     * The seed drives this shuffle and every later reshuffle, so the same seed and
+     * the same programs replay the same game.
+     * @param {number} [seed] - Seed for the shuffles. A fresh one is picked if omitted.
+     * @returns {object[]} The initial hand card data (still useful for initial UI setup).
+     */
+    initDeckAndHand(seed = generateSeed()) {
+        // Validate all cards in the FULL_DECK_DEFINITION at initialization
+        for (const cardDef of FULL_DECK_DEFINITION) {
+            if (!ALLOWED_CARD_TYPES.has(cardDef.type)) {
+                throw new Error(`Invalid card type '${cardDef.type}' found in FULL_DECK_DEFINITION. Must be one of ${Array.from(ALLOWED_CARD_TYPES).join(', ')}.`);
+            }
+            if (!Number.isInteger(cardDef.priority) || cardDef.priority <= 0) {
+                throw new Error(`Invalid priority '${cardDef.priority}' for '${cardDef.type}' card in FULL_DECK_DEFINITION. Must be a positive integer.`);
+            }
         }
+
+        this.currentSeed = seed;
+        this.random = createRandom(seed);
+        this.shuffles = true;
+        Logger.log(`Deck seed: ${seed}`);
+        const deck = [...FULL_DECK_DEFINITION];
+        this.shuffle(deck);
+        return this.resetPilesAndDeal(deck);
     }
 
-    currentDeck = [...FULL_DECK_DEFINITION];
-    shuffle(currentDeck);
-    handCards = [];
-    discardPile = [];
-    allCardInstances = {};
-    cardInstanceCounter = 0;
-    Logger.log(`Deck initialized with ${currentDeck.length} cards.`);
-    const initialHand = draw(HAND_SIZE); // Draw initial hand (this will emit events)
-    // Emit initial counts AFTER drawing is complete
-    // emitCounts(); // draw() already emits counts
-    return initialHand; // Return data for potential direct use in main.js if needed
-}
+    /**
+     * Initializes a deck that deals the given cards in order, first card first, and draws the
+     * starting hand. The deck is never shuffled: when it runs out, the discard pile is dealt
+     * again in the order the cards were discarded. A list one hand long therefore deals the
+     * same hand every turn. Each card takes the priority of an unused card of its type in
+     * FULL_DECK_DEFINITION.
+     * @param {string[]} cardTypes - The card types, in the order they are dealt.
+     * @returns {object[]} The initial hand card data.
+     */
+    initFixedDeck(cardTypes) {
+        const unusedCards = [...FULL_DECK_DEFINITION];
+        const deck = cardTypes.map(type => {
+            const index = unusedCards.findIndex(cardDef => cardDef.type === type);
+            if (index === -1) {
+                throw new Error(`Invalid card '${type}' in fixed deck. Must be one of ${Array.from(ALLOWED_CARD_TYPES).join(', ')}, used at most as often as in FULL_DECK_DEFINITION.`);
+            }
+            return unusedCards.splice(index, 1)[0];
+        });
 
-/**
- * Draws a specified number of cards, handling reshuffling.
- * @param {number} count - Number of cards to draw.
- * @returns {object[]} Array of the drawn card data objects.
- */
-export function draw(count) {
-    Logger.log(`Attempting to draw ${count} cards.`);
-    const drawn = [];
-    let reshuffled = false; // Track if reshuffle happened
-    for (let i = 0; i < count; i++) {
-        if (currentDeck.length === 0) {
-            if (discardPile.length > 0) {
-                Logger.log(`Deck empty. Reshuffling ${discardPile.length} cards from discard.`);
-                currentDeck = [...discardPile];
-                discardPile = [];
-                shuffle(currentDeck);
-                reshuffled = true; // Mark that reshuffle occurred
+        this.currentSeed = null;
+        this.random = Math.random;
+        this.shuffles = false;
+        Logger.log(`Fixed deck: ${cardTypes.join(', ')}`);
+        return this.resetPilesAndDeal(deck.reverse()); // draw() takes cards from the end
+    }
+
+    /**
+     * Replaces the deck, empties the hand and discard pile, and draws the starting hand.
+     * @param {object[]} deck - Card definitions; the last card is drawn first.
+     * @returns {object[]} The initial hand card data.
+     */
+    resetPilesAndDeal(deck) {
+        this.currentDeck = deck;
+        this.handCards = [];
+        this.discardPile = [];
+        this.allCardInstances = {};
+        this.cardInstanceCounter = 0;
+        Logger.log(`Deck initialized with ${this.currentDeck.length} cards.`);
+        const initialHand = this.draw(HAND_SIZE); // Draw initial hand (this will emit events)
+        // Emit initial counts AFTER drawing is complete
+        // this.emitCounts(); // draw() already emits counts
+        return initialHand; // Return data for potential direct use in main.js if needed
+    }
+
+    /**
+     * Draws a specified number of cards, handling reshuffling.
+     * @param {number} count - Number of cards to draw.
+     * @returns {object[]} Array of the drawn card data objects.
+     */
+    draw(count) {
+        Logger.log(`Attempting to draw ${count} cards.`);
+        const drawn = [];
+        let reshuffled = false; // Track if reshuffle happened
+        for (let i = 0; i < count; i++) {
+            if (this.currentDeck.length === 0) {
+                if (this.discardPile.length > 0) {
+                    Logger.log(`Deck empty. Reshuffling ${this.discardPile.length} cards from discard.`);
+                    this.currentDeck = [...this.discardPile];
+                    this.discardPile = [];
+                    if (this.shuffles) {
+                        this.shuffle(this.currentDeck);
+                    } else {
+                        this.currentDeck.reverse(); // Deal in discard order
+                    }
+                    reshuffled = true; // Mark that reshuffle occurred
+                } else {
+                    Logger.warn("Deck and discard pile are empty! Cannot draw more cards.");
+                    break;
+                }
+            }
+
+            if (this.currentDeck.length > 0) {
+                const cardData = this.currentDeck.pop();
+                const instanceId = `card-instance-${this.cardInstanceCounter++}`;
+                const cardInstance = { ...cardData, instanceId: instanceId };
+
+                this.allCardInstances[instanceId] = cardInstance;
+                this.handCards.push(cardInstance);
+                drawn.push(cardInstance);
             } else {
-                Logger.warn("Deck and discard pile are empty! Cannot draw more cards.");
+                Logger.warn("Failed to draw card even after checking discard.");
                 break;
             }
         }
+        Logger.log(`Drew ${drawn.length}. Hand: ${this.handCards.length}. Deck: ${this.currentDeck.length}. Discard: ${this.discardPile.length}.`);
 
-        if (currentDeck.length > 0) {
-            const cardData = currentDeck.pop();
-            const instanceId = `card-instance-${cardInstanceCounter++}`;
-            const cardInstance = { ...cardData, instanceId: instanceId };
-
-            allCardInstances[instanceId] = cardInstance;
-            handCards.push(cardInstance);
-            drawn.push(cardInstance);
-        } else {
-            Logger.warn("Failed to draw card even after checking discard.");
-            break;
+        // Emit events AFTER the draw loop is complete
+        if (drawn.length > 0) {
+            this.emit('handUpdated', [...this.handCards]);
         }
+        // Always emit counts if anything changed (draw happened or reshuffle)
+        if (drawn.length > 0 || reshuffled) {
+             this.emitCounts();
+        }
+
+        return drawn;
     }
-    Logger.log(`Drew ${drawn.length}. Hand: ${handCards.length}. Deck: ${currentDeck.length}. Discard: ${discardPile.length}.`);
 
-    // Emit events AFTER the draw loop is complete
-    if (drawn.length > 0) {
-        emit('handUpdated', [...handCards]);
+    /**
+     * Draws or discards cards so the hand holds the given number of cards.
+     * Surplus cards are discarded from the end of the hand.
+     * @param {number} handSize - The number of cards the hand should hold.
+     * @returns {object[]} Array of the drawn card data objects.
+     */
+    refillHand(handSize) {
+        if (this.handCards.length <= handSize) {
+            return this.draw(handSize - this.handCards.length);
+        }
+        const surplusIds = this.handCards.slice(handSize).map(card => card.instanceId);
+        this.handCards = this.handCards.slice(0, handSize);
+        Logger.log(`Hand limited to ${handSize} cards. Discarding ${surplusIds.length}.`);
+        this.emit('handUpdated', [...this.handCards]);
+        this.discard(surplusIds);
+        return [];
     }
-    // Always emit counts if anything changed (draw happened or reshuffle)
-    if (drawn.length > 0 || reshuffled) {
-         emitCounts();
+
+    /**
+     * Removes a card from the internal this.handCards array.
+     * @param {string} instanceId - The unique ID of the card instance.
+     * @returns {boolean} True if removal was successful.
+     */
+    removeFromHandData(instanceId) {
+        const indexToRemove = this.handCards.findIndex(card => card.instanceId === instanceId);
+        if (indexToRemove > -1) {
+            this.handCards.splice(indexToRemove, 1);
+            Logger.log(`Removed ${instanceId} from hand data. Hand size: ${this.handCards.length}`);
+            this.emit('handUpdated', [...this.handCards]);
+            this.emitCounts();
+            return true;
+        }
+        Logger.warn(`Card ${instanceId} not found in hand data to remove.`);
+        return false;
     }
 
-    return drawn;
-}
+    /**
+     * Adds card data back to the internal this.handCards array (if not already present).
+     * @param {string} instanceId - The unique ID of the card instance.
+     * @returns {boolean} True if addition was successful.
+     */
+    addToHandData(instanceId) {
+        const cardData = this.allCardInstances[instanceId];
+        if (cardData && !this.handCards.some(card => card.instanceId === instanceId)) {
+            this.handCards.push(cardData);
+            Logger.log(`Added ${instanceId} back to hand data. Hand size: ${this.handCards.length}`);
+            this.emit('handUpdated', [...this.handCards]);
+            this.emitCounts();
+            return true;
+        }
+        return false;
+    }
 
-/**
- * Removes a card from the internal handCards array.
- * @param {string} instanceId - The unique ID of the card instance.
- * @returns {boolean} True if removal was successful.
- */
-export function removeFromHandData(instanceId) {
-    const indexToRemove = handCards.findIndex(card => card.instanceId === instanceId);
-    if (indexToRemove > -1) {
-        handCards.splice(indexToRemove, 1);
-        Logger.log(`Removed ${instanceId} from hand data. Hand size: ${handCards.length}`);
-        emit('handUpdated', [...handCards]);
-        emitCounts();
-        return true;
-    }
-    Logger.warn(`Card ${instanceId} not found in hand data to remove.`);
-    return false;
-}
+    /**
+     * Moves card data for the given instance IDs to the discard pile.
+     * @param {string[]} instanceIds - Array of instance IDs to discard.
+     */
+    discard(instanceIds) {
+        let count = 0;
+        let changed = false;
+        instanceIds.forEach(id => {
+            const cardData = this.allCardInstances[id];
+            if (cardData) {
+                // Ensure it's not still in hand data (shouldn't be, but safety check)
+                const handIndex = this.handCards.findIndex(c => c.instanceId === id);
+                if (handIndex > -1) {
+                    Logger.warn(`Card ${id} found in hand during discard phase. Removing.`);
+                    this.handCards.splice(handIndex, 1);
+                    changed = true;
+                }
+                this.discardPile.push(cardData);
+                count++;
+            } else {
+                Logger.warn(`Discard: Cannot find card data for ${id}`);
+            }
+        });
+        Logger.log(`Discarded ${count} cards. Discard size: ${this.discardPile.length}`);
+        if (count > 0) {
+            this.emitCounts();
+        }
+        if (changed) {
+             this.emit('handUpdated', [...this.handCards]);
+        }
+    }
 
-/**
- * Adds card data back to the internal handCards array (if not already present).
- * @param {string} instanceId - The unique ID of the card instance.
- * @returns {boolean} True if addition was successful.
- */
-export function addToHandData(instanceId) {
-    const cardData = allCardInstances[instanceId];
-    if (cardData && !handCards.some(card => card.instanceId === instanceId)) {
-        handCards.push(cardData);
-        Logger.log(`Added ${instanceId} back to hand data. Hand size: ${handCards.length}`);
-        emit('handUpdated', [...handCards]);
-        emitCounts();
-        return true;
-    }
-    return false;
-}
+    /**
+     * Captures the deck, hand and discard pile, the card instance ids and the shuffle
+     * generator's position, so a saved game draws the same cards after it is resumed.
+     * @param {string[]} [slottedIds=[]] - Cards taken from the hand into program slots for a
+     *   turn that has not run yet. They are saved back in the hand, as cards.js no longer holds them.
+     * @returns {object} A JSON-serializable snapshot of the card state.
+     */
+    serializeState(slottedIds = []) {
+        const unknownId = slottedIds.find(id => !this.allCardInstances[id]);
+        if (unknownId) {
+            throw new Error(`Invalid slotted card '${unknownId}'. Must be a dealt card instance.`);
+        }
+        const handIds = this.handCards.map(card => card.instanceId);
+        return {
+            seed: this.currentSeed,
+            randomState: this.random.getState ? this.random.getState() : null,
+            shuffles: this.shuffles,
+            deck: this.currentDeck.map(card => ({ ...card })),
+            hand: [...handIds, ...slottedIds.filter(id => !handIds.includes(id))],
+            discard: this.discardPile.map(card => card.instanceId),
+            instances: Object.values(this.allCardInstances).map(card => ({ ...card })),
+            instanceCounter: this.cardInstanceCounter,
+        };
+    }
 
-/**
- * Moves card data for the given instance IDs to the discard pile.
- * @param {string[]} instanceIds - Array of instance IDs to discard.
- */
-export function discard(instanceIds) {
-    let count = 0;
-    let changed = false;
-    instanceIds.forEach(id => {
-        const cardData = allCardInstances[id];
-        if (cardData) {
-            // Ensure it's not still in hand data (shouldn't be, but safety check)
-            const handIndex = handCards.findIndex(c => c.instanceId === id);
-            if (handIndex > -1) {
-                Logger.warn(`Card ${id} found in hand during discard phase. Removing.`);
-                handCards.splice(handIndex, 1);
-                changed = true;
+    /**
+     * Restores the card state captured by serializeState() and announces the new hand and counts.
+     * @param {object} state - A snapshot from serializeState().
+     */
+    restoreState(state) {
+        const instances = {};
+        state.instances.forEach(card => {
+            instances[card.instanceId] = { ...card };
+        });
+        const lookup = id => {
+            if (!instances[id]) {
+                throw new Error(`Saved card state refers to unknown card instance '${id}'.`);
             }
-            discardPile.push(cardData);
-            count++;
-        } else {
-            Logger.warn(`Discard: Cannot find card data for ${id}`);
-        }
-    });
-    Logger.log(`Discarded ${count} cards. Discard size: ${discardPile.length}`);
-    if (count > 0) {
-        emitCounts();
+            return instances[id];
+        };
+
+        this.allCardInstances = instances;
+        this.currentDeck = state.deck.map(card => ({ ...card }));
+        this.handCards = state.hand.map(lookup);
+        this.discardPile = state.discard.map(lookup);
+        this.cardInstanceCounter = state.instanceCounter;
+        this.currentSeed = state.seed;
+        this.shuffles = state.shuffles !== false; // Snapshots from before fixed decks always shuffle
+        this.random = createRandom(state.randomState !== null ? state.randomState : generateSeed());
+        Logger.log(`Card state restored. Hand: ${this.handCards.length}. Deck: ${this.currentDeck.length}. Discard: ${this.discardPile.length}.`);
+
+        this.emit('handUpdated', [...this.handCards]);
+        this.emitCounts();
     }
-    if (changed) {
-         emit('handUpdated', [...handCards]);
+
+    /**
+     * Returns the seed the deck was initialized with.
+     * @returns {number|null} The seed, or null before initDeckAndHand has run and for a fixed deck.
+     */
+    getSeed() {
+        return this.currentSeed;
     }
-}
 
-/**
- * Returns the current number of cards in the draw pile.
- */
-export function getDeckSize() {
-    return currentDeck.length;
-}
+    /**
+     * Returns the current number of cards in the draw pile.
+     */
+    getDeckSize() {
+        return this.currentDeck.length;
+    }
 
-/**
- * Returns the current number of cards in the discard pile.
- */
-export function getDiscardSize() {
-    return discardPile.length;
-}
+    /**
+     * Returns the current number of cards in the discard pile.
+     */
+    getDiscardSize() {
+        return this.discardPile.length;
+    }
 
-/**
- * Returns the current number of cards in the hand data array.
- */
-export function getHandSize() {
-    return handCards.length;
-}
+    /**
+     * Returns the current number of cards in the hand data array.
+     */
+    getHandSize() {
+        return this.handCards.length;
+    }
 
-/**
- * Returns a copy of the current hand card data.
- */
-export function getHandCards() {
-    return [...handCards]; // Return a copy
-}
+    /**
+     * Returns a copy of the current hand card data.
+     */
+    getHandCards() {
+        return [...this.handCards]; // Return a copy
+    }
 
-/**
- * Gets the data object for a specific card instance.
- */
-export function getCardData(instanceId) {
-    return allCardInstances[instanceId];
-}
\ No newline at end of file
+    /**
+     * Gets the data object for a specific card instance.
+     */
+    getCardData(instanceId) {
+        return this.allCardInstances[instanceId];
+    }
+}
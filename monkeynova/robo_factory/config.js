@@ -2,6 +2,9 @@
 export const HAND_SIZE = 7;
 export const PROGRAM_SIZE = 5;
 export const MAX_HEALTH = 10;
+// Each point of damage deals one fewer card. Damage beyond this threshold also locks one
+// program register per point, starting from the last, so the hand never runs short.
+export const REGISTER_LOCK_DAMAGE_THRESHOLD = HAND_SIZE - PROGRAM_SIZE;
 export const TILE_SIZE = 50; // Define tile size in pixels
 
 // Board dimensions (can be derived, but useful for reference)
@@ -20,19 +23,64 @@ export const ALLOWED_CARD_TYPES = new Set([
     'uturn',
 ]);
 
-export const ALLOWED_EVENT_NAMES = new Set([
-    'robotMoved',
-    'robotTurned',
-    'healthChanged',
-    'flagVisited',
-    'gameOver',
-    'handUpdated',
-    'cardCountsUpdated',
-    'programExecutionFinished',
-    'livesChanged', // Event for lives changing
-    'powerDownIntentChanged', // Event for power down intent changing
-    'isPoweredDownChanged',   // Event for robot being powered down
-]);
+// Phases of a register in the order they resolve (see simulation.js). Every simulated
+// action is tagged with the phase it happened in.
+export const REGISTER_PHASES = [
+    'cards',
+    'expressConveyors',
+    'conveyors',
+    'pushers',
+    'gears',
+    'crushers',
+    'boardLasers',
+    'robotLasers',
+    'checkpoints', // Repair stations, checkpoints and holes
+];
+
+// Names of the register phases shown by the playback controls
+export const REGISTER_PHASE_LABELS = {
+    cards: 'Cards',
+    expressConveyors: 'Express conveyors',
+    conveyors: 'Conveyors',
+    pushers: 'Pushers',
+    gears: 'Gears',
+    crushers: 'Crushers',
+    boardLasers: 'Board lasers',
+    robotLasers: 'Robot lasers',
+    checkpoints: 'Checkpoints',
+};
+
+// Events and the payload each one carries (checked by EventBus in eventEmitter.js).
+// A payload is an object of field types, a single type, or null for no payload. Field types
+// are 'string', 'number', 'boolean', 'object' or 'array'; a trailing '?' also allows null.
+// Payloads may carry fields beyond the ones listed.
+const ROBOT_POSITION_PAYLOAD = { robotId: 'string', row: 'number', col: 'number', orientation: 'string' };
+export const EVENT_SCHEMAS = {
+    robotMoved: ROBOT_POSITION_PAYLOAD,
+    robotTurned: ROBOT_POSITION_PAYLOAD,
+    healthChanged: { robotId: 'string', health: 'number', maxHealth: 'number' },
+    flagVisited: { robotId: 'string', flagKey: 'string', visitedOrder: 'number' },
+    gameOver: { isWin: 'boolean', robotId: 'string?' }, // No robot when every robot is destroyed
+    handUpdated: 'array', // The cards in the hand
+    cardCountsUpdated: { deck: 'number', discard: 'number', hand: 'number' },
+    programExecutionFinished: null,
+    livesChanged: { robotId: 'string', lives: 'number' },
+    robotDestroyed: { robotId: 'string' }, // A robot ran out of lives
+    powerDownIntentChanged: { robotId: 'string', powerDownIntent: 'boolean' },
+    isPoweredDownChanged: { robotId: 'string', isPoweredDown: 'boolean' },
+    programStepChanged: { step: 'number?' }, // The register being resolved (toggle walls); null between turns
+    editorBoardChanged: { board: 'object?', error: 'string?', issues: 'array', starts: 'array' }, // No board while the edit is invalid
+    levelFinished: { levelId: 'string', completed: 'boolean', turns: 'number', cardsUsed: 'number', stars: 'number' },
+    // What happens during a turn, for the UI, sound, analytics and replays
+    turnStarted: { robotIds: 'array', poweredDownIds: 'array' }, // The robots taking part; powered down ones play no cards
+    registerStarted: { register: 'number' }, // Same numbering as programStepChanged
+    moveBlocked: { robotId: 'string', row: 'number', col: 'number', direction: 'string', reason: 'string' }, // Any move: cards, conveyors, pushers, oil. reason: 'wall' or 'edge' that stopped the robot or the front of the chain it pushed
+    robotConveyed: { robotId: 'string', fromRow: 'number', fromCol: 'number', row: 'number', col: 'number', direction: 'string', express: 'boolean' },
+    pusherFired: { robotId: 'string', row: 'number', col: 'number', direction: 'string' }, // The pusher's tile and push direction; a blocked push reports moveBlocked instead
+    gearRotated: { robotId: 'string', row: 'number', col: 'number', rotation: 'string' }, // rotation: 'cw' or 'ccw'
+    laserHit: { robotId: 'string', source: 'string', shooterId: 'string?', row: 'number', col: 'number', direction: 'string', damage: 'number' }, // source: 'board' (row/col of the emitter) or 'robot' (the shooter's tile)
+    robotRespawned: { robotId: 'string', row: 'number', col: 'number', orientation: 'string', lives: 'number' },
+};
 
 export const ALLOWED_LOG_LEVELS = new Set([
     'LOG',
@@ -40,10 +88,14 @@ export const ALLOWED_LOG_LEVELS = new Set([
     'ERROR',
 ]);
 
+// Body colors for robots on the board, assigned in list order (wraps around)
+export const ROBOT_COLORS = ['#f9a', '#9cf', '#ad8', '#fc6', '#c9f', '#8dd'];
+
 export const TURN_LEFT = 'left';
 export const TURN_RIGHT = 'right';
 
 export const CHECKPOINT_ORDER_PROPERTY = 'order'; // Property name for checkpoint order
+export const DEFAULT_CRUSHER_DAMAGE = 1; // Damage a crusher deals when it has no 'damage' property
 
 // Optional: Mapping for symbols if needed beyond CSS ::after
 export const TILE_SYMBOLS = {
@@ -62,6 +114,16 @@ export const TILE_SYMBOLS = {
     'conveyor-south-speed-2x': '⇓',
     'gear-cw': '↻',
     'gear-ccw': '↺',
+    // Conveyors that rotate the robots they carry in
+    'conveyor-turn-left': '↶',
+    'conveyor-turn-right': '↷',
+    'crusher': '⚒',
+    'teleporter': '◎',
+    // One-way gates, pointing the way robots may cross
+    'gate-north': '▲',
+    'gate-south': '▼',
+    'gate-east': '▶',
+    'gate-west': '◀',
 };
 
 // Push Panel Colors
@@ -73,31 +135,111 @@ export const PUSH_PANEL_TEXT_COLOR = '#FFFFFF'; // White
 export const CONVEYOR_BASE_COLOR = '#aaddff'; // Light blue
 export const CONVEYOR_STRIPE_COLOR = '#77bbee'; // Slightly darker blue for stripes
 
+// Lasers
+export const ROBOT_LASER_COLOR = '#ff8c00'; // DarkOrange, to tell robot beams from red board beams
+export const MAX_LASER_STRENGTH = 3; // Board lasers may fire single, double or triple beams
+export const LASER_BEAM_SPACING = 4; // Pixels between the parallel lines of a multi-beam laser
+
+// Ghost path preview drawn while programming (see preview.js)
+export const GHOST_PATH_COLOR = 'rgba(40, 90, 200, 0.7)'; // Translucent blue, drawn over the tiles
+export const GHOST_RISK_COLOR = '#e03030'; // Marks steps that cost the robot a life
+
+// Saved games
+export const SAVE_FORMAT_VERSION = 1; // Bump when the snapshot layout changes
+export const AUTOSAVE_STORAGE_KEY = 'roboFactory.autosave'; // Written after every turn, resumed on load
+export const MANUAL_SAVE_STORAGE_KEY = 'roboFactory.save'; // Written by the Save button
+
+// Board files
+export const BOARD_FILE_FORMAT = 'robo-factory-board'; // Value of the 'format' field in board JSON files
+export const BOARD_FILE_VERSION = 1; // Bump when the board file layout changes
+export const BOARD_FILE_DIRECTORY = 'boards'; // Where ?board=<name> looks for <name>.json
+export const ALLOWED_BOARD_RULES = new Set(['edgesArePits']); // Rule overrides a board file may set
+
+// Board editor
+export const EDITOR_DEFAULT_ROWS = 8; // Size of the empty board the editor starts with
+export const EDITOR_DEFAULT_COLS = 8;
+export const EDITOR_MAX_BOARD_SIZE = 40; // Largest number of rows or columns the editor allows
+
+// Campaign
+export const CAMPAIGN_PROGRESS_STORAGE_KEY = 'roboFactory.campaign'; // Best result of every finished level
+export const CAMPAIGN_PROGRESS_VERSION = 1; // Bump when the progress layout changes
+export const CAMPAIGN_MAX_STARS = 3; // Earned by finishing a level at or under par
+export const CAMPAIGN_TWO_STAR_SLACK = { turns: 1, cards: PROGRAM_SIZE }; // How far over par still earns two stars
+
+// Program solver (see solver.js)
+export const SOLVER_BEAM_WIDTH = 3; // End states carried from one turn to the next when searching several turns
+export const SOLVER_MAX_TURNS = 8; // Turns searched before a board is reported unsolved
+
+// Board generator
+export const GENERATOR_DEFAULT_ROWS = 12;
+export const GENERATOR_DEFAULT_COLS = 12;
+export const GENERATOR_MIN_SIZE = 4; // Smallest number of rows or columns a generated board may have
+export const GENERATOR_MAX_SIZE = 40;
+// Per difficulty: checkpoints to visit, share of tiles given a hazard, chance a conveyor is express, strongest laser
+export const GENERATOR_DIFFICULTIES = {
+    easy: { checkpoints: 2, hazardDensity: 0.08, expressConveyorChance: 0, maxLaserStrength: 1 },
+    medium: { checkpoints: 3, hazardDensity: 0.15, expressConveyorChance: 0.3, maxLaserStrength: 2 },
+    hard: { checkpoints: 4, hazardDensity: 0.25, expressConveyorChance: 0.5, maxLaserStrength: 3 },
+};
+// Relative chance of each feature when a hazard is placed; override per board with the generator's `weights` option
+export const GENERATOR_DEFAULT_WEIGHTS = { hole: 3, conveyor: 3, gear: 2, wall: 4, laser: 1, pusher: 1, crusher: 1, oil: 1 };
+
+// ASCII board notation (see asciiBoard.js)
+export const ASCII_TILE_SIZE = 3; // Each tile is a 3x3 block of characters
+export const ASCII_CORNER = '+'; // Corner character of every tile block
+export const ASCII_WALL_MARKERS = new Set(['-', '|', '#']); // Any of these on a side draws a permanent wall
+export const ASCII_LASER_MARKER = 'L'; // Plain laser (strength 1, fires every step) mounted on that side
+export const ASCII_GATE_MARKERS = { '^': 'north', 'v': 'south', '>': 'east', '<': 'west' }; // Gate open the way the arrow points
+export const ASCII_ROBOT_MARKER = '@'; // Drawn over the floor where a robot stands (diagnostics only)
+// Floor characters that need no legend entry
+export const ASCII_FLOOR_SYMBOLS = {
+    '.': { type: 'none' },
+    'O': { type: 'hole' },
+    'R': { type: 'repair-station' },
+    '~': { type: 'oil' },
+    ')': { type: 'gear', direction: 'cw' },
+    '(': { type: 'gear', direction: 'ccw' },
+    '^': { type: 'conveyor', direction: 'north', speed: 1 },
+    'v': { type: 'conveyor', direction: 'south', speed: 1 },
+    '>': { type: 'conveyor', direction: 'east', speed: 1 },
+    '<': { type: 'conveyor', direction: 'west', speed: 1 },
+};
+
+// Replays
+export const REPLAY_FORMAT_VERSION = 1; // Bump when the replay log layout changes
+export const REPLAY_STORAGE_KEY = 'roboFactory.replay'; // Holds the replay being watched across the page reload
+export const REPLAY_MAX_EVENT_DELAY = 1000; // Longest pause (ms, at 1x) between replayed events
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4]; // Playback speeds offered by the replay controls
+
+// Turn playback (see playback.js)
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4]; // Speeds offered while a turn plays; the ends are the allowed range
+
 // Card definitions (can also live in cards.js)
+// Each card has a unique priority; within a register, the robot holding the higher priority card acts first.
 export const FULL_DECK_DEFINITION = [
     // Move 1 (18)
-    { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' },
-    { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' },
-    { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' },
-    { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' },
-    { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' },
-    { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' }, { type: 'move1', text: 'Move 1' },
+    { type: 'move1', text: 'Move 1', priority: 490 }, { type: 'move1', text: 'Move 1', priority: 500 }, { type: 'move1', text: 'Move 1', priority: 510 },
+    { type: 'move1', text: 'Move 1', priority: 520 }, { type: 'move1', text: 'Move 1', priority: 530 }, { type: 'move1', text: 'Move 1', priority: 540 },
+    { type: 'move1', text: 'Move 1', priority: 550 }, { type: 'move1', text: 'Move 1', priority: 560 }, { type: 'move1', text: 'Move 1', priority: 570 },
+    { type: 'move1', text: 'Move 1', priority: 580 }, { type: 'move1', text: 'Move 1', priority: 590 }, { type: 'move1', text: 'Move 1', priority: 600 },
+    { type: 'move1', text: 'Move 1', priority: 610 }, { type: 'move1', text: 'Move 1', priority: 620 }, { type: 'move1', text: 'Move 1', priority: 630 },
+    { type: 'move1', text: 'Move 1', priority: 640 }, { type: 'move1', text: 'Move 1', priority: 650 }, { type: 'move1', text: 'Move 1', priority: 660 },
     // Move 2 (10)
-    { type: 'move2', text: 'Move 2' }, { type: 'move2', text: 'Move 2' }, { type: 'move2', text: 'Move 2' },
-    { type: 'move2', text: 'Move 2' }, { type: 'move2', text: 'Move 2' }, { type: 'move2', text: 'Move 2' },
-    { type: 'move2', text: 'Move 2' }, { type: 'move2', text: 'Move 2' }, { type: 'move2', text: 'Move 2' },
-    { type: 'move2', text: 'Move 2' },
+    { type: 'move2', text: 'Move 2', priority: 670 }, { type: 'move2', text: 'Move 2', priority: 680 }, { type: 'move2', text: 'Move 2', priority: 690 },
+    { type: 'move2', text: 'Move 2', priority: 700 }, { type: 'move2', text: 'Move 2', priority: 710 }, { type: 'move2', text: 'Move 2', priority: 720 },
+    { type: 'move2', text: 'Move 2', priority: 730 }, { type: 'move2', text: 'Move 2', priority: 740 }, { type: 'move2', text: 'Move 2', priority: 750 },
+    { type: 'move2', text: 'Move 2', priority: 760 },
     // Back 1 (6)
-    { type: 'back1', text: 'Back 1' }, { type: 'back1', text: 'Back 1' }, { type: 'back1', text: 'Back 1' },
-    { type: 'back1', text: 'Back 1' }, { type: 'back1', text: 'Back 1' }, { type: 'back1', text: 'Back 1' },
+    { type: 'back1', text: 'Back 1', priority: 430 }, { type: 'back1', text: 'Back 1', priority: 440 }, { type: 'back1', text: 'Back 1', priority: 450 },
+    { type: 'back1', text: 'Back 1', priority: 460 }, { type: 'back1', text: 'Back 1', priority: 470 }, { type: 'back1', text: 'Back 1', priority: 480 },
     // Turn L (9)
-    { type: 'turnL', text: 'Turn L' }, { type: 'turnL', text: 'Turn L' }, { type: 'turnL', text: 'Turn L' },
-    { type: 'turnL', text: 'Turn L' }, { type: 'turnL', text: 'Turn L' }, { type: 'turnL', text: 'Turn L' },
-    { type: 'turnL', text: 'Turn L' }, { type: 'turnL', text: 'Turn L' }, { type: 'turnL', text: 'Turn L' },
+    { type: 'turnL', text: 'Turn L', priority: 70 }, { type: 'turnL', text: 'Turn L', priority: 110 }, { type: 'turnL', text: 'Turn L', priority: 150 },
+    { type: 'turnL', text: 'Turn L', priority: 190 }, { type: 'turnL', text: 'Turn L', priority: 230 }, { type: 'turnL', text: 'Turn L', priority: 270 },
+    { type: 'turnL', text: 'Turn L', priority: 310 }, { type: 'turnL', text: 'Turn L', priority: 350 }, { type: 'turnL', text: 'Turn L', priority: 390 },
     // Turn R (9)
-    { type: 'turnR', text: 'Turn R' }, { type: 'turnR', text: 'Turn R' }, { type: 'turnR', text: 'Turn R' },
-    { type: 'turnR', text: 'Turn R' }, { type: 'turnR', text: 'Turn R' }, { type: 'turnR', text: 'Turn R' },
-    { type: 'turnR', text: 'Turn R' }, { type: 'turnR', text: 'Turn R' }, { type: 'turnR', text: 'Turn R' },
+    { type: 'turnR', text: 'Turn R', priority: 80 }, { type: 'turnR', text: 'Turn R', priority: 120 }, { type: 'turnR', text: 'Turn R', priority: 160 },
+    { type: 'turnR', text: 'Turn R', priority: 200 }, { type: 'turnR', text: 'Turn R', priority: 240 }, { type: 'turnR', text: 'Turn R', priority: 280 },
+    { type: 'turnR', text: 'Turn R', priority: 320 }, { type: 'turnR', text: 'Turn R', priority: 360 }, { type: 'turnR', text: 'Turn R', priority: 400 },
     // U-Turn (2)
-    { type: 'uturn', text: 'U-Turn' }, { type: 'uturn', text: 'U-Turn' },
+    { type: 'uturn', text: 'U-Turn', priority: 10 }, { type: 'uturn', text: 'U-Turn', priority: 20 },
 ];
@@ -1,48 +1,155 @@
 // eventEmitter.js
-import { ALLOWED_EVENT_NAMES } from './config.js';
+import { EVENT_SCHEMAS } from './config.js';
 
-const listeners = {};
+/**
+ * Checks a value against one field type from EVENT_SCHEMAS.
+ * @param {any} value - The value to check.
+ * @param {string} type - e.g. 'number', or 'string?' to also allow null.
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    if (type.endsWith('?')) {
+        return value === null || matchesType(value, type.slice(0, -1));
+    }
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+    return typeof value === type;
+}
 
 /**
- * Subscribe to an event.
- * @param {string} eventName - The name of the event.
- * @param {Function} callback - Function to execute when event is emitted.
+ * Describes how a payload breaks its event's schema.
+ * @param {object|string|null} schema - The event's entry in EVENT_SCHEMAS.
+ * @param {any} data - The payload.
+ * @returns {string|null} The problem, or null if the payload fits.
  */
-export function on(eventName, callback) {
-    if (!ALLOWED_EVENT_NAMES.has(eventName)) {
-        console.warn(`Attempted to subscribe to unknown event: "${eventName}". Allowed events are: ${Array.from(ALLOWED_EVENT_NAMES).join(', ')}.`);
-        return; // Do not subscribe to unknown events
+function findPayloadProblem(schema, data) {
+    if (schema === null) {
+        return data === undefined || data === null ? null : 'Must have no payload.';
     }
-    if (!listeners[eventName]) {
-        listeners[eventName] = [];
+    if (typeof schema === 'string') {
+        return matchesType(data, schema) ? null : `Payload must be ${schema}.`;
     }
-    listeners[eventName].push(callback);
+    if (!matchesType(data, 'object')) {
+        return 'Payload must be an object.';
+    }
+    const badField = Object.keys(schema).find(field => !matchesType(data[field], schema[field]));
+    return badField ? `Field '${badField}' must be ${schema[badField]}, got ${JSON.stringify(data[badField])}.` : null;
 }
 
 /**
- * Emit an event, calling all subscribed listeners.
- * @param {string} eventName - The name of the event.
- * @param {any} [data] - Optional data to pass to listeners.
+ * Delivers events from the game to its listeners. Each game owns one bus, created in
+ * main.js and passed to the board, robots, cards, game loop, UI and replays, so two
+ * games (or a test beside a game) never hear each other. Events and their payloads
+ * must match the bus's schema (EVENT_SCHEMAS by default), so a misspelled name or a
+ * missing field is reported where it is emitted.
+ * Listeners may be async: emit() returns a promise that settles once they all have.
  */
-export function emit(eventName, data) {
-    if (!ALLOWED_EVENT_NAMES.has(eventName)) {
-        console.warn(`Attempted to emit unknown event: "${eventName}". Allowed events are: ${Array.from(ALLOWED_EVENT_NAMES).join(', ')}.`);
-        return; // Do not emit unknown events
+export class EventBus {
+    /**
+     * @param {object} [schemas=EVENT_SCHEMAS] - Event name -> payload schema.
+     */
+    constructor(schemas = EVENT_SCHEMAS) {
+        this.schemas = schemas;
+        this.listeners = new Map(); // Event name -> callbacks, in subscription order
+        this.anyListeners = []; // Called for every emitted event, e.g. by the replay recorder
+    }
+
+    /**
+     * Subscribe to an event.
+     * @param {string} eventName - The name of the event.
+     * @param {Function} callback - Called with the event's payload.
+     * @returns {Function} Call to unsubscribe.
+     */
+    on(eventName, callback) {
+        if (!(eventName in this.schemas)) {
+            console.warn(`Attempted to subscribe to unknown event: "${eventName}". Allowed events are: ${Object.keys(this.schemas).join(', ')}.`);
+            return () => {}; // Do not subscribe to unknown events
+        }
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, []);
+        }
+        this.listeners.get(eventName).push(callback);
+        return () => this.off(eventName, callback);
     }
-    if (listeners[eventName]) {
-        listeners[eventName].forEach(callback => {
+
+    /**
+     * Subscribe to the next emission of an event only.
+     * @param {string} eventName - The name of the event.
+     * @param {Function} callback - Called with the event's payload.
+     * @returns {Function} Call to unsubscribe before the event happens.
+     */
+    once(eventName, callback) {
+        const onceCallback = (data) => {
+            this.off(eventName, onceCallback);
+            return callback(data);
+        };
+        onceCallback.original = callback; // Lets off() find it by the callback that was passed in
+        return this.on(eventName, onceCallback);
+    }
+
+    /**
+     * Unsubscribe a callback from an event. Does nothing if it is not subscribed.
+     * @param {string} eventName - The name of the event.
+     * @param {Function} callback - The callback passed to on() or once().
+     */
+    off(eventName, callback) {
+        const callbacks = this.listeners.get(eventName);
+        if (!callbacks) return;
+        const index = callbacks.findIndex(candidate => candidate === callback || candidate.original === callback);
+        if (index > -1) callbacks.splice(index, 1);
+    }
+
+    /**
+     * Subscribe to every event.
+     * @param {Function} callback - Called with (eventName, data) for each emitted event.
+     * @returns {Function} Call to unsubscribe.
+     */
+    onAny(callback) {
+        this.anyListeners.push(callback);
+        return () => {
+            const index = this.anyListeners.indexOf(callback);
+            if (index > -1) this.anyListeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Emit an event, calling all subscribed listeners in order. Errors thrown by a
+     * listener, or rejected by an async one, are reported and do not stop the others.
+     * @param {string} eventName - The name of the event.
+     * @param {any} [data] - The payload, matching the event's schema.
+     * @returns {Promise<void>} Settles once every async listener has finished.
+     */
+    emit(eventName, data) {
+        if (!(eventName in this.schemas)) {
+            console.warn(`Attempted to emit unknown event: "${eventName}". Allowed events are: ${Object.keys(this.schemas).join(', ')}.`);
+            return Promise.resolve(); // Do not emit unknown events
+        }
+        const problem = findPayloadProblem(this.schemas[eventName], data);
+        if (problem) {
+            console.warn(`Attempted to emit "${eventName}" with an invalid payload. ${problem}`);
+            return Promise.resolve(); // Do not emit malformed events
+        }
+        const pending = [];
+        const call = (callback, args, description) => {
+            const report = (e) => console.error(`Error in listener for ${description}:`, e);
             try {
-                callback(data);
+                const result = callback(...args);
+                if (result && typeof result.then === 'function') {
+                    pending.push(Promise.resolve(result).catch(report));
+                }
             } catch (e) {
-                console.error(`Error in listener for event "${eventName}":`, e);
+                report(e);
             }
-        });
+        };
+        // Copies, so listeners that unsubscribe while being called do not skip their neighbours
+        [...this.anyListeners].forEach(callback => call(callback, [eventName, data], `all events (while emitting "${eventName}")`));
+        [...(this.listeners.get(eventName) || [])].forEach(callback => call(callback, [data], `event "${eventName}"`));
+        return Promise.all(pending).then(() => undefined);
     }
-}
 
-/** Remove all listeners (useful for resets) */
-export function offAll() {
-    for (const eventName in listeners) {
-        delete listeners[eventName];
+    /** Remove all listeners (useful for resets) */
+    offAll() {
+        this.listeners.clear();
+        this.anyListeners.length = 0;
     }
 }
@@ -1,312 +1,203 @@
 // gameLoop.js
 import * as Config from './config.js';
 import { Board } from './board.js';
-import * as Cards from './cards.js'; 
 import * as Logger from './logger.js';
-import { emit } from './eventEmitter.js';
-import { TURN_LEFT, TURN_RIGHT } from './config.js'; // Import constants for robot turns
+import { Simulation } from './simulation.js';
 
-// Simple sleep utility
-let isTesting = false; // Flag to indicate if tests are running
-
-export function setTestingMode(mode) {
-    isTesting = mode;
-}
-
-function sleep(ms) {
-    if (isTesting) {
-        return Promise.resolve(); // Resolve immediately during tests
+/**
+ * Shows a simulation's recorded actions on the real board and robots, in order.
+ * Each robot event first gives the robot the state recorded with it, so listeners that
+ * read robot state see the same position as the event. Every action goes through the
+ * playback controller, which may hold it while paused; pauses wait at the playback speed.
+ * @param {object[]} actions - Actions from Simulation.takeActions().
+ * @param {object} boardData - The real board.
+ * @param {Robot[]} robots - The real robots.
+ * @param {PlaybackController} playback - Paces the game's turns.
+ */
+async function playActions(actions, boardData, robots, playback) {
+    for (const action of actions) {
+        await playback.enterPhase(action.register, action.phase);
+        if (action.pause) {
+            await playback.wait(action.pause);
+        } else if (action.robotId) {
+            const robot = robots.find(candidate => candidate.id === action.robotId);
+            robot.restoreState(action.state);
+            robot.notify(action.event, action.data);
+        } else if (action.event === 'programStepChanged') {
+            boardData.setProgramStep(action.data.step);
+        } else {
+            boardData.notify(action.event, action.data);
+        }
     }
-    return new Promise(resolve => setTimeout(resolve, ms)); 
 }
 
 /**
- * Executes a single programmed card action.
- * @param {Robot} robot - The robot instance.
- * @param {object} cardData - The card data object to execute.
- * @param {object} boardData - The parsed board data.
- * @param {Function} sleep - The sleep utility function.
- * @returns {Promise<boolean>} True if a card action was performed, false otherwise.
+ * Resolves part of a turn with the simulation rules, then plays what happened onto the
+ * real board and robots. The robots end in the simulated state, including changes that
+ * emit no event (such as the last visited station).
+ * @param {object} boardData - The real board.
+ * @param {Robot[]} robots - The real robots.
+ * @param {PlaybackController} playback - Paces the game's turns.
+ * @param {Function} resolve - (simulation) => result, runs the rules on the simulation.
+ * @returns {Promise<object>} What resolve returned.
  */
-async function tryExecuteSingleCard(robot, cardData, boardData, sleep) {
-    if (!cardData) {
-        return false;
-    }
-
-    let cardActionTaken = false;
-    if (cardData.type === 'turnL') {
-        robot.turn(TURN_LEFT);
-        cardActionTaken = true;
-    } else if (cardData.type === 'turnR') {
-        robot.turn(TURN_RIGHT);
-        cardActionTaken = true;
-    }
-    else if (cardData.type === 'uturn') {
-        robot.uTurn();
-        cardActionTaken = true;
-    }
-    else { // Movement cards (move1, move2, back1)
-        const moveCount = cardData.type === 'move2' ? 2 : 1;
-        const stepType = cardData.type === 'back1' ? -1 : 1;
-
-        for (let moveStep = 0; moveStep < moveCount; moveStep++) {
-            const moveTarget = robot.calculateMoveTarget(stepType, boardData);
-
-            if (moveTarget.success) {
-                Logger.log(`   Attempting move step ${moveStep + 1} to (${moveTarget.targetRow}, ${moveTarget.targetCol})`);
-                robot.setPosition(moveTarget.targetRow, moveTarget.targetCol);
-                cardActionTaken = true;
-                if (moveCount > 1) await sleep(500);
-            } else {
-                if (moveTarget.blockedByWall) {
-                    Logger.log("   Move failed: Hit wall.");
-                } else {
-                    Logger.log("   Move failed: Hit boundary.");
-                }
-                if (moveCount > 1) break;
-            }
-        }
-    }
-    return cardActionTaken;
+async function resolveAndPlay(boardData, robots, playback, resolve) {
+    const simulation = new Simulation(boardData, robots.map(robot => robot.serialize()), { logging: true });
+    const result = resolve(simulation);
+    await playActions(simulation.takeActions(), boardData, robots, playback);
+    simulation.getRobotStates().forEach((state, index) => robots[index].restoreState(state));
+    return result;
 }
 
 /**
- * Applies effects of the tile the robot is currently on.
+ * Applies the board elements to every robot for one register, in phase order:
+ * express conveyors, all conveyors, push panels, gears, crushers, board lasers, robot lasers,
+ * then repair stations, checkpoints and holes.
  * @param {object} boardData - The parsed board data.
- * @param {Robot} robot - The robot instance.
+ * @param {Robot[]} robots - All robots in the game. Destroyed robots are skipped.
  * @param {number} currentProgramStep - The current step number of the program execution.
+ * @param {PlaybackController} playback - Paces the game's turns.
  * @returns {Promise<object>} { gameEnded, boardMoved, fellInHole }
  */
-export async function applyBoardEffects(boardData, robot, currentProgramStep, initialRobotState) {
-    Logger.log("   Checking board actions...");
-    let boardMoved = false; // Track if ANY movement happened this phase
-    let gameEnded = false;
-    let fellInHole = false; // Make sure this is declared
-    let finalTileData = boardData.getTileData(robot.row, robot.col); // Declare and initialize here
-
-    // --- 1. Conveyor Movement ---
-    // Phase 1: Check 2x Conveyor
-    let tileData = boardData.getTileData(robot.row, robot.col);
-    Logger.log(`      Phase 1: Checking 2x Conveyor ${tileData}`);
-
-    const conveyor2xResult = tileData.tryApplySpeed2xConveyor(robot.getRobotState(), boardData);
-    if (conveyor2xResult.moved) {
-        robot.setPosition(conveyor2xResult.newR, conveyor2xResult.newC);
-        boardMoved = true;
-        await sleep(150); // Short delay after phase 1 movement
-    }
-
-    // Phase 2: Check All Conveyors
-    Logger.log("      Phase 2: Checking All Conveyors");
-    tileData = boardData.getTileData(robot.row, robot.col);
-
-    const conveyorResult = tileData.tryApplyConveyor(robot.getRobotState(), boardData);
-    if (conveyorResult.moved) {
-        robot.setPosition(conveyorResult.newR, conveyorResult.newC);
-        boardMoved = true;
-        await sleep(150); // Short delay after phase 2 movement
-    }
-    // --- End Conveyor Movement ---
-
-    // --- 2. Push Panel Movement ---
-    Logger.log("      Phase 3: Checking Push Panels");
-    finalTileData = boardData.getTileData(robot.row, robot.col); // Re-fetch after conveyor movement
-    const pushPanelResult = finalTileData.tryPushPanel(robot.getRobotState(), boardData, currentProgramStep);
-    if (pushPanelResult.moved) {
-        robot.setPosition(pushPanelResult.newR, pushPanelResult.newC);
-        boardMoved = true;
-        await sleep(150); // Short delay after push panel movement
-    }
-
-    // --- Get Final State After Push Panels ---
-    // Ensure robotState reflects the final position after push panels
-    // No need to re-assign finalTileData here, it's updated by robotState
-
-    // --- 3. Gear Rotation ---
-    finalTileData = boardData.getTileData(robot.row, robot.col); // Re-fetch after potential movement
-    if (finalTileData.floorDevice.type === 'gear' && finalTileData.floorDevice.direction === 'cw') {
-        Logger.log(`   On clockwise gear. Turning right.`);
-        robot.turn('right');
-        await sleep(350); // Wait for turn animation
-    } else if (finalTileData.floorDevice.type === 'gear' && finalTileData.floorDevice.direction === 'ccw') {
-        Logger.log(`   On counter-clockwise gear. Turning left.`);
-        robot.turn('left');
-        await sleep(350);
-    }
-    // --- End Gear Rotation ---
-
-
-    // --- 3. Laser Firing ---
-    const laserGameEnded = await boardData.applyLasers(robot, sleep);
-    if (laserGameEnded) {
-        gameEnded = true;
-        // If game didn't end, but a life was lost, handle respawn
-        if (!robot.isDestroyed()) {
-            const respawnGameEnded = await handleRobotRespawn(robot, initialRobotState, sleep);
-            if (respawnGameEnded) gameEnded = true;
-        }
-        return { gameEnded, boardMoved, fellInHole }; // Exit early if game over
-    }
-    // --- End Laser Firing ---
-
-
-    // --- 4. Repair Station ---
-    const repairStationResult = finalTileData.tryApplyRepairStation(robot, boardData);
-    if (repairStationResult.gameEnded) {
-        gameEnded = true;
-    }
-
-    // --- Checkpoint ---
-    const checkpointResult = finalTileData.tryApplyCheckpoint(robot, boardData);
-    if (checkpointResult.gameEnded) {
-        gameEnded = true;
-    }
-
-    // --- 4. Hole ---
-    if (!gameEnded) { // Only check for hole if game hasn't ended from repair station
-        const holeResult = await finalTileData.tryApplyHole(robot, boardData);
-        if (holeResult.gameEnded) {
-            gameEnded = true;
-        }
-        if (holeResult.fellInHole) {
-            fellInHole = true;
-            // If game didn't end, but a life was lost, handle respawn
-            if (!robot.isDestroyed()) {
-                Logger.log(`   DEBUG: applyBoardEffects passing initialRobotState to handleRobotRespawn: ${JSON.stringify(initialRobotState)}`);
-                const respawnGameEnded = await handleRobotRespawn(robot, initialRobotState, sleep);
-                if (respawnGameEnded) gameEnded = true;
-            }
-        }
-    }
-
-    return { gameEnded, boardMoved, fellInHole };
+export async function applyBoardEffects(boardData, robots, currentProgramStep, playback) {
+    return resolveAndPlay(boardData, robots, playback, simulation => simulation.runBoardEffects(currentProgramStep));
 }
 
 /**
- * Handles robot respawn logic after losing a life.
- * @param {Robot} robot - The robot instance.
- * @param {object} initialRobotState - The initial starting state of the robot.
- * @param {Function} sleep - The sleep utility function.
- * @returns {Promise<boolean>} True if the game ended, false otherwise.
+ * Moves the program cards of every robot to the discard pile, except the cards in
+ * registers locked by damage. Those stay as the robot's program for the next turn.
+ * @param {Robot[]} robots - All robots in the game.
+ * @param {Map<Robot, boolean>} poweredDownAtStart - Whether each robot sat out the turn.
+ * @param {Deck} deck - The game's cards.
  */
-async function handleRobotRespawn(robot, initialRobotState, sleep) {
-    if (robot.isDestroyed()) {
-        return true; // Game ended
-    }
-
-    let respawnRow = initialRobotState.row;
-    let respawnCol = initialRobotState.col;
+function discardPrograms(robots, poweredDownAtStart, deck) {
+    robots.forEach(robot => {
+        const program = robot.getProgram();
+        const firstRegister = Config.PROGRAM_SIZE - program.length; // A short program holds the last registers only
+        // Powered down robots are repaired during cleanup, so none of their registers stay locked
+        const isKept = (card, index) => !poweredDownAtStart.get(robot) && robot.isRegisterLocked(firstRegister + index);
+        deck.discard(program.filter((card, index) => !isKept(card, index)).map(card => card.instanceId));
+        robot.setProgram(program.filter(isKept));
+    });
+}
 
-    // Prioritize respawning at the last visited station (checkpoint or repair station)
-    if (robot.lastVisitedStationKey) {
-        const [r, c] = robot.lastVisitedStationKey.split('-').map(Number);
-        respawnRow = r;
-        respawnCol = c;
-        Logger.log(`Respawning at last visited station: (${respawnRow}, ${respawnCol})`);
-    } else {
-        Logger.log(`No checkpoint/repair station visited yet. Respawning at initial position: (${respawnRow}, ${respawnCol})`);
-    }
+/**
+ * Announces the robots taking part in a turn, before its first register.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - The robots in the game. Destroyed robots take no part.
+ * @param {Map<Robot, boolean>} poweredDownAtStart - Whether each robot sits out the turn.
+ * @param {PlaybackController} playback - Paces the game's turns.
+ * @returns {Promise<void>}
+ */
+export async function startTurn(boardData, robots, poweredDownAtStart, playback) {
+    const poweredDownIds = new Set(robots.filter(robot => poweredDownAtStart.get(robot)).map(robot => robot.id));
+    await resolveAndPlay(boardData, robots, playback, simulation => simulation.startTurn(poweredDownIds));
+}
 
-    robot.setPosition(respawnRow, respawnCol);
-    Logger.log(`Robot respawned at (${respawnRow}, ${respawnCol}) with full health.`);
-    await sleep(600); // Wait for robot to return to station
-    return false; // Game not ended
+/**
+ * Resolves one register: the card of every robot that is not powered down, highest
+ * priority first, then the board elements.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - The robots taking part in the turn.
+ * @param {number} registerIndex - Zero-based register to resolve.
+ * @param {Map<Robot, boolean>} poweredDownAtStart - Whether each robot sits out the turn.
+ * @param {PlaybackController} playback - Paces the game's turns.
+ * @returns {Promise<object>} The board effects result: { gameEnded, boardMoved, fellInHole }
+ */
+export async function executeRegister(boardData, robots, registerIndex, poweredDownAtStart, playback) {
+    const poweredDownIds = new Set(robots.filter(robot => poweredDownAtStart.get(robot)).map(robot => robot.id));
+    return resolveAndPlay(boardData, robots, playback, simulation => simulation.runRegister(registerIndex, poweredDownIds));
 }
 
 /**
- * Executes the sequence of programmed cards and board actions.
+ * Executes the sequence of programmed cards and board actions for every robot.
+ * Each register runs the card of every robot, highest card priority first, before
+ * the board elements activate. The first robot is the one programmed from the game's hand.
  * @param {object} boardData - The parsed board data.
- * @param {Robot} robot - The robot instance.
- * @param {object} initialRobotState - The initial starting state of the robot for the turn.
+ * @param {Robot[]} robots - The robots taking part in the turn.
+ * @param {object} game - The game's { eventBus, deck, playback }, from main.js createGame().
+ *   The bus hears 'programExecutionFinished' when the turn ends.
  */
-export async function runProgramExecution(boardData, robot, initialRobotState) {
+export async function runProgramExecution(boardData, robots, game) {
     if (!boardData) {
         Logger.error("Cannot run program: Board data not set.");
-        endOfTurnCleanup(robot);
+        endOfTurnCleanup(robots, game);
         return;
     }
     Logger.log("--- Starting Program Execution ---");
 
-    const isRobotPoweredDown = robot.getIsPoweredDown();
-    const programCards = robot.getProgram();
-
-    if (!isRobotPoweredDown && programCards.length !== Config.PROGRAM_SIZE) {
-        Logger.error("Program is not full!");
-        endOfTurnCleanup(robot);
+    const poweredDownAtStart = new Map(robots.map(robot => [robot, robot.getIsPoweredDown()]));
+    const incompleteRobot = robots.find(robot =>
+        !robot.isDestroyed() && !poweredDownAtStart.get(robot) && robot.getProgram().length !== Config.PROGRAM_SIZE);
+    if (incompleteRobot) {
+        Logger.error(`Program is not full for ${incompleteRobot.id}!`);
+        endOfTurnCleanup(robots, game);
         return;
     }
 
-    // --- Card Execution Loop ---
-    for (let i = 0; i < Config.PROGRAM_SIZE; i++) { // Loop 5 times regardless of program length
-        const cardData = programCards[i]; // cardData might be undefined if program is not full
-
-        Logger.log(`
-Executing Step ${i + 1}: ${isRobotPoweredDown ? 'Robot Powered Down' : (cardData ? cardData.text : 'No Card')}`);
-        Logger.log(`  Current robot powered down state: ${isRobotPoweredDown}`);
-        Logger.log(`  Card data for this step: ${JSON.stringify(cardData)}`);
-        let cardActionTaken = false; // Track if a card action was performed
-
-        // --- 1. Execute Card Action (only if not powered down) ---
-        if (isRobotPoweredDown) {
-            Logger.log("Robot is powered down. Skipping card action.");
-            await sleep(500); // Small delay to show nothing is happening
-        } else {
-            cardActionTaken = await tryExecuteSingleCard(robot, cardData, boardData, sleep);
-        }
-
-        await sleep(cardActionTaken ? 200 : 500); // Use cardActionTaken for sleep duration
+    await startTurn(boardData, robots, poweredDownAtStart, game.playback);
 
-        const boardResult = await applyBoardEffects(boardData, robot, i + 1, initialRobotState);
+    // --- Card Execution Loop ---
+    for (let i = 0; i < Config.PROGRAM_SIZE; i++) {
+        const boardResult = await executeRegister(boardData, robots, i, poweredDownAtStart, game.playback);
 
         if (boardResult.gameEnded) {
-            // Discard cards only if not powered down, as they weren't used
-            if (!isRobotPoweredDown) {
-                Cards.discard(programCards.map(card => card.instanceId));
-            }
-            endOfTurnCleanup(robot);
+            boardData.setProgramStep(null);
+            discardPrograms(robots, poweredDownAtStart, game.deck);
+            endOfTurnCleanup(robots, game);
             Logger.log("Game ended during board effects phase.");
             return;
         }
 
         if (!boardResult.boardMoved && !boardResult.fellInHole) {
-             await sleep(100);
+             await game.playback.wait(100);
         }
 
     }
 
     Logger.log("\n--- Program Finished ---");
-    // Only discard cards if robot was NOT powered down (i.e., cards were actually used)
-    if (!isRobotPoweredDown) {
-        Cards.discard(programCards.map(card => card.instanceId));
-    }
-    endOfTurnCleanup(robot);
-    // Only draw new cards if robot was NOT powered down
-    if (!isRobotPoweredDown) {
-        Cards.draw(Config.PROGRAM_SIZE);
-    }    
+    boardData.setProgramStep(null);
+    discardPrograms(robots, poweredDownAtStart, game.deck);
+    // Only draw new cards if the hand's robot was NOT powered down (i.e., cards were actually used).
+    // Drawing before the cleanup means the hand is complete when programExecutionFinished fires.
+    const handRobot = robots[0];
+    if (handRobot && !poweredDownAtStart.get(handRobot)) {
+        game.deck.refillHand(handRobot.getHandSize());
+    }
+    endOfTurnCleanup(robots, game);
 }
 
 /**
- * Performs end-of-turn cleanup, including power down state transitions.
+ * Performs end-of-turn cleanup for one robot, including power down state transitions.
  * @param {Robot} robot - The robot instance.
  */
-function endOfTurnCleanup(robot) { // No longer exported
-    Logger.log("--- Performing End of Turn Cleanup ---");
+function cleanupRobotForNextTurn(robot) {
     const robotState = robot.getRobotState();
 
     // Step 1: If robot was powered down last turn, power it back up now.
     if (robotState.isPoweredDown) {
         robot.setIsPoweredDown(false);
         robot.restoreFullHealth();
-        Logger.log("Robot is powering back up from a powered-down turn.");
+        Logger.log(`${robot.id} is powering back up from a powered-down turn.`);
     }
 
     // Step 2: If robot intended to power down, set it to powered down for THIS turn.
     if (robotState.powerDownIntent) {
         robot.setIsPoweredDown(true);
         robot.setPowerDownIntent(false); // Consume the intent
-        Logger.log("Robot is now powered down for this turn (due to previous intent).");
+        Logger.log(`${robot.id} is now powered down for this turn (due to previous intent).`);
     }
+}
+
+/**
+ * Performs end-of-turn cleanup for every robot and announces the end of the turn.
+ * @param {Robot[]} robots - All robots in the game.
+ * @param {object} game - The game's { eventBus, deck, playback }.
+ */
+function endOfTurnCleanup(robots, game) { // No longer exported
+    Logger.log("--- Performing End of Turn Cleanup ---");
+    robots.forEach(cleanupRobotForNextTurn);
+    game.playback.finishTurn();
     Logger.log("--- End of Turn Cleanup Complete ---");
-    emit('programExecutionFinished');
-}
\ No newline at end of file
+    game.eventBus.emit('programExecutionFinished');
+}
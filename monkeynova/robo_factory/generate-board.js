@@ -0,0 +1,38 @@
+// generate-board.js
+import { writeFileSync } from 'fs';
+import { Board } from './board.js';
+import { generateBoard } from './boardGenerator.js';
+import { createBoardFile } from './boardLoader.js';
+
+// Command-line entry point for writing a generated board file:
+//   node generate-board.js boards/practice.json --seed 42 --rows 12 --cols 12 --difficulty hard
+// The file can then be played with index.html?board=practice.
+
+(() => {
+    const [outputFile, ...flags] = process.argv.slice(2);
+    if (!outputFile || outputFile.startsWith('--')) {
+        console.error("Usage: node generate-board.js <output file> [--seed N] [--rows N] [--cols N] [--difficulty easy|medium|hard]");
+        process.exit(1);
+    }
+    const options = {};
+    for (let i = 0; i < flags.length; i += 2) {
+        const name = flags[i].replace(/^--/, '');
+        const value = flags[i + 1];
+        options[name] = name === 'rows' || name === 'cols' ? Number(value) : value;
+    }
+
+    try {
+        const { definition, starts, name, seed, difficulty } = generateBoard(options);
+        const boardFile = createBoardFile(new Board(definition), {
+            name,
+            description: `Generated from seed ${seed} at ${difficulty} difficulty.`,
+            starts,
+        });
+        writeFileSync(outputFile, `${JSON.stringify(boardFile, null, 2)}\n`);
+        console.log(`Wrote ${outputFile} (seed ${seed}).`);
+        process.exit(0);
+    } catch (error) {
+        console.error(`ERROR ${error.message}`);
+        process.exit(1);
+    }
+})();
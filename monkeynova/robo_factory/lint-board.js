@@ -0,0 +1,30 @@
+// lint-board.js
+import { readFileSync } from 'fs';
+import { parseBoardFile } from './boardLoader.js';
+import { lintBoard, formatLintReport } from './boardLint.js';
+
+// Command-line entry point for checking board files: node lint-board.js boards/*.json
+// Exits with a failure code if any board has lint errors or cannot be parsed.
+
+(() => {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        console.error("Usage: node lint-board.js <board file>...");
+        process.exit(1);
+    }
+
+    let hasErrors = false;
+    files.forEach(file => {
+        console.log(`--- ${file} ---`);
+        try {
+            const { board, starts } = parseBoardFile(JSON.parse(readFileSync(file, 'utf8')));
+            const issues = lintBoard(board, { starts });
+            console.log(formatLintReport(issues));
+            hasErrors = hasErrors || issues.some(issue => issue.severity === 'error');
+        } catch (error) {
+            console.error(`ERROR ${error.message}`);
+            hasErrors = true;
+        }
+    });
+    process.exit(hasErrors ? 1 : 0);
+})();
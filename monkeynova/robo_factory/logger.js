@@ -4,6 +4,8 @@ import { ALLOWED_LOG_LEVELS } from './config.js';
 
 const logHistory = [];
 const MAX_LOG_ENTRIES = 200; // Limit history size to prevent memory issues
+let consoleOutputEnabled = true; // Entries always go to the history; this gates the console
+let silentDepth = 0; // Above zero while runSilently() runs; entries are dropped entirely
 
 // Store original console methods
 const originalConsole = {
@@ -41,6 +43,9 @@ function addLogEntry(level, args) {
         originalConsole.error(`Attempted to log with unknown level: "${level}". Allowed levels are: ${Array.from(ALLOWED_LOG_LEVELS).join(', ')}.`);
         return; // Do not process unknown log levels
     }
+    if (silentDepth > 0) {
+        return;
+    }
     const message = formatArgs(args);
     const timestamp = new Date().toLocaleTimeString();
     const entry = `[${timestamp} ${level}] ${message}`;
@@ -54,7 +59,7 @@ function addLogEntry(level, args) {
 
     // Call the original console method
     const consoleMethod = originalConsole[level.toLowerCase()];
-    if (consoleMethod) {
+    if (consoleMethod && consoleOutputEnabled) {
         consoleMethod.apply(console, args);
     }
 }
@@ -88,6 +93,33 @@ export function clearHistory() {
     logHistory.length = 0;
 }
 
+/**
+ * Turns console output on or off, e.g. while a search simulates thousands of moves.
+ * Entries are still added to the history.
+ * @param {boolean} enabled - Whether entries are written to the console.
+ * @returns {boolean} The previous setting, so callers can restore it.
+ */
+export function setConsoleOutput(enabled) {
+    const previous = consoleOutputEnabled;
+    consoleOutputEnabled = enabled;
+    return previous;
+}
+
+/**
+ * Runs a synchronous function with logging switched off: nothing it logs reaches the
+ * history or the console. Used by simulations, which should leave no trace.
+ * @param {Function} fn - The function to run. It must not be async.
+ * @returns {any} What the function returns.
+ */
+export function runSilently(fn) {
+    silentDepth++;
+    try {
+        return fn();
+    } finally {
+        silentDepth--;
+    }
+}
+
 // --- Optional: Override global console methods ---
 // Uncomment the following lines if you want to automatically capture
 // ALL Logger.log/warn/error calls, even from potential third-party code
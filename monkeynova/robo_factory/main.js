@@ -2,11 +2,21 @@
 import * as Config from './config.js';
 import { Board } from './board.js'; // Import for validation
 import Robot from './robot.js';
-import * as Cards from './cards.js';
+import { Deck } from './cards.js';
 import * as UI from './ui.js';
 import * as GameLoop from './gameLoop.js';
 import * as Logger from './logger.js';
-import { emit, on } from './eventEmitter.js';
+import { EventBus } from './eventEmitter.js';
+import { PlaybackController } from './playback.js';
+import { generateSeed, parseSeed } from './random.js';
+import { createSnapshot, restoreSnapshot, saveSnapshot, loadSnapshot } from './saveGame.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { loadBoardFile } from './boardLoader.js';
+import { BoardEditor } from './boardEditor.js';
+import {
+    findLevel, getNextLevel, getLevelCards, createLevelGame, LevelRun, createEmptyProgress,
+    loadCampaignProgress, saveCampaignProgress, recordLevelResult, getLevelSelectEntries,
+} from './campaign.js';
 
 /**
  * Generates a large, feature-rich board.
@@ -99,14 +109,18 @@ export function createDemonstrationBoard(rows, cols) {
     board[whirlStart.r - 2][whirlStart.c + 2].wallDevices = [{ type: 'pusher', direction: 'west', steps: new Set([1, 3, 5]) }]; board[whirlStart.r - 2][whirlStart.c + 2].walls.push('east'); // On a gear, push west, needs east wall, fires on steps 1,3,5
 
     // 9. Add some lasers
-    // Basic laser firing east (on plain tile)
-    board[10][5].wallDevices = [{ type: 'laser', direction: 'east' }];
+    // Double-strength laser firing east (on plain tile)
+    board[10][5].wallDevices = [{ type: 'laser', direction: 'east', strength: 2 }];
     board[10][5].walls.push('west'); // Changed from 'east' to 'west'
 
     // Laser near start for testing (at 1,2 firing south, attached to its north wall)
     board[1][2].wallDevices = [{ type: 'laser', direction: 'south' }];
     board[1][2].walls.push('north');
 
+    // Laser firing west along row 3 on steps 2 and 4 only
+    board[3][riverCol - 2].wallDevices = [{ type: 'laser', direction: 'west', steps: new Set([2, 4]) }];
+    board[3][riverCol - 2].walls.push('east');
+
     // Laser firing north, blocked by a wall (on plain tile)
     board[15][10].wallDevices = [{ type: 'laser', direction: 'north' }];
     board[15][10].walls.push('south'); // Changed from 'north' to 'south'
@@ -124,92 +138,460 @@ export function createDemonstrationBoard(rows, cols) {
     board[25][20].walls.push('east'); // Changed from 'west' to 'east'
     board[25][19].floorDevice = { type: 'conveyor', direction: 'east', speed: 1 }; // Conveyor pushing robot past laser
 
+    // 10. Crushers, teleporters and oil slicks
+    board[12][2].floorDevice = { type: 'crusher', steps: new Set([2, 4]) };
+    board[12][3].floorDevice = { type: 'crusher', steps: new Set([1, 3, 5]), damage: 2 };
+    board[2][3].floorDevice = { type: 'teleporter', pairId: 'A' };
+    board[rows - 3][cols - 3].floorDevice = { type: 'teleporter', pairId: 'A' };
+    for (let c = 3; c <= 6; c++) {
+        board[6][c].floorDevice = { type: 'oil' };
+    }
+
+    // 11. Toggle walls and one-way gates
+    board[10][8].toggleWalls = [{ side: 'east', steps: new Set([1, 3, 5]) }]; // Cuts the row 10 laser on odd steps
+    board[12][6].gates = [{ side: 'east', direction: 'east' }]; // Robots may only cross eastward
+
     return board;
 }
 
 
+/**
+ * Records the station a robot starts on, so it counts as visited and becomes its respawn point.
+ * @param {Board} board - The parsed board.
+ * @param {Robot} robot - The robot to update.
+ */
+function applyStartingStation(board, robot) {
+    const startTileData = board.getTileData(robot.row, robot.col);
+    const key = `${robot.row}-${robot.col}`;
+    if (startTileData && startTileData.floorDevice.type === 'checkpoint') {
+        const order = startTileData.floorDevice.order;
+        Logger.log(`${robot.id} starts on checkpoint ${order}. Updating state.`);
+        robot.visitFlag(key, order);
+        robot.setLastVisitedStation(key);
+        // UI update for this will happen via initial event emission later
+    } else if (startTileData && startTileData.floorDevice.type === 'repair-station') {
+        Logger.log(`${robot.id} starts on repair station ${key}. Updating state.`);
+        robot.setLastVisitedStation(key);
+    }
+}
+
+/**
+ * Creates the state of a new game that is not part of the board or robots: its EventBus,
+ * with the board and robots connected to it, its cards and the controller pacing its turns.
+ * @param {Board} board - The game's board.
+ * @param {Robot[]} robots - The game's robots.
+ * @returns {{eventBus: EventBus, deck: Deck, playback: PlaybackController}} The game.
+ */
+function createGame(board, robots) {
+    const eventBus = new EventBus();
+    const sink = (eventName, data) => eventBus.emit(eventName, data);
+    board.setEventSink(sink);
+    robots.forEach(robot => robot.setEventSink(sink));
+    return { eventBus, deck: new Deck(eventBus), playback: new PlaybackController() };
+}
+
+/**
+ * Emits the events that bring the UI in sync with a robot's initial state.
+ * @param {EventBus} eventBus - The game's bus.
+ * @param {Robot} robot - The robot to announce.
+ */
+function emitInitialRobotState(eventBus, robot) {
+    const state = robot.getRobotState();
+    // Use 'robotMoved' as it updates position and orientation class
+    eventBus.emit('robotMoved', { robotId: robot.id, row: state.row, col: state.col, orientation: state.orientation });
+    eventBus.emit('healthChanged', { robotId: robot.id, health: state.health, maxHealth: Config.MAX_HEALTH });
+    eventBus.emit('livesChanged', { robotId: robot.id, lives: state.lives });
+    // Emit starting flag visit status (if applicable)
+    if (robot.getVisitedFlagCount() > 0) {
+        eventBus.emit('flagVisited', { robotId: robot.id, flagKey: state.lastVisitedStationKey, visitedOrder: robot.getVisitedFlagCount() });
+    }
+    if (robot.isDestroyed()) { // Only possible in a resumed game
+        eventBus.emit('robotDestroyed', { robotId: robot.id });
+    }
+}
+
+/**
+ * Emits the card counts, so the UI shows them once it is listening.
+ * @param {object} game - The game from createGame().
+ */
+function emitCardCounts(game) {
+    game.eventBus.emit('cardCountsUpdated', {
+        deck: game.deck.getDeckSize(),
+        discard: game.deck.getDiscardSize(),
+        hand: game.deck.getHandSize()
+    });
+}
+
+/**
+ * Reads the autosaved game, if there is one that can be resumed on the requested board.
+ * @param {string|null} boardName - The board file requested in the URL, or null for the demonstration board.
+ * @returns {object|null} The snapshot, or null to start a new game.
+ */
+function readAutosave(boardName) {
+    try {
+        const snapshot = loadSnapshot(window.localStorage, Config.AUTOSAVE_STORAGE_KEY);
+        if (snapshot && (snapshot.boardName || null) !== boardName) {
+            Logger.log(`Autosave is for board '${snapshot.boardName}', not '${boardName}'. Starting a new game.`);
+            return null;
+        }
+        return snapshot;
+    } catch (error) {
+        Logger.warn("Ignoring unreadable autosave:", error);
+        return null;
+    }
+}
+
+/**
+ * Reads the board file name from the URL (?board=<name>).
+ * @returns {string|null} The name, or null to play the demonstration board.
+ */
+function getRequestedBoardName() {
+    const boardName = new URLSearchParams(window.location.search).get('board');
+    if (boardName === null) {
+        return null;
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(boardName)) {
+        throw new Error(`Invalid board name '${boardName}'. Must contain only letters, digits, '-' and '_'.`);
+    }
+    return boardName;
+}
+
+/**
+ * Builds the board and robots for a new game: from the requested board file, or
+ * the demonstration board when no file is requested.
+ * @param {string|null} boardName - The board file to load from Config.BOARD_FILE_DIRECTORY.
+ * @returns {Promise<{board: Board, robots: Robot[]}>}
+ */
+async function createNewGame(boardName) {
+    let board;
+    let starts = robotStartDefinitions;
+    if (boardName) {
+        const boardFile = await loadBoardFile(`${Config.BOARD_FILE_DIRECTORY}/${boardName}.json`);
+        board = boardFile.board;
+        starts = boardFile.starts.map((start, index) => ({ id: `robot-${index + 1}`, ...start }));
+        Logger.log(`Playing '${boardFile.name}' by ${boardFile.author || 'unknown author'}.`);
+    } else {
+        board = new Board(boardDataDefinition);
+    }
+    const robots = starts.map(def => new Robot(def.row, def.col, def.orientation, def.id));
+    robots.forEach(robot => applyStartingStation(board, robot));
+    return { board, robots };
+}
+
+/**
+ * Loads the game stored by the Save button. UI listeners are bound to the current
+ * board and robots, so the saved game becomes the autosave and the page restarts on
+ * it (on the saved game's board, so the autosave is resumed).
+ */
+function loadManualSave() {
+    const snapshot = loadSnapshot(window.localStorage, Config.MANUAL_SAVE_STORAGE_KEY);
+    if (!snapshot) {
+        alert("There is no saved game to load.");
+        return;
+    }
+    saveSnapshot(window.localStorage, Config.AUTOSAVE_STORAGE_KEY, snapshot);
+    const params = new URLSearchParams(window.location.search);
+    if (snapshot.boardName) {
+        params.set('board', snapshot.boardName);
+    } else {
+        params.delete('board');
+    }
+    window.location.search = params.toString();
+}
+
 // Generate a larger board
 const boardDataDefinition = createDemonstrationBoard(30, 40);
 
-// --- Define starting position ---
-const startRobotRow = 1;
-const startRobotCol = 1;
-const startRobotOrientation = 'east';
+// --- Define starting positions ---
+// One entry per robot. The first robot is programmed from the hand; any others
+// need their programs set before the turn runs (e.g. by a scripted opponent).
+const robotStartDefinitions = [
+    { id: 'robot-1', row: 1, col: 1, orientation: 'east' },
+];
+
+// --- Deck seed ---
+// Set to a fixed number (or pass ?seed=<number> in the URL) to replay a reported game.
+const GAME_SEED = null;
+
+/**
+ * Chooses the seed for the deck shuffles: the URL's seed parameter, then GAME_SEED, then a fresh seed.
+ * @returns {number} The seed to pass to Deck.initDeckAndHand().
+ */
+function chooseGameSeed() {
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed !== null) {
+        return parseSeed(urlSeed);
+    }
+    return GAME_SEED !== null ? parseSeed(GAME_SEED) : generateSeed();
+}
+
+/**
+ * Opens a replay file: the log is kept in sessionStorage and the page restarts in replay mode.
+ * @param {string} text - The contents of the replay file.
+ */
+function loadReplayFile(text) {
+    let log;
+    try {
+        log = JSON.parse(text);
+        new ReplayPlayer(log, new EventBus()); // Validates the log before leaving the current game
+    } catch (error) {
+        Logger.error("Invalid replay file:", error);
+        alert(`This file is not a valid replay: ${error.message}`);
+        return;
+    }
+    window.sessionStorage.setItem(Config.REPLAY_STORAGE_KEY, text);
+    window.location.search = '?replay=1';
+}
+
+/**
+ * Keeps the replay's robot objects in step with the recorded events, so UI listeners
+ * that read robot state (e.g. laser beams) see the replayed positions. This only
+ * copies recorded values; no game rules run during a replay.
+ * @param {Robot[]} robots - The robots rebuilt from the replay log.
+ * @param {EventBus} eventBus - The replay's bus.
+ */
+function mirrorReplayedRobotState(robots, eventBus) {
+    const robotById = id => robots.find(robot => robot.id === id);
+    const copyPosition = ({ robotId, row, col, orientation }) => {
+        const robot = robotById(robotId);
+        if (!robot) return;
+        robot.row = row;
+        robot.col = col;
+        robot.orientation = orientation;
+    };
+    eventBus.on('robotMoved', copyPosition);
+    eventBus.on('robotTurned', copyPosition);
+    eventBus.on('healthChanged', ({ robotId, health }) => {
+        const robot = robotById(robotId);
+        if (robot) robot.health = health;
+    });
+    eventBus.on('livesChanged', ({ robotId, lives }) => {
+        const robot = robotById(robotId);
+        if (robot) robot.lives = lives;
+    });
+    eventBus.on('isPoweredDownChanged', ({ robotId, isPoweredDown }) => {
+        const robot = robotById(robotId);
+        if (robot) robot.isPoweredDown = isPoweredDown;
+    });
+}
+
+/**
+ * Starts replay mode from the log stored by loadReplayFile().
+ */
+function startReplay() {
+    const log = JSON.parse(window.sessionStorage.getItem(Config.REPLAY_STORAGE_KEY));
+    const eventBus = new EventBus(); // The replayed events are emitted here; no rules run
+    const player = new ReplayPlayer(log, eventBus);
+    const board = Board.fromJSON(log.board);
+    const robots = log.robots.map(robotData => Robot.deserialize(robotData));
+
+    if (!UI.initializeUI(board, robots.map(robot => robot.getRobotState()))) {
+        throw new Error("UI Initialization failed.");
+    }
+    mirrorReplayedRobotState(robots, eventBus); // Before the UI listeners, so they redraw the mirrored state
+    UI.setupUIListeners(() => {}, board, robots, eventBus, new Deck()); // Nothing is dealt in a replay
+    UI.setupReplayControls(player);
+    robots.forEach(robot => emitInitialRobotState(eventBus, robot));
+    Logger.log(`Replay loaded: ${player.getEventCount()} events over ${log.turns.length} turn(s).`);
+}
+
+/**
+ * Starts board editor mode (?editor=1), on the requested board file (?board=<name>)
+ * or an empty board.
+ */
+async function startEditor() {
+    const boardName = getRequestedBoardName();
+    let editor;
+    if (boardName) {
+        const { board, ...metadata } = await loadBoardFile(`${Config.BOARD_FILE_DIRECTORY}/${boardName}.json`);
+        editor = new BoardEditor(board.toJSON().definition, metadata);
+    } else {
+        editor = BoardEditor.createEmpty(Config.EDITOR_DEFAULT_ROWS, Config.EDITOR_DEFAULT_COLS);
+    }
+    const eventBus = new EventBus();
+    editor.setEventSink((eventName, data) => eventBus.emit(eventName, data));
+    if (!UI.setupEditorUI(editor, eventBus)) {
+        throw new Error("Board editor UI initialization failed.");
+    }
+    Logger.log(`Editing '${editor.name}'.`);
+}
+
+/**
+ * Reads the player's campaign progress.
+ * @returns {object} The progress, empty if none is saved or it cannot be read.
+ */
+function readCampaignProgress() {
+    try {
+        return loadCampaignProgress(window.localStorage, Config.CAMPAIGN_PROGRESS_STORAGE_KEY);
+    } catch (error) {
+        Logger.warn("Ignoring unreadable campaign progress:", error);
+        return createEmptyProgress();
+    }
+}
+
+/**
+ * Starts the campaign level-select screen (?campaign=1).
+ */
+function startCampaignSelect() {
+    if (!UI.setupCampaignSelectUI(getLevelSelectEntries(readCampaignProgress()))) {
+        throw new Error("Campaign UI initialization failed.");
+    }
+}
+
+/**
+ * Starts a campaign level (?level=<id>): a single-robot game on the level's board,
+ * dealt from the level's fixed deck if it has one. The gameOver event ends the level;
+ * a win is scored and saved to the campaign progress.
+ * @param {string} levelId - The level to play.
+ */
+function startCampaignLevel(levelId) {
+    const level = findLevel(levelId);
+    const { board, robots } = createLevelGame(level);
+    robots.forEach(robot => applyStartingStation(board, robot));
+    if (!UI.initializeUI(board, robots.map(robot => robot.getRobotState()))) {
+        throw new Error("UI Initialization failed.");
+    }
+
+    const game = createGame(board, robots);
+    const { eventBus } = game;
+    const run = new LevelRun(level, robots[0]);
+    UI.setupUIListeners(() => {
+        run.startTurn();
+        return GameLoop.runProgramExecution(board, robots, game);
+    }, board, robots, eventBus, game.deck);
+    UI.setupPlaybackControls(game.playback);
+    UI.setupCampaignLevelUI(level, getNextLevel(level.id), eventBus);
+    eventBus.on('programStepChanged', ({ step }) => {
+        if (step !== null) run.recordRegister();
+    });
+    eventBus.on('gameOver', ({ isWin }) => {
+        const result = run.finish(isWin);
+        if (result.completed) {
+            const progress = recordLevelResult(readCampaignProgress(), result);
+            saveCampaignProgress(window.localStorage, Config.CAMPAIGN_PROGRESS_STORAGE_KEY, progress);
+        }
+        eventBus.emit('levelFinished', result);
+    });
+
+    const cards = getLevelCards(level);
+    if (cards) {
+        game.deck.initFixedDeck(cards); // Emits events
+    } else {
+        game.deck.initDeckAndHand(chooseGameSeed()); // Emits events
+    }
+    robots.forEach(robot => emitInitialRobotState(eventBus, robot));
+    emitCardCounts(game);
+}
 
 // --- Initialize Game on DOM Load ---
 if (typeof document !== 'undefined') {
-    document.addEventListener('DOMContentLoaded', () => {
+    document.addEventListener('DOMContentLoaded', async () => {
         Logger.log("DOM Loaded. Initializing Robot Factory...");
 
-        try {
-            
-
-            // 1. Process Board Data
-            const board = new Board(boardDataDefinition);
-
-            // 2. Initialize Robot State
-            const robot = new Robot(startRobotRow, startRobotCol, startRobotOrientation);
-
-            // --- 3. Perform Initial Station Check (Moved from setBoardData) ---
-            const startTileData = board.getTileData(robot.row, robot.col);
-            if (startTileData && startTileData.floorDevice.type === 'checkpoint') {
-                const key = `${robot.row}-${robot.col}`;
-                const order = startTileData.floorDevice.order;
-                Logger.log(`Robot starts on checkpoint ${order}. Updating state.`);
-                robot.visitFlag(key, order);
-                robot.setLastVisitedStation(key);
-                // UI update for this will happen via initial event emission later
-            } else if (startTileData && startTileData.floorDevice.type === 'repair-station') {
-                const key = `${robot.row}-${robot.col}`;
-                Logger.log(`Robot starts on repair station ${key}. Updating state.`);
-                robot.setLastVisitedStation(key);
+        if (new URLSearchParams(window.location.search).has('editor')) {
+            try {
+                await startEditor();
+            } catch (error) {
+                Logger.error("Error starting the board editor:", error);
+                alert("Failed to start the board editor. Please check the console for errors.");
             }
-            // --- End Initial Station Check ---
+            return;
+        }
 
-            const initialRobotState = robot.getRobotState(); // Define initialRobotState here
+        const levelId = new URLSearchParams(window.location.search).get('level');
+        if (levelId !== null || new URLSearchParams(window.location.search).has('campaign')) {
+            try {
+                if (levelId !== null) {
+                    startCampaignLevel(levelId);
+                } else {
+                    startCampaignSelect();
+                }
+            } catch (error) {
+                Logger.error("Error starting the campaign:", error);
+                alert("Failed to start the campaign. Please check the console for errors.");
+            }
+            return;
+        }
 
-            // 4. Initialize the UI (Canvas, Board, Flags, Robot Element)
-            // This replaces initCanvas, renderBoard, createFlags, createRobot
-            if (!UI.initializeUI(board, initialRobotState)) {
+        if (new URLSearchParams(window.location.search).has('replay')) {
+            try {
+                startReplay();
+            } catch (error) {
+                Logger.error("Error starting replay:", error);
+                alert("Failed to start the replay. Please check the console for errors.");
+            }
+            return;
+        }
+
+        try {
+            // 1. Resume the autosaved game, or process the board data for a new one
+            const boardName = getRequestedBoardName();
+            let snapshot = readAutosave(boardName);
+            let board, robots;
+            if (snapshot) {
+                try {
+                    ({ board, robots } = restoreSnapshot(snapshot));
+                    Logger.log("Resuming autosaved game.");
+                } catch (error) {
+                    Logger.warn("Autosave could not be restored. Starting a new game.", error);
+                    snapshot = null;
+                }
+            }
+            if (!snapshot) {
+                // 2. Initialize Robot State (including robots that start on a station)
+                ({ board, robots } = await createNewGame(boardName));
+            }
+
+            // 3. Initialize the UI (Canvas, Board, Flags, Robot Elements)
+            if (!UI.initializeUI(board, robots.map(robot => robot.getRobotState()))) {
                 throw new Error("UI Initialization failed.");
             }
 
-            // 5. Setup UI Listeners (Subscribes UI to future events)
+            // 4. Setup UI Listeners (Subscribes UI to future events)
             // This MUST happen AFTER initializeUI if listeners need DOM elements created by it,
             // and AFTER model init if listeners need initial state immediately (less common).
-            UI.setupUIListeners(() => GameLoop.runProgramExecution(board, robot, initialRobotState), board, robot);
-
-            // 6. Initialize Deck and Hand State
-            Cards.initDeckAndHand(); // Emits events
-
-            // 7. Trigger Initial Visual State Sync (Emit events NOW that UI is listening)
-            Logger.log("Emitting initial state events for UI sync...");
-            // initialRobotState is already defined and used above
-
-            // Emit robot position and orientation
-            emit('robotMoved', { // Use 'robotMoved' as it updates position and orientation class
-                row: initialRobotState.row,
-                col: initialRobotState.col,
-                orientation: initialRobotState.orientation
+            const game = createGame(board, robots);
+            const { eventBus, deck } = game;
+            const recorder = new ReplayRecorder(board, robots, eventBus);
+            UI.setupUIListeners(() => {
+                recorder.recordPrograms(robots);
+                return GameLoop.runProgramExecution(board, robots, game);
+            }, board, robots, eventBus, deck, {
+                onSave: (slottedCardIds) => saveSnapshot(window.localStorage, Config.MANUAL_SAVE_STORAGE_KEY, createSnapshot(board, robots, deck, boardName, slottedCardIds)),
+                onLoad: loadManualSave,
+                onExportReplay: () => recorder.toJSON(),
+                onLoadReplay: loadReplayFile,
             });
+            UI.setupPlaybackControls(game.playback);
 
-            // Emit initial health
-            emit('healthChanged', {
-                health: initialRobotState.health,
-                maxHealth: Config.MAX_HEALTH
+            // Autosave after every turn; a finished game is not resumed
+            let gameIsOver = false;
+            eventBus.on('gameOver', () => {
+                gameIsOver = true;
+                window.localStorage.removeItem(Config.AUTOSAVE_STORAGE_KEY);
+            });
+            eventBus.on('programExecutionFinished', () => {
+                if (!gameIsOver) {
+                    saveSnapshot(window.localStorage, Config.AUTOSAVE_STORAGE_KEY, createSnapshot(board, robots, deck, boardName));
+                }
             });
-            // Emit initial lives
-            emit('livesChanged', robot.lives);
-            // Emit starting flag visit status (if applicable)
-            if (initialRobotState.lastVisitedStationKey) {
-                emit('flagVisited', initialRobotState.lastVisitedStationKey);
+
+            // 5. Initialize (or restore) Deck and Hand State, recording from here on
+            recorder.start();
+            if (snapshot) {
+                deck.restoreState(snapshot.cards); // Emits events
+            } else {
+                const seed = chooseGameSeed();
+                Logger.log(`Game seed: ${seed}`);
+                deck.initDeckAndHand(seed); // Emits events
             }
+            recorder.seed = deck.getSeed();
+
+            // 6. Trigger Initial Visual State Sync (Emit events NOW that UI is listening)
+            Logger.log("Emitting initial state events for UI sync...");
+            robots.forEach(robot => emitInitialRobotState(eventBus, robot));
             // Emit initial counts explicitly after listeners are set up
-            emit('cardCountsUpdated', {
-                deck: Cards.getDeckSize(),
-                discard: Cards.getDiscardSize(),
-                hand: Cards.getHandSize()
-           });
+            emitCardCounts(game);
 
             Logger.log("Game Initialized Successfully.");
 
@@ -0,0 +1,137 @@
+// playback.js
+import { PLAYBACK_SPEEDS } from './config.js';
+
+const MIN_SPEED = Math.min(...PLAYBACK_SPEEDS);
+const MAX_SPEED = Math.max(...PLAYBACK_SPEEDS);
+const STEP_UNITS = new Set(['phase', 'register']);
+
+/**
+ * Paces the animation of a turn. The game loop reports the register and phase of every
+ * action it shows (enterPhase) and waits through this controller instead of sleeping,
+ * so the turn can be paused, stepped one phase or one register at a time, and sped up
+ * or slowed down. Instant mode skips the waits entirely, for tests and headless runs.
+ */
+export class PlaybackController {
+    constructor() {
+        this.speed = 1;
+        this.paused = false;
+        this.instant = false;
+        this.register = null; // Register being shown (1-based), or null between turns
+        this.phase = null; // Phase being shown, from REGISTER_PHASES
+        this.stopAt = null; // 'phase' or 'register' while a step is playing
+        this.release = null; // Resolves the wait of a paused turn
+        this.onProgress = null; // Optional ({register, phase, paused, speed}) => void, for the controls
+    }
+
+    /**
+     * Sets the playback speed.
+     * @param {number} speed - Multiplier on the animation timing (e.g. 2 plays twice as fast).
+     */
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || speed < MIN_SPEED || speed > MAX_SPEED) {
+            throw new Error(`Invalid playback speed '${speed}'. Must be between ${MIN_SPEED} and ${MAX_SPEED}.`);
+        }
+        this.speed = speed;
+        this.reportProgress();
+    }
+
+    /**
+     * Turns the waits off (true) or on (false).
+     * @param {boolean} instant - Whether to skip the waits.
+     * @returns {boolean} The previous mode, so callers can restore it.
+     */
+    setInstant(instant) {
+        const previous = this.instant;
+        this.instant = instant;
+        return previous;
+    }
+
+    /** Pauses before the next action is shown. A turn that has not started yet starts paused. */
+    pause() {
+        this.paused = true;
+        this.stopAt = null;
+        this.reportProgress();
+    }
+
+    /** Resumes playback. */
+    resume() {
+        this.paused = false;
+        this.stopAt = null;
+        this.wake();
+        this.reportProgress();
+    }
+
+    /**
+     * Plays one phase or one register, then pauses again. Does nothing unless paused.
+     * @param {'phase' | 'register'} unit - How far to play.
+     */
+    step(unit) {
+        if (!STEP_UNITS.has(unit)) {
+            throw new Error(`Invalid playback step '${unit}'. Must be 'phase' or 'register'.`);
+        }
+        if (!this.paused) return;
+        this.paused = false;
+        this.stopAt = unit;
+        this.wake();
+        this.reportProgress();
+    }
+
+    /**
+     * Called before each action is shown. Moving into a new phase or register ends a
+     * step; while paused, this waits until playback resumes or steps.
+     * @param {number} register - The register of the action (1-based).
+     * @param {string} phase - The phase of the action.
+     * @returns {Promise<void>}
+     */
+    async enterPhase(register, phase) {
+        const registerChanged = register !== this.register;
+        if (registerChanged || phase !== this.phase) {
+            if (this.stopAt === 'phase' || (this.stopAt === 'register' && registerChanged)) {
+                this.stopAt = null;
+                this.paused = true;
+            }
+            this.register = register;
+            this.phase = phase;
+            this.reportProgress();
+        }
+        while (this.paused) {
+            await new Promise(resolve => { this.release = resolve; });
+        }
+    }
+
+    /** Called when a turn has been shown; the next turn starts from a new register. */
+    finishTurn() {
+        this.register = null;
+        this.phase = null;
+        this.stopAt = null;
+        this.reportProgress();
+    }
+
+    /**
+     * Waits for part of the animation, scaled by the speed.
+     * @param {number} ms - The delay at 1x, in milliseconds.
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+        if (this.instant) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => setTimeout(resolve, ms / this.speed));
+    }
+
+    /** Lets a paused turn continue. */
+    wake() {
+        if (this.release) {
+            const release = this.release;
+            this.release = null;
+            release();
+        }
+    }
+
+    /** Tells the controls where playback is. */
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress({ register: this.register, phase: this.phase, paused: this.paused, speed: this.speed });
+        }
+    }
+}
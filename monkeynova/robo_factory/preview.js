@@ -0,0 +1,78 @@
+// preview.js
+import { simulateProgram } from './simulation.js';
+
+// Turns a simulated program into the ghost path drawn while the player programs: one
+// step per thing that happens to the robot, with the steps that cost it a life marked
+// as risky. The prediction comes from simulateProgram, so it matches what running the
+// program will do (other robots play no cards in it, since their programs are unknown).
+
+const DAMAGE_PHASES = new Set(['crushers', 'boardLasers', 'robotLasers']);
+const MOVE_KINDS = { cards: 'move', expressConveyors: 'conveyor', conveyors: 'conveyor', pushers: 'push' };
+const TURN_KINDS = { cards: 'turn', expressConveyors: 'conveyor', conveyors: 'conveyor', gears: 'gear' };
+
+/**
+ * Names what a robot event means for the ghost path.
+ * @param {object} action - A simulated action about the robot.
+ * @param {object} previous - The robot state before the action.
+ * @param {boolean} respawning - Whether the robot lost a life and has not been put back yet.
+ * @returns {{kind: string, risk: string|null}|null} The step, or null if the action is not drawn.
+ */
+function describeAction(action, previous, respawning) {
+    switch (action.event) {
+        case 'robotMoved':
+            return { kind: respawning ? 'respawn' : (MOVE_KINDS[action.phase] || 'move'), risk: null };
+        case 'robotTurned':
+            return { kind: TURN_KINDS[action.phase] || 'turn', risk: null };
+        case 'healthChanged':
+            if (action.data.health < previous.health) {
+                return { kind: action.phase === 'crushers' ? 'crusher' : 'laser', risk: null };
+            }
+            // Respawning restores health as part of losing the life
+            return action.phase === 'checkpoints' && !respawning ? { kind: 'repair', risk: null } : null;
+        case 'livesChanged':
+            // A life lost outside the damage phases is a fall into a hole or off the board
+            return { kind: 'lifeLost', risk: DAMAGE_PHASES.has(action.phase) ? 'lastHealth' : 'fall' };
+        case 'robotDestroyed':
+            return { kind: 'destroyed', risk: 'destroyed' };
+        case 'flagVisited':
+            return { kind: 'checkpoint', risk: null };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Predicts the path a robot takes while running a program, for drawing on the board.
+ * @param {Board} board - The board; it is copied, not changed.
+ * @param {object} robotState - The robot, as a snapshot from Robot.serialize().
+ * @param {Array<object|null>} program - Card data per register; null for an empty slot.
+ * @param {object[]} [otherRobotStates=[]] - Snapshots of the other robots on the board.
+ * @returns {{start: object, steps: object[], finalState: object, gameEnded: boolean, risky: boolean}}
+ *   Each step is `{register, phase, kind, risk, row, col, orientation, health, lives}`, where
+ *   kind is one of move, push, conveyor, turn, gear, laser, crusher, repair, checkpoint,
+ *   lifeLost, respawn or destroyed, and risk is 'fall', 'lastHealth', 'destroyed' or null.
+ */
+export function predictGhostPath(board, robotState, program, otherRobotStates = []) {
+    const { finalState, actions, gameEnded } = simulateProgram(board, robotState, program, { otherRobots: otherRobotStates });
+    const steps = [];
+    let current = robotState;
+    let respawning = false;
+    actions
+        .filter(action => action.robotId === robotState.id || (action.data && action.data.robotId === robotState.id))
+        .forEach(action => {
+            const step = describeAction(action, current, respawning);
+            if (action.event === 'livesChanged') {
+                respawning = true;
+            } else if (action.event !== 'healthChanged') {
+                // The health restore and the move back come straight after the life is lost
+                respawning = false;
+            }
+            if (action.state) {
+                current = action.state;
+            }
+            if (!step) return;
+            const { row, col, orientation, health, lives } = current;
+            steps.push({ register: action.register, phase: action.phase, ...step, row, col, orientation, health, lives });
+        });
+    return { start: robotState, steps, finalState, gameEnded, risky: steps.some(step => step.risk !== null) };
+}
@@ -0,0 +1,43 @@
+// random.js
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always yields the same sequence, so a game can be replayed exactly.
+ * The generator's `getState()` returns a value that, passed back in as the seed,
+ * continues the sequence from where it left off (used when resuming a saved game).
+ * @param {number} seed - Unsigned 32-bit integer seed.
+ * @returns {Function} () => number in [0, 1), a drop-in replacement for Math.random.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.getState = () => state;
+    return next;
+}
+
+/**
+ * Picks a fresh seed for a game that was not given one.
+ * @returns {number} An unsigned 32-bit integer seed.
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Converts a seed from game setup (a number or a numeric string, e.g. from the URL) to a valid seed.
+ * @param {number|string} value - The seed to parse.
+ * @returns {number} An unsigned 32-bit integer seed.
+ */
+export function parseSeed(value) {
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        throw new Error(`Invalid seed '${value}'. Must be an integer from 0 to ${0xFFFFFFFF}.`);
+    }
+    return seed;
+}
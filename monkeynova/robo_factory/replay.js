@@ -0,0 +1,182 @@
+// replay.js
+import { REPLAY_FORMAT_VERSION, REPLAY_MAX_EVENT_DELAY } from './config.js';
+import * as Logger from './logger.js';
+
+/**
+ * Copies event data so later changes to the game state do not alter the log.
+ * @param {any} data - The event payload.
+ * @returns {any} A JSON-safe copy, or null for events without data.
+ */
+function cloneEventData(data) {
+    return data === undefined ? null : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Records every emitted event and the programs run each turn into a replay log.
+ * The log starts from a snapshot of the board and robots, so a replay can draw the
+ * opening position before it re-emits the recorded events.
+ */
+export class ReplayRecorder {
+    /**
+     * @param {Board} board - The board being played.
+     * @param {Robot[]} robots - Every robot in the game, hand robot first.
+     * @param {EventBus} eventBus - The bus of the game being recorded.
+     * @param {number|null} [seed=null] - The deck seed, recorded for reference.
+     */
+    constructor(board, robots, eventBus, seed = null) {
+        this.board = board.toJSON();
+        this.robots = robots.map(robot => robot.serialize());
+        this.seed = seed;
+        this.events = [];
+        this.turns = [];
+        this.startTime = null;
+        this.unsubscribe = null;
+        this.eventBus = eventBus;
+    }
+
+    /** Starts recording emitted events. */
+    start() {
+        if (this.unsubscribe) return;
+        this.startTime = Date.now();
+        this.unsubscribe = this.eventBus.onAny((eventName, data) => {
+            this.events.push({ time: Date.now() - this.startTime, event: eventName, data: cloneEventData(data) });
+        });
+        Logger.log("Replay recording started.");
+    }
+
+    /** Stops recording emitted events. */
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Records the programs the robots are about to run.
+     * @param {Robot[]} robots - Every robot taking part in the turn.
+     */
+    recordPrograms(robots) {
+        this.turns.push({
+            time: this.startTime === null ? 0 : Date.now() - this.startTime,
+            eventIndex: this.events.length, // Events recorded before the turn started
+            programs: robots.map(robot => ({ robotId: robot.id, cards: cloneEventData(robot.getProgram()) })),
+        });
+    }
+
+    /**
+     * Builds the exportable replay log.
+     * @returns {object} A JSON-serializable replay log.
+     */
+    toJSON() {
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: this.seed,
+            board: this.board,
+            robots: this.robots,
+            events: this.events,
+            turns: this.turns,
+        };
+    }
+}
+
+/**
+ * Plays a replay log back by re-emitting its events, so the UI redraws the game
+ * without the game logic running. Recorded gaps between events are kept (up to
+ * REPLAY_MAX_EVENT_DELAY) and scaled by the playback speed.
+ */
+export class ReplayPlayer {
+    /**
+     * @param {object} log - A replay log from ReplayRecorder.toJSON().
+     * @param {EventBus} eventBus - The bus of the replay page, which hears the recorded events.
+     */
+    constructor(log, eventBus) {
+        if (!log || log.version !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay format version '${log ? log.version : undefined}'. Must be ${REPLAY_FORMAT_VERSION}.`);
+        }
+        if (!Array.isArray(log.events)) {
+            throw new Error("Replay log has no events list.");
+        }
+        this.log = log;
+        this.eventBus = eventBus;
+        this.position = 0; // Index of the next event to emit
+        this.speed = 1;
+        this.playing = false;
+        this.timer = null;
+        this.onProgress = null; // Optional (position, total, playing) => void, for the controls
+    }
+
+    /** @returns {number} Number of events in the replay. */
+    getEventCount() {
+        return this.log.events.length;
+    }
+
+    /** @returns {boolean} True once every event has been emitted. */
+    isFinished() {
+        return this.position >= this.log.events.length;
+    }
+
+    /**
+     * Emits the next event.
+     * @returns {boolean} True if an event was emitted, false if the replay is finished.
+     */
+    step() {
+        if (this.isFinished()) return false;
+        const entry = this.log.events[this.position++];
+        this.eventBus.emit(entry.event, entry.data === null ? undefined : entry.data);
+        this.reportProgress();
+        return true;
+    }
+
+    /** Starts or resumes playback. */
+    play() {
+        if (this.playing || this.isFinished()) return;
+        this.playing = true;
+        this.reportProgress();
+        this.scheduleNext();
+    }
+
+    /** Pauses playback after the current event. */
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.reportProgress();
+    }
+
+    /**
+     * Sets the playback speed.
+     * @param {number} speed - Multiplier on the recorded timing (e.g. 2 plays twice as fast).
+     */
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || speed <= 0) {
+            throw new Error(`Invalid replay speed '${speed}'. Must be a positive number.`);
+        }
+        this.speed = speed;
+    }
+
+    /** Waits for the recorded gap before the next event, then emits it. */
+    scheduleNext() {
+        if (!this.playing) return;
+        if (this.isFinished()) {
+            this.playing = false;
+            this.reportProgress();
+            return;
+        }
+        const previous = this.log.events[this.position - 1];
+        const gap = previous ? this.log.events[this.position].time - previous.time : 0;
+        const delay = Math.min(Math.max(gap, 0), REPLAY_MAX_EVENT_DELAY) / this.speed;
+        this.timer = setTimeout(() => {
+            this.step();
+            this.scheduleNext();
+        }, delay);
+    }
+
+    /** Tells the controls where playback is. */
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress(this.position, this.log.events.length, this.playing);
+        }
+    }
+}
@@ -1,16 +1,23 @@
 // robot.js
-import { orientations, MAX_HEALTH, TURN_LEFT, TURN_RIGHT } from './config.js'; // Keep config import
+import { orientations, MAX_HEALTH, HAND_SIZE, PROGRAM_SIZE, REGISTER_LOCK_DAMAGE_THRESHOLD, TURN_LEFT, TURN_RIGHT } from './config.js'; // Keep config import
 import { Board } from './board.js';
+import { getOppositeWallSide } from './tile.js';
 import * as Logger from './logger.js';
 // Board import needed for calculateMoveTarget's parameter type hint, but not logic here
 
-import { emit } from './eventEmitter.js';
+
+let robotIdCounter = 0; // Used to generate default ids for robots created without one
 
 /**
- * Represents the player's robot, managing its state and actions.
+ * Represents a robot on the board, managing its state and actions.
+ * Several robots can share a board; each one owns its program, health, lives
+ * and checkpoint progress, and tags the events it emits with its `id`.
  */
 class Robot {
     // --- Properties ---
+    id;
+    startRow;
+    startCol;
     row;
     col;
     orientation;
@@ -25,11 +32,15 @@ class Robot {
      * @param {number} startRow
      * @param {number} startCol
      * @param {string} startOrientation
+     * @param {string} [id] - Unique identifier used in emitted events. Generated if omitted.
      */
-    constructor(startRow, startCol, startOrientation) {
+    constructor(startRow, startCol, startOrientation, id = null) {
         if (!orientations.includes(startOrientation)) {
             throw new Error(`Invalid initial robot orientation: ${startOrientation}. Must be one of ${orientations.join(', ')}.`);
         }
+        this.id = id || `robot-${++robotIdCounter}`;
+        this.startRow = startRow; // Respawn point until a station is visited
+        this.startCol = startCol;
         this.row = startRow;
         this.col = startCol;
         this.orientation = startOrientation;
@@ -40,9 +51,28 @@ class Robot {
         this.program = [];
         this.powerDownIntent = false; // Player intends to power down next turn
         this.isPoweredDown = false;   // Robot is currently powered down
+        this.eventSink = () => {}; // Where notify() sends events: the game's bus, or a simulation's recorder
         Logger.log("Robot instance created and initialized:", { ...this.getRobotState() });
     }
 
+    /**
+     * Sets where the events this robot reports go: the game's EventBus, or a simulation's action log.
+     * Until then they are dropped.
+     * @param {Function} sink - Called with (eventName, data).
+     */
+    setEventSink(sink) {
+        this.eventSink = sink;
+    }
+
+    /**
+     * Reports an event about this robot through its event sink.
+     * @param {string} eventName - The name of the event.
+     * @param {object} data - The event payload.
+     */
+    notify(eventName, data) {
+        this.eventSink(eventName, data);
+    }
+
     /**
      * Sets the program cards for the robot to execute.
      * @param {object[]} cards - An array of card data objects.
@@ -67,6 +97,7 @@ class Robot {
     getRobotState() {
         // Return a copy to prevent direct external modification
         return {
+            id: this.id,
             row: this.row,
             col: this.col,
             orientation: this.orientation,
@@ -87,7 +118,7 @@ class Robot {
             this.powerDownIntent = intent;
             Logger.log(`Robot power down intent set to: ${this.powerDownIntent}`);
             Logger.log(`Emitting powerDownIntentChanged: ${this.powerDownIntent}`);
-            emit('powerDownIntentChanged', this.powerDownIntent);
+            this.notify('powerDownIntentChanged', { robotId: this.id, powerDownIntent: this.powerDownIntent });
         }
     }
 
@@ -107,7 +138,7 @@ class Robot {
         if (this.isPoweredDown !== poweredDown) {
             this.isPoweredDown = poweredDown;
             Logger.log(`Robot isPoweredDown set to: ${this.isPoweredDown}`);
-            emit('isPoweredDownChanged', this.isPoweredDown);
+            this.notify('isPoweredDownChanged', { robotId: this.id, isPoweredDown: this.isPoweredDown });
         }
     }
 
@@ -177,7 +208,7 @@ class Robot {
         this.orientation = orientations[newIndex];
         Logger.log(`Robot turned ${direction}. New orientation: ${this.orientation}`);
         // Emit event with current state AFTER update
-        emit('robotTurned', { row: this.row, col: this.col, orientation: this.orientation });
+        this.notify('robotTurned', { robotId: this.id, row: this.row, col: this.col, orientation: this.orientation });
         return this.orientation;
     }
 
@@ -187,7 +218,7 @@ class Robot {
         const newIndex = (currentIndex + 2) % orientations.length;
         this.orientation = orientations[newIndex];
         Logger.log(`Robot performed U-Turn. New orientation: ${this.orientation}`);
-        emit('robotTurned', { row: this.row, col: this.col, orientation: this.orientation });
+        this.notify('robotTurned', { robotId: this.id, row: this.row, col: this.col, orientation: this.orientation });
         return this.orientation;
     }
 
@@ -195,60 +226,18 @@ class Robot {
      * Calculates the target coordinates for a move attempt based on current state.
      * This function determines where the robot *would* move, considering board boundaries and walls,
      * without actually changing the robot's position. It's used for validating moves.
+     * Other robots are not considered here; pushing them is resolved by the game loop.
      * @param {number} steps - Number of steps (+ve forward, -ve backward).
      * @param {object} boardData - Parsed board data for boundary/wall checks.
      * @returns {object} { targetRow, targetCol, success: boolean, blockedByWall: boolean }
      */
     calculateMoveTarget(steps, boardData) {
-        let dr = 0, dc = 0;
-        const moveDir = steps > 0 ? 1 : -1;
-        switch (this.orientation) {
-            case 'north': dr = -moveDir; break;
-            case 'east':  dc = moveDir;  break;
-            case 'south': dr = moveDir;  break;
-            case 'west':  dc = -moveDir; break;
-        }
-
-        // Determine the wall sides to check
-        let exitWallSide, entryWallSide;
-        if (dr === -1) { // Moving North
-            exitWallSide = 'north';
-            entryWallSide = 'south';
-        } else if (dr === 1) { // Moving South
-            exitWallSide = 'south';
-            entryWallSide = 'north';
-        } else if (dc === -1) { // Moving West
-            exitWallSide = 'west';
-            entryWallSide = 'east';
-        } else if (dc === 1) { // Moving East
-            exitWallSide = 'east';
-            entryWallSide = 'west';
-        } else {
-            return { targetRow: this.row, targetCol: this.col, success: false, blockedByWall: false }; // Should not happen
+        const moveDirection = steps > 0 ? this.orientation : getOppositeWallSide(this.orientation);
+        const moveTarget = boardData.getMoveTarget(this.row, this.col, moveDirection);
+        if (moveTarget.blockedByWall) {
+            Logger.log(`Move from (${this.row}, ${this.col}) towards ${moveDirection} blocked by wall.`);
         }
-
-        const targetRow = this.row + dr;
-        const targetCol = this.col + dc;
-
-        // 1. Check Boundaries for the target tile
-        const isInBounds = targetRow >= 0 && targetRow < boardData.rows &&
-                           targetCol >= 0 && targetCol < boardData.cols;
-        if (!isInBounds) {
-            return { targetRow, targetCol, success: false, blockedByWall: false };
-        }
-
-        // 2. Check Walls
-        // Check for a wall on the current tile blocking exit
-        const blockedByCurrentTileWall = boardData.hasWall(this.row, this.col, exitWallSide);
-        // Check for a wall on the target tile blocking entry
-        const blockedByTargetTileWall = boardData.hasWall(targetRow, targetCol, entryWallSide);
-
-        if (blockedByCurrentTileWall || blockedByTargetTileWall) {
-            Logger.log(`Move from (${this.row}, ${this.col}) towards ${this.orientation} blocked by wall.`);
-            return { targetRow: this.row, targetCol: this.col, success: false, blockedByWall: true };
-        }
-
-        return { targetRow, targetCol, success: true, blockedByWall: false };
+        return moveTarget;
     }
 
     /**
@@ -261,19 +250,53 @@ class Robot {
             this.row = row;
             this.col = col;
             Logger.log(`Robot position set to (${this.row}, ${this.col})`);
-            emit('robotMoved', { row: this.row, col: this.col, orientation: this.orientation });
+            this.notify('robotMoved', { robotId: this.id, row: this.row, col: this.col, orientation: this.orientation });
         }
     }
 
     /**
-     * Decreases robot health by 1 and emits an event.
+     * Gets the damage the robot has taken since it was last at full health.
+     * @returns {number}
+     */
+    getDamage() {
+        return MAX_HEALTH - this.health;
+    }
+
+    /**
+     * Gets the number of cards the robot is dealt: one fewer per point of damage.
+     * @returns {number}
+     */
+    getHandSize() {
+        return Math.max(0, HAND_SIZE - this.getDamage());
+    }
+
+    /**
+     * Gets the number of program registers, counted from the last, that keep their cards between turns.
+     * @returns {number}
+     */
+    getLockedRegisterCount() {
+        return Math.min(PROGRAM_SIZE, Math.max(0, this.getDamage() - REGISTER_LOCK_DAMAGE_THRESHOLD));
+    }
+
+    /**
+     * Checks whether a program register is locked by damage.
+     * @param {number} registerIndex - Zero-based register index.
+     * @returns {boolean}
+     */
+    isRegisterLocked(registerIndex) {
+        return registerIndex >= PROGRAM_SIZE - this.getLockedRegisterCount();
+    }
+
+    /**
+     * Decreases robot health and emits an event.
      * If health drops to 0 or below, the robot loses a life and respawns.
+     * @param {number} [amount=1] - Points of damage to take.
      * @returns {number} The new health value.
      */
-    takeDamage() {
-        this.health--;
-        Logger.log(`Robot took 1 damage. Health: ${this.health}`);
-        emit('healthChanged', { health: this.health, maxHealth: MAX_HEALTH });
+    takeDamage(amount = 1) {
+        this.health -= amount;
+        Logger.log(`Robot took ${amount} damage. Health: ${this.health}`);
+        this.notify('healthChanged', { robotId: this.id, health: this.health, maxHealth: MAX_HEALTH });
 
         if (this.health <= 0) {
             Logger.log("Robot health depleted. Losing a life...");
@@ -284,22 +307,23 @@ class Robot {
 
     /**
      * Decrements robot lives by 1 and triggers respawn if possible.
-     * Emits 'gameOver' if no lives remain.
-     * @returns {boolean} True if a life was lost and robot respawned/game ended, false otherwise.
+     * Emits 'robotDestroyed' if no lives remain; deciding whether that ends the
+     * game is left to the game loop, which knows about the other robots.
+     * @returns {boolean} True if the robot has no lives left, false if it will respawn.
      */
     loseLife() {
         this.lives--;
-        Logger.log(`Robot lost a life. Lives remaining: ${this.lives}`);
-        emit('livesChanged', this.lives); // Emit event for UI to update lives display
+        Logger.log(`Robot ${this.id} lost a life. Lives remaining: ${this.lives}`);
+        this.notify('livesChanged', { robotId: this.id, lives: this.lives }); // Emit event for UI to update lives display
 
         if (this.lives <= 0) {
-            Logger.error("*** ROBOT DESTROYED! No lives left. ***");
-            emit('gameOver', false); // Game over, loss
+            Logger.error(`*** ROBOT ${this.id} DESTROYED! No lives left. ***`);
+            this.notify('robotDestroyed', { robotId: this.id });
             return true;
         } else {
             // Respawn at last visited station
             this.health = MAX_HEALTH; // Restore health
-            emit('healthChanged', { health: this.health, maxHealth: MAX_HEALTH });
+            this.notify('healthChanged', { robotId: this.id, health: this.health, maxHealth: MAX_HEALTH });
             Logger.log(`Robot respawned at last checkpoint with full health (${this.health}).`);
             // The actual position change will be handled by gameLoop based on lastVisitedStationKey
             return false; // Robot respawned, game is NOT over
@@ -313,7 +337,7 @@ class Robot {
     restoreFullHealth() {
         this.health = MAX_HEALTH;
         Logger.log(`Robot healed to full health: ${this.health}`);
-        emit('healthChanged', { health: this.health, maxHealth: MAX_HEALTH });
+        this.notify('healthChanged', { robotId: this.id, health: this.health, maxHealth: MAX_HEALTH });
         return this.health;
     }
 
@@ -333,6 +357,51 @@ class Robot {
     isDestroyed() {
         return this.lives <= 0;
     }
+
+    /**
+     * Captures the full robot state, including its checkpoint progress and the
+     * program it carries between turns (its locked registers).
+     * @returns {object} A JSON-serializable snapshot of the robot.
+     */
+    serialize() {
+        return {
+            ...this.getRobotState(),
+            startRow: this.startRow,
+            startCol: this.startCol,
+            highestVisitedCheckpointOrder: this.highestVisitedCheckpointOrder,
+            program: this.program.map(card => (card ? { ...card } : null)),
+        };
+    }
+
+    /**
+     * Recreates a robot from a snapshot taken by serialize().
+     * @param {object} data - The saved robot state.
+     * @returns {Robot} The restored robot.
+     */
+    static deserialize(data) {
+        const robot = new Robot(data.startRow, data.startCol, data.orientation, data.id);
+        robot.restoreState(data);
+        robot.program = data.program.map(card => (card ? { ...card } : null));
+        return robot;
+    }
+
+    /**
+     * Copies the position, health, lives, power state and checkpoint progress of a
+     * snapshot from serialize() onto this robot, without reporting any events.
+     * The program is left alone.
+     * @param {object} data - The robot state to copy.
+     */
+    restoreState(data) {
+        this.row = data.row;
+        this.col = data.col;
+        this.orientation = data.orientation;
+        this.health = data.health;
+        this.lives = data.lives;
+        this.lastVisitedStationKey = data.lastVisitedStationKey;
+        this.highestVisitedCheckpointOrder = data.highestVisitedCheckpointOrder;
+        this.powerDownIntent = data.powerDownIntent;
+        this.isPoweredDown = data.isPoweredDown;
+    }
 }
 
 // Export the class as the default export
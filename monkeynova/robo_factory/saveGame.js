@@ -0,0 +1,66 @@
+// saveGame.js
+import { SAVE_FORMAT_VERSION } from './config.js';
+import { Board } from './board.js';
+import Robot from './robot.js';
+import * as Logger from './logger.js';
+
+/**
+ * Captures the full game state as a versioned, JSON-serializable snapshot:
+ * the board, every robot, and the deck, hand and discard pile.
+ * @param {Board} board - The board being played.
+ * @param {Robot[]} robots - Every robot in the game, hand robot first.
+ * @param {Deck} deck - The game's cards.
+ * @param {string|null} [boardName=null] - Name of the board file the game was started from, if any.
+ * @param {string[]} [slottedCardIds=[]] - Cards in the program slots that the hand robot has not
+ *   run yet (not the locked ones, which are part of its program). They are saved in the hand.
+ * @returns {object} The snapshot.
+ */
+export function createSnapshot(board, robots, deck, boardName = null, slottedCardIds = []) {
+    return {
+        version: SAVE_FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+        boardName,
+        board: board.toJSON(),
+        robots: robots.map(robot => robot.serialize()),
+        cards: deck.serializeState(slottedCardIds),
+    };
+}
+
+/**
+ * Rebuilds the board and robots from a snapshot taken by createSnapshot().
+ * The card state is left to the game's Deck.restoreState(snapshot.cards), which emits hand
+ * and count events, so callers can restore it once the UI is listening.
+ * @param {object} snapshot - The saved game.
+ * @returns {{board: Board, robots: Robot[]}} The restored board and robots.
+ */
+export function restoreSnapshot(snapshot) {
+    if (!snapshot || snapshot.version !== SAVE_FORMAT_VERSION) {
+        throw new Error(`Unsupported save format version '${snapshot ? snapshot.version : undefined}'. Must be ${SAVE_FORMAT_VERSION}.`);
+    }
+    const board = Board.fromJSON(snapshot.board);
+    const robots = snapshot.robots.map(robotData => Robot.deserialize(robotData));
+    Logger.log(`Restored game saved at ${snapshot.savedAt} with ${robots.length} robot(s).`);
+    return { board, robots };
+}
+
+/**
+ * Writes a snapshot to storage as JSON.
+ * @param {Storage} storage - Where to save (e.g. window.localStorage).
+ * @param {string} key - The storage key.
+ * @param {object} snapshot - The snapshot to save.
+ */
+export function saveSnapshot(storage, key, snapshot) {
+    storage.setItem(key, JSON.stringify(snapshot));
+    Logger.log(`Game saved to '${key}'.`);
+}
+
+/**
+ * Reads a snapshot from storage.
+ * @param {Storage} storage - Where to load from (e.g. window.localStorage).
+ * @param {string} key - The storage key.
+ * @returns {object|null} The snapshot, or null if nothing is saved under the key.
+ */
+export function loadSnapshot(storage, key) {
+    const json = storage.getItem(key);
+    return json ? JSON.parse(json) : null;
+}
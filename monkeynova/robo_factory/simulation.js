@@ -0,0 +1,651 @@
+// simulation.js
+import { PROGRAM_SIZE, TURN_LEFT, TURN_RIGHT } from './config.js';
+import { Board } from './board.js';
+import Robot from './robot.js';
+import { getOppositeWallSide } from './tile.js';
+import * as Logger from './logger.js';
+
+// The rules for resolving a register: the programmed cards, then the board elements.
+// A Simulation plays them on its own copies of the board and robots. Nothing is emitted
+// and nothing waits; the events the game would emit are recorded as actions instead,
+// together with the pauses the animation should make. Previews and the solver read the
+// actions, and the game loop plays the same actions back onto the real board and robots,
+// so a preview and the real turn cannot disagree.
+
+/**
+ * Finds the robot still on the board that stands on the given tile.
+ * @param {Robot[]} robots - The robots to search.
+ * @param {number} row
+ * @param {number} col
+ * @returns {Robot|null}
+ */
+function findRobotAt(robots, row, col) {
+    return robots.find(robot => !robot.isDestroyed() && robot.row === row && robot.col === col) || null;
+}
+
+/**
+ * Moves a robot one tile in a direction, pushing the chain of robots in front of it.
+ * The whole move fails if the mover or any robot in the chain is blocked by a wall
+ * or the board edge, and the mover reports moveBlocked. On boards whose edges are pits, the robot at the front of the
+ * chain falls off instead of blocking it.
+ * @param {Robot} robot - The robot that initiates the move.
+ * @param {'north' | 'south' | 'east' | 'west'} direction - Direction of travel.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - Every robot that may be pushed.
+ * @returns {{moved: boolean, blockedByWall: boolean, pushedRobots: Robot[], fallenRobots: Robot[]}}
+ */
+function moveRobotWithPush(robot, direction, boardData, robots) {
+    const chain = [robot];
+    let moveTarget = boardData.getMoveTarget(robot.row, robot.col, direction);
+    while (moveTarget.success) {
+        const nextRobot = findRobotAt(robots, moveTarget.targetRow, moveTarget.targetCol);
+        if (!nextRobot) break;
+        chain.push(nextRobot);
+        moveTarget = boardData.getMoveTarget(nextRobot.row, nextRobot.col, direction);
+    }
+
+    if (!moveTarget.success && !moveTarget.fellOffBoard) {
+        if (chain.length > 1) {
+            Logger.log(`   ${robot.id} cannot push ${chain.length - 1} robot(s) ${direction}: chain is blocked.`);
+        }
+        robot.notify('moveBlocked', {
+            robotId: robot.id, row: robot.row, col: robot.col, direction,
+            reason: moveTarget.blockedByWall ? 'wall' : 'edge',
+        });
+        return { moved: false, blockedByWall: moveTarget.blockedByWall, pushedRobots: [], fallenRobots: [] };
+    }
+
+    // Move the front of the chain first so robots never share a tile.
+    // A robot leaving through an open edge stays put until it is respawned.
+    const fallenRobots = [];
+    for (let i = chain.length - 1; i >= 0; i--) {
+        const target = boardData.getMoveTarget(chain[i].row, chain[i].col, direction);
+        if (target.fellOffBoard) {
+            Logger.log(`   ${chain[i].id} falls off the board moving ${direction}!`);
+            fallenRobots.push(chain[i]);
+            continue;
+        }
+        chain[i].setPosition(target.targetRow, target.targetCol);
+    }
+    if (chain.length > 1) {
+        Logger.log(`   ${robot.id} pushed ${chain.slice(1).map(pushed => pushed.id).join(', ')} ${direction}.`);
+    }
+    const pushedRobots = chain.slice(1).filter(pushed => !fallenRobots.includes(pushed));
+    return { moved: true, blockedByWall: false, pushedRobots, fallenRobots };
+}
+
+/**
+ * Resolves where the robots of a move end up. Robots that left the board, and pushed
+ * robots that landed on a hole, lose a life and respawn straight away. Robots that
+ * arrived on an oil slick keep sliding; robots that arrived on a teleporter jump to
+ * its partner.
+ * @param {Robot} robot - The robot that initiated the move.
+ * @param {{pushedRobots: Robot[], fallenRobots: Robot[]}} moveResult - Result of moveRobotWithPush.
+ * @param {'north' | 'south' | 'east' | 'west'} direction - Direction of the move.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - Every robot that may be pushed.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ * @returns {boolean} True if the initiating robot fell off the board.
+ */
+function resolveArrivals(robot, moveResult, direction, boardData, robots, pause) {
+    for (const fallenRobot of moveResult.fallenRobots) {
+        boardData.applyFall(fallenRobot);
+        if (!fallenRobot.isDestroyed()) {
+            handleRobotRespawn(fallenRobot, pause);
+        }
+    }
+    let robotFell = moveResult.fallenRobots.includes(robot);
+    for (const pushedRobot of moveResult.pushedRobots) {
+        const holeResult = boardData.getTileData(pushedRobot.row, pushedRobot.col).tryApplyHole(pushedRobot, boardData);
+        if (holeResult.fellInHole) {
+            if (!pushedRobot.isDestroyed()) {
+                handleRobotRespawn(pushedRobot, pause);
+            }
+            continue;
+        }
+        applyArrivalEffects(pushedRobot, direction, boardData, robots, pause);
+    }
+    if (!robotFell) {
+        robotFell = applyArrivalEffects(robot, direction, boardData, robots, pause);
+    }
+    return robotFell;
+}
+
+/**
+ * Applies the floor devices that act as soon as a robot enters their tile.
+ * @param {Robot} robot - The robot that arrived.
+ * @param {'north' | 'south' | 'east' | 'west'} direction - Direction the robot arrived moving in.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - Every robot that may be pushed.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ * @returns {boolean} True if the robot fell off the board while sliding.
+ */
+function applyArrivalEffects(robot, direction, boardData, robots, pause) {
+    const floorDevice = boardData.getTileData(robot.row, robot.col).floorDevice;
+    if (floorDevice.type === 'oil') {
+        const slideResult = moveRobotWithPush(robot, direction, boardData, robots);
+        if (!slideResult.moved) {
+            return false; // Slid into a wall or another robot
+        }
+        Logger.log(`   ${robot.id} slides ${direction} on oil to (${robot.row}, ${robot.col}).`);
+        pause(150);
+        return resolveArrivals(robot, slideResult, direction, boardData, robots, pause);
+    }
+    if (floorDevice.type === 'teleporter') {
+        const destination = boardData.getTeleporterDestination(robot.row, robot.col);
+        if (findRobotAt(robots, destination.row, destination.col)) {
+            Logger.log(`   ${robot.id} cannot teleport: (${destination.row}, ${destination.col}) is occupied.`);
+            return false;
+        }
+        Logger.log(`   ${robot.id} teleports to (${destination.row}, ${destination.col}).`);
+        robot.setPosition(destination.row, destination.col);
+    }
+    return false;
+}
+
+/**
+ * Executes a single programmed card action.
+ * @param {Robot} robot - The robot instance.
+ * @param {object} cardData - The card data object to execute.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - Every robot on the board, for pushing.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ * @returns {boolean} True if a card action was performed, false otherwise.
+ */
+function tryExecuteSingleCard(robot, cardData, boardData, robots, pause) {
+    if (!cardData) {
+        return false;
+    }
+
+    let cardActionTaken = false;
+    if (cardData.type === 'turnL') {
+        robot.turn(TURN_LEFT);
+        cardActionTaken = true;
+    } else if (cardData.type === 'turnR') {
+        robot.turn(TURN_RIGHT);
+        cardActionTaken = true;
+    }
+    else if (cardData.type === 'uturn') {
+        robot.uTurn();
+        cardActionTaken = true;
+    }
+    else { // Movement cards (move1, move2, back1)
+        const moveCount = cardData.type === 'move2' ? 2 : 1;
+        const moveDirection = cardData.type === 'back1' ? getOppositeWallSide(robot.orientation) : robot.orientation;
+
+        for (let moveStep = 0; moveStep < moveCount; moveStep++) {
+            const moveResult = moveRobotWithPush(robot, moveDirection, boardData, robots);
+
+            if (moveResult.moved) {
+                cardActionTaken = true;
+                if (!moveResult.fallenRobots.includes(robot)) {
+                    Logger.log(`   Move step ${moveStep + 1} to (${robot.row}, ${robot.col})`);
+                }
+                const robotFell = resolveArrivals(robot, moveResult, moveDirection, boardData, robots, pause);
+                if (robotFell) break; // The rest of the move is lost with the fall
+                if (moveCount > 1) pause(500);
+            } else {
+                if (moveResult.blockedByWall) {
+                    Logger.log("   Move failed: Hit wall.");
+                } else {
+                    Logger.log("   Move failed: Hit boundary.");
+                }
+                if (moveCount > 1) break;
+            }
+        }
+    }
+    return cardActionTaken;
+}
+
+/**
+ * Runs one movement phase of the board (e.g. conveyors or push panels) for every robot.
+ * Moved robots push the robots in front of them. A robot moves at most once per
+ * phase, so robots riding the same belt move together rather than being shoved twice.
+ * A robot whose tile cannot move it past a wall or the board edge reports moveBlocked.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - The robots still on the board.
+ * @param {Function} applyTileEffect - (tileData, robot) => {moved, direction?, turn?, blocked?} for the robot's current tile.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ * @param {Function} [onMoved] - (robot, fromRow, fromCol, direction, carried) => void, called for each
+ *   robot its tile moved (not the robots it pushed); carried is false if the robot left the board.
+ * @returns {boolean} True if any robot moved during the phase.
+ */
+function applyMovementPhase(boardData, robots, applyTileEffect, pause, onMoved = null) {
+    let anyMoved = false;
+    const displacedRobots = new Set();
+    for (const robot of robots) {
+        if (displacedRobots.has(robot) || robot.isDestroyed()) continue;
+        const tileData = boardData.getTileData(robot.row, robot.col);
+        const result = applyTileEffect(tileData, robot);
+        if (result.blocked) {
+            robot.notify('moveBlocked', {
+                robotId: robot.id, row: robot.row, col: robot.col, ...result.blocked,
+            });
+        }
+        if (!result.moved) continue;
+
+        const { row: fromRow, col: fromCol } = robot;
+        const moveResult = moveRobotWithPush(robot, result.direction, boardData, robots);
+        if (moveResult.moved) {
+            const carried = !moveResult.fallenRobots.includes(robot);
+            if (result.turn && carried) {
+                robot.turn(result.turn); // Carried onto a curve or merge
+            }
+            if (onMoved) {
+                onMoved(robot, fromRow, fromCol, result.direction, carried);
+            }
+            displacedRobots.add(robot);
+            moveResult.pushedRobots.forEach(pushedRobot => displacedRobots.add(pushedRobot));
+            moveResult.fallenRobots.forEach(fallenRobot => displacedRobots.add(fallenRobot));
+            resolveArrivals(robot, moveResult, result.direction, boardData, robots, pause);
+            anyMoved = true;
+        }
+    }
+    if (anyMoved) {
+        pause(150); // Short delay after phase movement
+    }
+    return anyMoved;
+}
+
+/**
+ * Rotates every robot standing on a gear.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - The robots still on the board.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ */
+function applyGearRotation(boardData, robots, pause) {
+    let anyTurned = false;
+    for (const robot of robots) {
+        if (boardData.getTileData(robot.row, robot.col).tryApplyGear(robot, boardData).turned) {
+            anyTurned = true;
+        }
+    }
+    if (anyTurned) {
+        pause(350); // Wait for turn animation
+    }
+}
+
+/**
+ * Applies the effects of the tile each robot ends the register on
+ * (repair station, checkpoint, hole).
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - The robots still on the board.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ * @returns {object} { gameEnded, fellInHole }
+ */
+function applyStationAndHoleEffects(boardData, robots, pause) {
+    let gameEnded = false;
+    let fellInHole = false;
+    for (const robot of robots) {
+        const finalTileData = boardData.getTileData(robot.row, robot.col);
+
+        finalTileData.tryApplyRepairStation(robot, boardData);
+
+        const checkpointResult = finalTileData.tryApplyCheckpoint(robot, boardData);
+        if (checkpointResult.gameEnded) {
+            gameEnded = true;
+            break; // A robot has won the game
+        }
+
+        const holeResult = finalTileData.tryApplyHole(robot, boardData);
+        if (holeResult.fellInHole) {
+            fellInHole = true;
+            if (!robot.isDestroyed()) {
+                handleRobotRespawn(robot, pause);
+            }
+        }
+    }
+    return { gameEnded, fellInHole };
+}
+
+/**
+ * Ends the game with a loss if no robot is left on the board.
+ * @param {object} boardData - The parsed board data, which reports the end of the game.
+ * @param {Robot[]} robots - All robots in the game.
+ * @returns {boolean} True if every robot has been destroyed.
+ */
+function checkAllRobotsDestroyed(boardData, robots) {
+    if (robots.every(robot => robot.isDestroyed())) {
+        Logger.error("*** ALL ROBOTS DESTROYED! ***");
+        boardData.notify('gameOver', { isWin: false, robotId: null });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Runs one damaging phase (crushers or a set of lasers) and respawns the robots it knocked out.
+ * Robots whose health runs out lose a life inside takeDamage(); this moves them back to their respawn point.
+ * @param {Robot[]} robots - The robots on the board at the start of the phase.
+ * @param {Function} dealDamage - (robots) => void, damages the robots still on the board.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ */
+function applyDamagePhase(robots, dealDamage, pause) {
+    const livesBeforeDamage = new Map(robots.map(robot => [robot, robot.lives]));
+    dealDamage(robots.filter(robot => !robot.isDestroyed()));
+    for (const robot of robots) {
+        if (robot.lives < livesBeforeDamage.get(robot) && !robot.isDestroyed()) {
+            handleRobotRespawn(robot, pause);
+        }
+    }
+}
+
+/**
+ * Crushes every robot standing on a crusher scheduled for this step.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - The robots still on the board.
+ * @param {number} currentProgramStep - The current step number of the program execution.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ */
+function applyCrushers(boardData, robots, currentProgramStep, pause) {
+    let anyCrushed = false;
+    for (const robot of robots) {
+        if (boardData.getTileData(robot.row, robot.col).tryApplyCrusher(robot, currentProgramStep).crushed) {
+            anyCrushed = true;
+        }
+    }
+    if (anyCrushed) {
+        pause(300);
+    }
+}
+
+/**
+ * Handles robot respawn logic after losing a life.
+ * @param {Robot} robot - The robot instance.
+ * @param {Function} pause - (ms) => void, asks for a delay before the next action is shown.
+ * @returns {boolean} True if the game ended, false otherwise.
+ */
+function handleRobotRespawn(robot, pause) {
+    if (robot.isDestroyed()) {
+        return true; // Game ended
+    }
+
+    let respawnRow = robot.startRow;
+    let respawnCol = robot.startCol;
+
+    // Prioritize respawning at the last visited station (checkpoint or repair station)
+    if (robot.lastVisitedStationKey) {
+        const [r, c] = robot.lastVisitedStationKey.split('-').map(Number);
+        respawnRow = r;
+        respawnCol = c;
+        Logger.log(`Respawning ${robot.id} at last visited station: (${respawnRow}, ${respawnCol})`);
+    } else {
+        Logger.log(`No checkpoint/repair station visited yet. Respawning ${robot.id} at initial position: (${respawnRow}, ${respawnCol})`);
+    }
+
+    robot.setPosition(respawnRow, respawnCol);
+    Logger.log(`Robot ${robot.id} respawned at (${respawnRow}, ${respawnCol}) with full health.`);
+    robot.notify('robotRespawned', { robotId: robot.id, row: robot.row, col: robot.col, orientation: robot.orientation, lives: robot.lives });
+    pause(600); // Wait for robot to return to station
+    return false; // Game not ended
+}
+
+/**
+ * Orders the robots acting in a register by the priority of their card, highest first.
+ * Robots whose cards share a priority (or have none) keep their list order.
+ * @param {Robot[]} robots - The robots taking part in the turn.
+ * @param {number} registerIndex - Zero-based register being resolved.
+ * @param {Set<string>} poweredDownIds - Ids of the robots that sit out the turn.
+ * @returns {Robot[]} The robots that play a card this register, in resolution order.
+ */
+function getRegisterOrder(robots, registerIndex, poweredDownIds) {
+    const priorityOf = robot => {
+        const cardData = robot.getProgram()[registerIndex];
+        return (cardData && cardData.priority) || 0;
+    };
+    return robots
+        .filter(robot => !robot.isDestroyed() && !poweredDownIds.has(robot.id))
+        .sort((a, b) => priorityOf(b) - priorityOf(a));
+}
+
+/**
+ * Plays registers on private copies of a board and its robots, recording what happens.
+ * Each recorded action is either an event,
+ * `{register, phase, event, data, robotId?, state?}` (robot events carry the robot's
+ * snapshot after the event), or a pause, `{register, phase, pause}` in milliseconds.
+ * `phase` is one of REGISTER_PHASES in config.js.
+ */
+export class Simulation {
+    /**
+     * @param {Board} board - The board; it is copied, not changed.
+     * @param {object[]} robotStates - The robots, as snapshots from Robot.serialize().
+     * @param {object} [options={}] - Simulation options.
+     * @param {boolean} [options.logging=false] - Whether the rules log what they do, as in the live game.
+     */
+    constructor(board, robotStates, options = {}) {
+        this.logging = Boolean(options.logging);
+        this.actions = [];
+        this.phase = null;
+        this.board = Logger.runSilently(() => Board.fromJSON(board.toJSON()));
+        this.board.setEventSink((eventName, data) => this.record(eventName, data, null));
+        this.board.setProgramStep(board.currentProgramStep);
+        this.loadRobots(robotStates);
+        this.actions = [];
+    }
+
+    /**
+     * Replaces the simulated robots, e.g. to try another program from the same position.
+     * @param {object[]} robotStates - The robots, as snapshots from Robot.serialize().
+     */
+    loadRobots(robotStates) {
+        this.robots = Logger.runSilently(() => robotStates.map(state => Robot.deserialize(state)));
+        this.robots.forEach(robot => robot.setEventSink((eventName, data) => this.record(eventName, data, robot)));
+    }
+
+    /**
+     * Takes snapshots of the simulated robots.
+     * @returns {object[]} One Robot.serialize() snapshot per robot, in the order they were loaded.
+     */
+    getRobotStates() {
+        return this.robots.map(robot => robot.serialize());
+    }
+
+    /**
+     * Returns the actions recorded so far and starts a new list.
+     * @returns {object[]}
+     */
+    takeActions() {
+        const actions = this.actions;
+        this.actions = [];
+        return actions;
+    }
+
+    /**
+     * Records an event reported by the simulated board or a simulated robot.
+     * @param {string} eventName - The name of the event.
+     * @param {object} data - The event payload.
+     * @param {Robot|null} robot - The robot the event is about, or null for board events.
+     */
+    record(eventName, data, robot) {
+        const action = { register: this.board.currentProgramStep, phase: this.phase, event: eventName, data };
+        if (robot) {
+            action.robotId = robot.id;
+            action.state = robot.serialize();
+        }
+        this.actions.push(action);
+    }
+
+    /**
+     * Records a delay the animation should make before showing the next action.
+     * @param {number} ms - The delay in milliseconds.
+     */
+    pause(ms) {
+        this.actions.push({ register: this.board.currentProgramStep, phase: this.phase, pause: ms });
+    }
+
+    /**
+     * Runs the rules, logging only if this simulation was asked to.
+     * @param {Function} rules - Synchronous function applying the rules.
+     * @returns {any} What the rules return.
+     */
+    apply(rules) {
+        return this.logging ? rules() : Logger.runSilently(rules);
+    }
+
+    /**
+     * Starts a turn, before its first register.
+     * @param {Set<string>} [poweredDownIds] - Ids of the robots that sit out the turn. Defaults to the robots powered down now.
+     */
+    startTurn(poweredDownIds = null) {
+        const robotsInTurn = this.robots.filter(robot => !robot.isDestroyed());
+        const sittingOut = poweredDownIds ||
+            new Set(robotsInTurn.filter(robot => robot.getIsPoweredDown()).map(robot => robot.id));
+        this.phase = null;
+        this.board.notify('turnStarted', {
+            robotIds: robotsInTurn.map(robot => robot.id),
+            poweredDownIds: robotsInTurn.filter(robot => sittingOut.has(robot.id)).map(robot => robot.id),
+        });
+    }
+
+    /**
+     * Resolves one register: the card of every robot that is not powered down, highest
+     * priority first, then the board elements.
+     * @param {number} registerIndex - Zero-based register to resolve.
+     * @param {Set<string>} [poweredDownIds] - Ids of the robots that sit out the turn. Defaults to the robots powered down now.
+     * @returns {{gameEnded: boolean, boardMoved: boolean, fellInHole: boolean}}
+     */
+    runRegister(registerIndex, poweredDownIds = null) {
+        const sittingOut = poweredDownIds ||
+            new Set(this.robots.filter(robot => robot.getIsPoweredDown()).map(robot => robot.id));
+        const pause = ms => this.pause(ms);
+        return this.apply(() => {
+            Logger.log(`\nExecuting Step ${registerIndex + 1}`);
+            this.phase = 'cards';
+            this.board.setProgramStep(registerIndex + 1);
+            this.board.notify('registerStarted', { register: registerIndex + 1 });
+            let cardActionTaken = false; // Track if any robot performed a card action
+
+            // --- 1. Execute Card Actions (only for robots that are not powered down) ---
+            this.robots.filter(robot => !robot.isDestroyed() && sittingOut.has(robot.id))
+                .forEach(robot => Logger.log(`  ${robot.id} is powered down. Skipping card action.`));
+            for (const robot of getRegisterOrder(this.robots, registerIndex, sittingOut)) {
+                if (robot.isDestroyed()) continue; // Pushed into a hole earlier in this register
+                const cardData = robot.getProgram()[registerIndex];
+                Logger.log(`  ${robot.id} card data for this step: ${JSON.stringify(cardData)}`);
+                if (tryExecuteSingleCard(robot, cardData, this.board, this.robots, pause)) {
+                    cardActionTaken = true;
+                }
+            }
+
+            pause(cardActionTaken ? 200 : 500); // Longer pause when nothing visibly happened
+
+            // --- 2. Board Elements ---
+            return this.runBoardEffects(registerIndex + 1);
+        });
+    }
+
+    /**
+     * Applies the board elements to every robot for one register, in phase order:
+     * express conveyors, all conveyors, push panels, gears, crushers, board lasers, robot lasers,
+     * then repair stations, checkpoints and holes. Destroyed robots are skipped.
+     * @param {number} currentProgramStep - The current step number of the program execution.
+     * @returns {{gameEnded: boolean, boardMoved: boolean, fellInHole: boolean}}
+     */
+    runBoardEffects(currentProgramStep) {
+        const boardData = this.board;
+        const robots = this.robots;
+        const pause = ms => this.pause(ms);
+        return this.apply(() => {
+            Logger.log("   Checking board actions...");
+            this.phase = 'expressConveyors';
+            boardData.setProgramStep(currentProgramStep);
+            const activeRobots = robots.filter(robot => !robot.isDestroyed());
+            let boardMoved = false; // Track if ANY movement happened this phase
+
+            // --- 1. Conveyor Movement ---
+            Logger.log("      Phase 1: Checking 2x Conveyor");
+            const reportCarried = (robot, fromRow, fromCol, direction, carried) => {
+                if (!carried) return; // Carried off the board
+                robot.notify('robotConveyed', {
+                    robotId: robot.id, fromRow, fromCol, row: robot.row, col: robot.col, direction,
+                    express: boardData.getTileData(fromRow, fromCol).floorDevice.speed === 2, // Express belts move in both phases
+                });
+            };
+            if (applyMovementPhase(boardData, activeRobots,
+                (tileData, robot) => tileData.tryApplySpeed2xConveyor(robot.getRobotState(), boardData), pause, reportCarried)) {
+                boardMoved = true;
+            }
+
+            Logger.log("      Phase 2: Checking All Conveyors");
+            this.phase = 'conveyors';
+            if (applyMovementPhase(boardData, activeRobots,
+                (tileData, robot) => tileData.tryApplyConveyor(robot.getRobotState(), boardData), pause, reportCarried)) {
+                boardMoved = true;
+            }
+
+            // --- 2. Push Panel Movement ---
+            Logger.log("      Phase 3: Checking Push Panels");
+            this.phase = 'pushers';
+            // A pusher is reported as fired only when its push goes ahead; a blocked push reports moveBlocked
+            const reportPushed = (robot, fromRow, fromCol, direction) =>
+                boardData.notify('pusherFired', { robotId: robot.id, row: fromRow, col: fromCol, direction });
+            if (applyMovementPhase(boardData, activeRobots,
+                (tileData, robot) => tileData.tryPushPanel(robot.getRobotState(), boardData, currentProgramStep), pause, reportPushed)) {
+                boardMoved = true;
+            }
+
+            // --- 3. Gear Rotation ---
+            this.phase = 'gears';
+            applyGearRotation(boardData, activeRobots, pause);
+
+            // --- 4. Crushers ---
+            this.phase = 'crushers';
+            applyDamagePhase(activeRobots, targets => applyCrushers(boardData, targets, currentProgramStep, pause), pause);
+
+            // --- 5. Laser Firing (board lasers, then robot-mounted lasers) ---
+            this.phase = 'boardLasers';
+            applyDamagePhase(activeRobots, targets => boardData.applyLasers(targets, pause, currentProgramStep), pause);
+            this.phase = 'robotLasers';
+            applyDamagePhase(activeRobots, targets => boardData.applyRobotLasers(targets, pause), pause);
+            if (checkAllRobotsDestroyed(boardData, robots)) {
+                return { gameEnded: true, boardMoved, fellInHole: false };
+            }
+
+            // --- 6. Repair Station, Checkpoint, Hole ---
+            this.phase = 'checkpoints';
+            const survivingRobots = activeRobots.filter(robot => !robot.isDestroyed());
+            const stationResult = applyStationAndHoleEffects(boardData, survivingRobots, pause);
+            const gameEnded = stationResult.gameEnded || checkAllRobotsDestroyed(boardData, robots);
+
+            return { gameEnded, boardMoved, fellInHole: stationResult.fellInHole };
+        });
+    }
+}
+
+/**
+ * Predicts what a program does to one robot, without changing the board, the robot or
+ * the visible game. Registers are played in order until the program runs out or the
+ * game ends; an empty register (null) plays no card but the board still acts.
+ * @param {Board} board - The board; it is copied, not changed.
+ * @param {object} robotState - The robot, as a snapshot from Robot.serialize().
+ * @param {Array<object|null>} program - Card data per register, at most PROGRAM_SIZE.
+ * @param {object} [options={}] - Simulation options.
+ * @param {object[]} [options.otherRobots=[]] - Snapshots of the other robots on the board. Their
+ *   programs are unknown, so they play no cards; they can still be pushed and moved by the board.
+ * @returns {{finalState: object, actions: object[], registersPlayed: number, gameEnded: boolean}}
+ *   The robot snapshot after the program and, in order, the events the program would emit
+ *   (see Simulation for their shape).
+ */
+export function simulateProgram(board, robotState, program, options = {}) {
+    if (program.length > PROGRAM_SIZE) {
+        throw new Error(`Program has ${program.length} registers. Must have at most ${PROGRAM_SIZE}.`);
+    }
+    const otherRobots = (options.otherRobots || []).map(state => ({ ...state, program: [] }));
+    const simulation = new Simulation(board, [robotState, ...otherRobots]);
+    const [robot] = simulation.robots;
+    simulation.apply(() => robot.setProgram(program.map(card => (card ? { ...card } : null))));
+
+    simulation.startTurn();
+    let registersPlayed = 0;
+    let gameEnded = false;
+    while (registersPlayed < program.length && !gameEnded) {
+        gameEnded = simulation.runRegister(registersPlayed).gameEnded;
+        registersPlayed++;
+    }
+    return {
+        finalState: robot.serialize(),
+        actions: simulation.takeActions().filter(action => action.event),
+        registersPlayed,
+        gameEnded,
+    };
+}
@@ -0,0 +1,66 @@
+// solve-level.js
+import { HAND_SIZE } from './config.js';
+import { Deck } from './cards.js';
+import { createLevelGame, findLevel, getLevelCards, formatPar } from './campaign.js';
+import { solveProgram, findWinningLine } from './solver.js';
+import * as Logger from './logger.js';
+
+// Command-line entry point for checking a campaign level:
+//   node solve-level.js around-the-wall
+// Prints the best first-turn programs and, for levels with a fixed hand, the shortest
+// win the solver finds, to compare against the level's par.
+
+/**
+ * Formats a program as its card types.
+ * @param {object[]} program - The program cards.
+ * @returns {string}
+ */
+function formatProgram(program) {
+    return program.map(card => card.type).join(', ');
+}
+
+(() => {
+    const levelId = process.argv[2];
+    if (!levelId) {
+        console.error("Usage: node solve-level.js <level id>");
+        process.exit(1);
+    }
+
+    try {
+        Logger.setConsoleOutput(false);
+        const level = findLevel(levelId);
+        const cards = getLevelCards(level);
+        if (!cards) {
+            throw new Error(`Level '${level.id}' deals from the shuffled deck. Must have a hand or card sequence to solve.`);
+        }
+        const { board, robots } = createLevelGame(level);
+        const hand = new Deck().initFixedDeck(cards);
+        const robotState = robots[0].serialize();
+
+        console.log(`${level.name} (${formatPar(level)})`);
+        console.log(`Hand: ${formatProgram(hand)}`);
+        const best = solveProgram(board, robotState, hand, { limit: 3 });
+        best.forEach((outcome, index) => {
+            const summary = outcome.won
+                ? `wins after ${outcome.registersPlayed} register(s)`
+                : `${outcome.checkpointsReached} checkpoint(s), ${outcome.distanceToNextCheckpoint} tile(s) from the next, ${outcome.damageTaken} damage`;
+            console.log(`  ${index + 1}. ${formatProgram(outcome.program)}: ${summary}`);
+        });
+
+        if (level.cardSequence && cards.length > HAND_SIZE) {
+            console.log("Later hands depend on the cards played, so only the first turn was searched.");
+            process.exit(0);
+        }
+        const line = findWinningLine(board, robotState, hand);
+        if (!line) {
+            console.error("ERROR No win found. The level may be unsolvable with this hand.");
+            process.exit(1);
+        }
+        console.log(`Won in ${line.turns} turn(s) using ${line.cardsUsed} card(s):`);
+        line.programs.forEach((program, index) => console.log(`  Turn ${index + 1}: ${formatProgram(program)}`));
+        process.exit(0);
+    } catch (error) {
+        console.error(`ERROR ${error.message}`);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,272 @@
+// solver.js
+import { PROGRAM_SIZE, MAX_HEALTH, ALLOWED_WALL_SIDES, SOLVER_BEAM_WIDTH, SOLVER_MAX_TURNS } from './config.js';
+import Robot from './robot.js';
+import { Simulation } from './simulation.js';
+import { measureDistances } from './boardLint.js';
+import { getOppositeWallSide, getNeighbour } from './tile.js';
+
+// Searches the programs a robot could build from its hand by playing them with the game's
+// own register rules in a Simulation (simulation.js), so searching changes nothing on
+// screen and can run next to a game.
+
+/**
+ * Orders two search outcomes, better first: a win (in fewer registers), staying on the
+ * board, more checkpoints, fewer lives lost, fewer tiles to the next checkpoint, less
+ * damage, then fewer registers ended beside a hole.
+ * @param {object} a - An outcome from solveProgram().
+ * @param {object} b - Another outcome.
+ * @returns {number} Negative if a is better, positive if b is better, 0 if they tie.
+ */
+export function compareOutcomes(a, b) {
+    // Two unreachable checkpoints give Infinity - Infinity = NaN, which is falsy like a tie
+    return (b.won - a.won)
+        || (a.won ? a.registersPlayed - b.registersPlayed : 0)
+        || (a.destroyed - b.destroyed)
+        || (b.checkpointsReached - a.checkpointsReached)
+        || (a.livesLost - b.livesLost)
+        || (a.distanceToNextCheckpoint - b.distanceToNextCheckpoint)
+        || (a.damageTaken - b.damageTaken)
+        || (a.registersBesideHole - b.registersBesideHole);
+}
+
+/**
+ * Plays every distinct program for one robot and one turn on a private copy of the board.
+ */
+class ProgramSearch {
+    /**
+     * @param {Board} board - The board; it is copied, not changed.
+     * @param {object} robotState - The robot, as a snapshot from Robot.serialize().
+     */
+    constructor(board, robotState) {
+        this.simulation = new Simulation(board, [robotState]);
+        this.board = this.simulation.board;
+        const [robot] = this.simulation.robots;
+        if (robot.getIsPoweredDown() || robot.isDestroyed()) {
+            throw new Error(`Robot ${robot.id} cannot be programmed this turn. Must not be powered down or destroyed.`);
+        }
+        const lockedCount = robot.getLockedRegisterCount();
+        this.lockedCards = lockedCount > 0 ? robotState.program.slice(-lockedCount) : [];
+        if (this.lockedCards.length !== lockedCount) {
+            throw new Error(`Robot ${robot.id} has ${lockedCount} locked register(s) but ${this.lockedCards.length} card(s) in them.`);
+        }
+        this.freeRegisters = PROGRAM_SIZE - lockedCount;
+        this.distanceCache = new Map(); // 'row-col-order' -> tiles to that checkpoint
+        this.turnStartState = robotState; // The robot at the start of the turn being searched
+    }
+
+    /**
+     * Plays every distinct program the hand allows. Cards of the same type give the same
+     * result for a single robot, so only one of them is tried per register.
+     * @param {object} robotState - The robot at the start of the turn.
+     * @param {object[]} hand - Card data to build programs from.
+     * @returns {object[]} One outcome per distinct program.
+     */
+    run(robotState, hand) {
+        if (hand.length < this.freeRegisters) {
+            throw new Error(`Hand holds ${hand.length} card(s). Must hold at least ${this.freeRegisters} to fill the unlocked registers.`);
+        }
+        this.turnStartState = robotState;
+        this.simulation.loadRobots([robotState]);
+        this.simulation.startTurn();
+        this.simulation.takeActions(); // Only the end state matters here
+        const outcomes = [];
+        const tally = { registersPlayed: 0, damageTaken: 0, livesLost: 0, registersBesideHole: 0 };
+        this.playRegisters(robotState, [], hand, tally, outcomes);
+        return outcomes;
+    }
+
+    /**
+     * Chooses the card for the next register, plays it and recurses into the rest of the program.
+     * @param {object} robotState - The robot before this register.
+     * @param {object[]} program - Cards of the registers played so far.
+     * @param {object[]} remaining - Hand cards not yet in the program.
+     * @param {object} tally - Totals over the registers played so far.
+     * @param {object[]} outcomes - Collects the finished programs.
+     */
+    playRegisters(robotState, program, remaining, tally, outcomes) {
+        const registerIndex = program.length;
+        if (registerIndex === PROGRAM_SIZE) {
+            outcomes.push(this.createOutcome(program, robotState, tally, false));
+            return;
+        }
+
+        const candidates = registerIndex >= this.freeRegisters
+            ? [this.lockedCards[registerIndex - this.freeRegisters]]
+            : remaining.filter((card, index) => remaining.findIndex(other => other.type === card.type) === index);
+        for (const card of candidates) {
+            const nextProgram = [...program, card];
+            this.simulation.loadRobots([{ ...robotState, program: nextProgram }]);
+            const [robot] = this.simulation.robots;
+            const healthBefore = robot.health;
+            const livesBefore = robot.lives;
+            const { gameEnded } = this.simulation.runRegister(registerIndex);
+            this.simulation.takeActions(); // Only the end state matters here
+
+            const livesLost = livesBefore - robot.lives;
+            const nextTally = {
+                registersPlayed: tally.registersPlayed + 1,
+                // A lost life counts as all the health the robot had left
+                damageTaken: tally.damageTaken + Math.max(0, healthBefore - robot.health + livesLost * MAX_HEALTH),
+                livesLost: tally.livesLost + livesLost,
+                registersBesideHole: tally.registersBesideHole + (this.isBesideHole(robot.row, robot.col) ? 1 : 0),
+            };
+            const nextRemaining = remaining.filter(other => other !== card);
+            if (gameEnded) {
+                outcomes.push(this.createOutcome(this.completeProgram(nextProgram, nextRemaining), robot.serialize(), nextTally, true));
+            } else {
+                this.playRegisters(robot.serialize(), nextProgram, nextRemaining, nextTally, outcomes);
+            }
+        }
+        this.board.setProgramStep(null); // Toggle walls between turns, for distanceTo()
+    }
+
+    /**
+     * Fills the registers left unplayed when the game ended mid-turn, so the program can still be run.
+     * @param {object[]} program - Cards of the registers played.
+     * @param {object[]} remaining - Hand cards not yet in the program.
+     * @returns {object[]} A full program.
+     */
+    completeProgram(program, remaining) {
+        const freeCards = program.slice(0, this.freeRegisters);
+        const filler = remaining.slice(0, this.freeRegisters - freeCards.length);
+        return [...freeCards, ...filler, ...this.lockedCards];
+    }
+
+    /**
+     * Checks whether a robot stands next to a hole (or an open board edge) with no wall between.
+     * @param {number} row - Row index.
+     * @param {number} col - Column index.
+     * @returns {boolean}
+     */
+    isBesideHole(row, col) {
+        const tile = this.board.getTileData(row, col);
+        if (!tile) return false;
+        return ALLOWED_WALL_SIDES.some(side => {
+            if (tile.hasWall(side)) return false;
+            const next = getNeighbour(row, col, side);
+            const neighbour = this.board.getTileData(next.row, next.col);
+            if (!neighbour) return this.board.edgesArePits;
+            return !neighbour.hasWall(getOppositeWallSide(side)) && neighbour.floorDevice.type === 'hole';
+        });
+    }
+
+    /**
+     * Counts the tiles between a position and a checkpoint (see measureDistances in boardLint.js).
+     * @param {number} row - Row index.
+     * @param {number} col - Column index.
+     * @param {object} checkpoint - The checkpoint flag.
+     * @returns {number} The distance, or Infinity if the checkpoint cannot be reached.
+     */
+    distanceTo(row, col, checkpoint) {
+        const key = `${row}-${col}-${checkpoint.order}`;
+        if (!this.distanceCache.has(key)) {
+            const distance = measureDistances(this.board, [{ row, col }]).get(`${checkpoint.row}-${checkpoint.col}`);
+            this.distanceCache.set(key, distance === undefined ? Infinity : distance);
+        }
+        return this.distanceCache.get(key);
+    }
+
+    /**
+     * Describes where a program left the robot.
+     * @param {object[]} program - The full program.
+     * @param {object} robotState - The robot after the program.
+     * @param {object} tally - Totals over the registers played.
+     * @param {boolean} gameEnded - Whether the game ended during the program.
+     * @returns {object} The outcome.
+     */
+    createOutcome(program, robotState, tally, gameEnded) {
+        const robot = Robot.deserialize(robotState);
+        const destroyed = robot.isDestroyed();
+        const won = gameEnded && !destroyed;
+        const nextCheckpoint = this.board.flags.find(flag =>
+            flag.type === 'checkpoint' && flag.order === robot.getVisitedFlagCount() + 1);
+        let distanceToNextCheckpoint = 0;
+        if (destroyed) {
+            distanceToNextCheckpoint = Infinity;
+        } else if (!won && nextCheckpoint) {
+            distanceToNextCheckpoint = this.distanceTo(robot.row, robot.col, nextCheckpoint);
+        }
+        // Registers locked by damage keep their cards into the next turn, as in discardPrograms()
+        const finalState = { ...robotState, program: program.filter((card, index) => robot.isRegisterLocked(index)) };
+        return {
+            program,
+            won,
+            destroyed,
+            checkpointsReached: robot.getVisitedFlagCount(),
+            checkpointsGained: robot.getVisitedFlagCount() - this.turnStartState.highestVisitedCheckpointOrder,
+            distanceToNextCheckpoint,
+            ...tally,
+            finalState,
+        };
+    }
+}
+
+/**
+ * Finds the best programs a robot can build from its hand this turn.
+ * @param {Board} board - The board; it is copied, not changed.
+ * @param {object} robotState - The robot, as a snapshot from Robot.serialize().
+ * @param {object[]} hand - Card data to build programs from, e.g. Deck.getHandCards().
+ * @param {object} [options={}] - Search options.
+ * @param {number} [options.limit=Infinity] - How many outcomes to return.
+ * @returns {object[]} Outcomes, best first (see compareOutcomes). Each has the
+ *   `program` (cards from the hand), `won`, `destroyed`, `checkpointsReached`, `checkpointsGained`,
+ *   `distanceToNextCheckpoint`, `damageTaken`, `livesLost`, `registersBesideHole`,
+ *   `registersPlayed` and `finalState` (the robot snapshot for the next turn).
+ */
+export function solveProgram(board, robotState, hand, options = {}) {
+    const limit = options.limit === undefined ? Infinity : options.limit;
+    const outcomes = new ProgramSearch(board, robotState).run(robotState, hand);
+    return outcomes.sort(compareOutcomes).slice(0, limit);
+}
+
+/**
+ * Searches several turns for a win, assuming the same hand is dealt every turn (as in a
+ * campaign level with a fixed hand). Each turn keeps the best few end states (a beam
+ * search), so a line it finds bounds par from above but is not guaranteed optimal.
+ * @param {Board} board - The board; it is copied, not changed.
+ * @param {object} robotState - The robot, as a snapshot from Robot.serialize().
+ * @param {object[]} hand - Card data dealt every turn.
+ * @param {object} [options={}] - Search options.
+ * @param {number} [options.maxTurns=SOLVER_MAX_TURNS] - Turns to search before giving up.
+ * @param {number} [options.beamWidth=SOLVER_BEAM_WIDTH] - End states kept per turn.
+ * @returns {{turns: number, cardsUsed: number, programs: object[][]} | null}
+ *   The winning programs, one per turn, or null if no win was found.
+ */
+export function findWinningLine(board, robotState, hand, options = {}) {
+    const maxTurns = options.maxTurns === undefined ? SOLVER_MAX_TURNS : options.maxTurns;
+    const beamWidth = options.beamWidth === undefined ? SOLVER_BEAM_WIDTH : options.beamWidth;
+    const search = new ProgramSearch(board, robotState);
+    let beam = [{ state: robotState, programs: [], cardsUsed: 0 }];
+    for (let turn = 1; turn <= maxTurns && beam.length > 0; turn++) {
+        const candidates = [];
+        for (const line of beam) {
+            const outcomes = search.run(line.state, hand);
+            outcomes.forEach(outcome => candidates.push({ line, outcome }));
+        }
+        candidates.sort((a, b) => compareOutcomes(a.outcome, b.outcome));
+
+        const wins = candidates.filter(candidate => candidate.outcome.won);
+        if (wins.length > 0) {
+            const best = wins.reduce((fewest, candidate) =>
+                candidate.line.cardsUsed + candidate.outcome.registersPlayed < fewest.line.cardsUsed + fewest.outcome.registersPlayed ? candidate : fewest);
+            return {
+                turns: turn,
+                cardsUsed: best.line.cardsUsed + best.outcome.registersPlayed,
+                programs: [...best.line.programs, best.outcome.program],
+            };
+        }
+
+        // Different programs often end in the same place; keep one line per end state
+        const seen = new Set();
+        beam = [];
+        for (const { line, outcome } of candidates) {
+            const { row, col, orientation, health, lives, highestVisitedCheckpointOrder } = outcome.finalState;
+            const key = `${row}-${col}-${orientation}-${health}-${lives}-${highestVisitedCheckpointOrder}`;
+            if (outcome.destroyed || seen.has(key)) continue;
+            seen.add(key);
+            beam.push({ state: outcome.finalState, programs: [...line.programs, outcome.program], cardsUsed: line.cardsUsed + PROGRAM_SIZE });
+            if (beam.length === beamWidth) break;
+        }
+    }
+    return null;
+}
@@ -3,7 +3,6 @@
 import { ALLOWED_WALL_SIDES } from './config.js'; // For validation
 import * as Logger from './logger.js';
 import * as Config from './config.js';
-import { emit } from './eventEmitter.js';
 
 /**
  * Helper function to get the opposite wall side for a given direction.
@@ -21,6 +20,24 @@ export function getOppositeWallSide(direction) {
     }
 }
 
+/**
+ * Gets the position across a side of a tile, whether or not a tile is there.
+ * @param {number} r - Row index.
+ * @param {number} c - Column index.
+ * @param {'north' | 'south' | 'east' | 'west'} side - The side to cross.
+ * @returns {{row: number, col: number}}
+ */
+export function getNeighbour(r, c, side) {
+    switch (side) {
+        case 'north': return { row: r - 1, col: c };
+        case 'south': return { row: r + 1, col: c };
+        case 'east': return { row: r, col: c + 1 };
+        case 'west': return { row: r, col: c - 1 };
+        default:
+            throw new Error(`Invalid side: ${side}. Must be one of ${ALLOWED_WALL_SIDES.join(', ')}.`);
+    }
+}
+
 export class Tile {
     /**
      * Represents a single tile on the game board, encapsulating its properties
@@ -32,10 +49,19 @@ export class Tile {
     row;
     /** @type {number} */
     col;
-    /** @type {{type: 'none' | 'hole' | 'repair-station' | 'checkpoint' | 'conveyor' | 'gear', direction?: string, speed?: number, steps?: Set<number>} | null} */
+    /** @type {{type: 'none' | 'hole' | 'repair-station' | 'checkpoint' | 'conveyor' | 'gear' | 'crusher' | 'teleporter' | 'oil', direction?: string, speed?: number, steps?: Set<number>, damage?: number, pairId?: string} | null} */
     floorDevice;
 
-    constructor(floorDevice, r, c, walls = [], wallDevices = []) {
+    /**
+     * @param {object} floorDevice - The device on the tile's floor.
+     * @param {number} r - Row index.
+     * @param {number} c - Column index.
+     * @param {string[]} [walls=[]] - Sides with a permanent wall.
+     * @param {object[]} [wallDevices=[]] - Pushers and lasers attached to the walls.
+     * @param {{side: string, steps: Set<number>}[]} [toggleWalls=[]] - Wall segments that are closed only on the listed program steps.
+     * @param {{side: string, direction: string}[]} [gates=[]] - One-way gates that only let robots cross the side moving in `direction`.
+     */
+    constructor(floorDevice, r, c, walls = [], wallDevices = [], toggleWalls = [], gates = []) {
         if (!floorDevice) {
             throw new Error(`Invalid floor device definition at (${r}, ${c}): floorDevice is null or undefined.`);
         }
@@ -45,6 +71,28 @@ export class Tile {
         this.walls = Array.isArray(walls) ? walls : [];
         this.floorDevice = floorDevice;
         this.wallDevices = Array.isArray(wallDevices) ? wallDevices : [];
+        this.toggleWalls = Array.isArray(toggleWalls) ? toggleWalls : [];
+        this.gates = Array.isArray(gates) ? gates : [];
+
+        this.toggleWalls.forEach(toggleWall => {
+            if (!ALLOWED_WALL_SIDES.includes(toggleWall.side)) {
+                throw new Error(`Invalid toggle wall side '${toggleWall.side}' at (${r}, ${c}). Must be one of ${ALLOWED_WALL_SIDES.join(', ')}.`);
+            }
+            if (this.walls.includes(toggleWall.side)) {
+                throw new Error(`Toggle wall at (${r}, ${c}) is on the ${toggleWall.side} side, which already has a permanent wall.`);
+            }
+            if (!(toggleWall.steps instanceof Set) || toggleWall.steps.size === 0) {
+                throw new Error(`Toggle wall at (${r}, ${c}) has no closing steps defined (e.g., steps: new Set([2, 4])).`);
+            }
+        });
+        this.gates.forEach(gate => {
+            if (!ALLOWED_WALL_SIDES.includes(gate.side)) {
+                throw new Error(`Invalid gate side '${gate.side}' at (${r}, ${c}). Must be one of ${ALLOWED_WALL_SIDES.join(', ')}.`);
+            }
+            if (gate.direction !== gate.side && gate.direction !== getOppositeWallSide(gate.side)) {
+                throw new Error(`Invalid gate direction '${gate.direction}' at (${r}, ${c}). Must be '${gate.side}' or '${getOppositeWallSide(gate.side)}'.`);
+            }
+        });
 
         // Validate wall devices
         this.wallDevices.forEach(device => {
@@ -55,9 +103,18 @@ export class Tile {
             if (!this.walls.includes(requiredWallSide)) {
                 throw new Error(`${device.type} at (${r}, ${c}) firing ${device.direction} must be attached to a ${requiredWallSide} wall.`);
             }
-            if (device.type === 'pusher' && (!device.steps || device.steps.size === 0)) {
+            if (device.type === 'pusher' && (!(device.steps instanceof Set) || device.steps.size === 0)) {
                 throw new Error(`Tile at (${r}, ${c}) has a push panel but no activation steps defined (e.g., steps: [1, 3, 5]).`);
             }
+            if (device.type === 'laser') {
+                if (device.strength !== undefined &&
+                    (!Number.isInteger(device.strength) || device.strength < 1 || device.strength > Config.MAX_LASER_STRENGTH)) {
+                    throw new Error(`Invalid laser strength '${device.strength}' at (${r}, ${c}). Must be an integer from 1 to ${Config.MAX_LASER_STRENGTH}.`);
+                }
+                if (device.steps !== undefined && (!(device.steps instanceof Set) || device.steps.size === 0)) {
+                    throw new Error(`Tile at (${r}, ${c}) has a laser with an empty firing schedule. Omit steps to fire on every step.`);
+                }
+            }
         });
     }
 
@@ -66,6 +123,20 @@ export class Tile {
         return this.wallDevices.find(device => device.type === type);
     }
 
+    /**
+     * Gets the laser mounted on this tile if it fires during the given program step.
+     * Lasers without a steps schedule fire on every step.
+     * @param {number} currentProgramStep - The current step number of the program execution.
+     * @returns {{type: 'laser', direction: string, strength?: number, steps?: Set<number>} | null}
+     */
+    getActiveLaser(currentProgramStep) {
+        const laser = this.getWallDevice('laser');
+        if (!laser || (laser.steps && !laser.steps.has(currentProgramStep))) {
+            return null;
+        }
+        return laser;
+    }
+
     
 
     /**
@@ -80,38 +151,76 @@ export class Tile {
         return this.walls.includes(side);
     }
 
+    /**
+     * Checks if a side of this tile is walled off during a program step: either a
+     * permanent wall, or a toggle wall scheduled to be closed on that step.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The side to check.
+     * @param {number|null} currentProgramStep - The current program step, or null between turns.
+     * @returns {boolean} True if the side is closed.
+     */
+    isWallClosed(side, currentProgramStep) {
+        return this.hasWall(side) ||
+            this.toggleWalls.some(toggleWall => toggleWall.side === side && toggleWall.steps.has(currentProgramStep));
+    }
+
+    /**
+     * Checks if something travelling in a direction is stopped at a side of this tile,
+     * by a closed wall or by a one-way gate that faces the other way.
+     * @param {'north' | 'south' | 'east' | 'west'} side - The side being crossed.
+     * @param {'north' | 'south' | 'east' | 'west'} travelDirection - The direction of travel.
+     * @param {number|null} currentProgramStep - The current program step, or null between turns.
+     * @returns {boolean} True if the crossing is blocked.
+     */
+    blocksCrossing(side, travelDirection, currentProgramStep) {
+        return this.isWallClosed(side, currentProgramStep) ||
+            this.gates.some(gate => gate.side === side && gate.direction !== travelDirection);
+    }
+
+    /**
+     * Gets the rotation a robot receives when a conveyor carries it onto this tile.
+     * An explicit `turn` on the belt wins; otherwise the turn is detected from the angle
+     * between the direction of travel and this belt, so curves and side entries into a
+     * merge rotate the robot while straight runs do not.
+     * @param {'north' | 'south' | 'east' | 'west'} arrivalDirection - The direction the robot was carried in.
+     * @returns {'left' | 'right' | null} The rotation to apply, or null for none.
+     */
+    getConveyorTurn(arrivalDirection) {
+        if (this.floorDevice.type !== 'conveyor') {
+            return null;
+        }
+        if (this.floorDevice.turn) {
+            return this.floorDevice.turn;
+        }
+        const quarterTurns = (Config.orientations.indexOf(this.floorDevice.direction) -
+                              Config.orientations.indexOf(arrivalDirection) + Config.orientations.length) % Config.orientations.length;
+        if (quarterTurns === 1) return Config.TURN_RIGHT;
+        if (quarterTurns === 3) return Config.TURN_LEFT;
+        return null;
+    }
+
     /**
      * Attempts to apply a 2x speed conveyor movement from this tile.
      * @param {object} robotState - The current state of the robot (row, col, orientation).
      * @param {Board} board - The board instance for boundary/wall checks.
-     * @returns {{moved: boolean, newR?: number, newC?: number}} - Indicates if a move occurred and the new position.
+     * @returns {{moved: boolean, newR?: number, newC?: number, direction?: string, turn?: string|null, blocked?: {direction: string, reason: string}}} - Indicates if a move occurred, the new position, the direction of travel and any rotation from the belt carried onto; or, for a belt that cannot move the robot, the direction it was blocked in and the reason ('wall' or 'edge').
      */
     tryApplySpeed2xConveyor(robotState, board) {
         if (this.floorDevice.type === 'conveyor' && this.floorDevice.speed === 2) {
-            let dr = 0, dc = 0;
-            let exitSide = '';
-            switch (this.floorDevice.direction) {
-                case 'north': dr = -1; exitSide = 'north'; break;
-                case 'south': dr = 1;  exitSide = 'south'; break;
-                case 'west':  dc = -1; exitSide = 'west';  break;
-                case 'east':  dc = 1;  exitSide = 'east';  break;
-            }
-
-            if (dr !== 0 || dc !== 0) {
-                const nextR = this.row + dr;
-                const nextC = this.col + dc;
+            const exitSide = this.floorDevice.direction;
+            const { row: nextR, col: nextC } = getNeighbour(this.row, this.col, exitSide);
+            const targetTileData = board.getTileData(nextR, nextC);
+            const blockedByWall = board.isCrossingBlocked(this.row, this.col, exitSide);
 
-                const targetTileData = board.getTileData(nextR, nextC);
-                const blockedByWall = this.hasWall(exitSide) ||
-                                      (targetTileData && targetTileData.hasWall(dr === 1 ? 'north' : (dr === -1 ? 'south' : (dc === 1 ? 'west' : 'east'))));
-
-                if (targetTileData && !blockedByWall) {
-                    Logger.log(`      2x Conveyor moving from (${this.row},${this.col}) to (${nextR},${nextC})`);
-                    return { moved: true, newR: nextR, newC: nextC };
-                } else {
-                    Logger.log(`      2x Conveyor at (${this.row},${this.col}) blocked (Wall: ${blockedByWall}, Boundary: ${!targetTileData}).`);
-                }
+            if (targetTileData && !blockedByWall) {
+                Logger.log(`      2x Conveyor moving from (${this.row},${this.col}) to (${nextR},${nextC})`);
+                return { moved: true, newR: nextR, newC: nextC, direction: this.floorDevice.direction,
+                         turn: targetTileData.getConveyorTurn(this.floorDevice.direction) };
+            } else if (!targetTileData && !blockedByWall && board.edgesArePits) {
+                Logger.log(`      2x Conveyor at (${this.row},${this.col}) carries the robot off the board.`);
+                return { moved: true, newR: nextR, newC: nextC, direction: this.floorDevice.direction, turn: null };
             }
+            Logger.log(`      2x Conveyor at (${this.row},${this.col}) blocked (Wall: ${blockedByWall}, Boundary: ${!targetTileData}).`);
+            return { moved: false, blocked: { direction: exitSide, reason: targetTileData ? 'wall' : 'edge' } };
         }
         return { moved: false };
     }
@@ -120,34 +229,25 @@ export class Tile {
      * Attempts to apply a 1x or 2x speed conveyor movement from this tile.
      * @param {object} robotState - The current state of the robot (row, col, orientation).
      * @param {Board} board - The board instance for boundary/wall checks.
-     * @returns {{moved: boolean, newR?: number, newC?: number}} - Indicates if a move occurred and the new position.
+     * @returns {{moved: boolean, newR?: number, newC?: number, direction?: string, turn?: string|null, blocked?: {direction: string, reason: string}}} - Indicates if a move occurred, the new position, the direction of travel and any rotation from the belt carried onto; or, for a belt that cannot move the robot, the direction it was blocked in and the reason ('wall' or 'edge').
      */
     tryApplyConveyor(robotState, board) {
         if (this.floorDevice.type === 'conveyor') {
-            let dr = 0, dc = 0;
-            let exitSide = '';
-            switch (this.floorDevice.direction) {
-                case 'north': dr = -1; exitSide = 'north'; break;
-                case 'south': dr = 1;  exitSide = 'south'; break;
-                case 'west':  dc = -1; exitSide = 'west';  break;
-                case 'east':  dc = 1;  exitSide = 'east';  break;
-            }
-
-            if (dr !== 0 || dc !== 0) {
-                const nextR = this.row + dr;
-                const nextC = this.col + dc;
+            const exitSide = this.floorDevice.direction;
+            const { row: nextR, col: nextC } = getNeighbour(this.row, this.col, exitSide);
+            const targetTileData = board.getTileData(nextR, nextC);
+            const blockedByWall = board.isCrossingBlocked(this.row, this.col, exitSide);
 
-                const targetTileData = board.getTileData(nextR, nextC);
-                const blockedByWall = this.hasWall(exitSide) ||
-                                      (targetTileData && targetTileData.hasWall(dr === 1 ? 'north' : (dr === -1 ? 'south' : (dc === 1 ? 'west' : 'east'))));
-
-                if (targetTileData && !blockedByWall) {
-                    Logger.log(`      1x/2x Conveyor moving from (${this.row},${this.col}) to (${nextR},${nextC})`);
-                    return { moved: true, newR: nextR, newC: nextC };
-                } else {
-                    Logger.log(`      1x/2x Conveyor at (${this.row},${this.col}) blocked (Wall: ${blockedByWall}, Boundary: ${!targetTileData}).`);
-                }
+            if (targetTileData && !blockedByWall) {
+                Logger.log(`      1x/2x Conveyor moving from (${this.row},${this.col}) to (${nextR},${nextC})`);
+                return { moved: true, newR: nextR, newC: nextC, direction: this.floorDevice.direction,
+                         turn: targetTileData.getConveyorTurn(this.floorDevice.direction) };
+            } else if (!targetTileData && !blockedByWall && board.edgesArePits) {
+                Logger.log(`      1x/2x Conveyor at (${this.row},${this.col}) carries the robot off the board.`);
+                return { moved: true, newR: nextR, newC: nextC, direction: this.floorDevice.direction, turn: null };
             }
+            Logger.log(`      1x/2x Conveyor at (${this.row},${this.col}) blocked (Wall: ${blockedByWall}, Boundary: ${!targetTileData}).`);
+            return { moved: false, blocked: { direction: exitSide, reason: targetTileData ? 'wall' : 'edge' } };
         }
         return { moved: false };
     }
@@ -187,13 +287,13 @@ export class Tile {
             const visitedInOrder = robot.visitFlag(flagKey, flagOrder);
 
             if (visitedInOrder) {
-                emit('flagVisited', { flagKey, visitedOrder: robot.getVisitedFlagCount() });
+                board.notify('flagVisited', { robotId: robot.id, flagKey, visitedOrder: robot.getVisitedFlagCount() });
                 const visitCount = robot.getVisitedFlagCount();
 
-                Logger.log(`   Visited ${visitCount} / ${board.totalCheckpoints} checkpoints.`);
+                Logger.log(`   Robot ${robot.id} visited ${visitCount} / ${board.totalCheckpoints} checkpoints.`);
                 if (visitCount === board.totalCheckpoints && board.totalCheckpoints > 0) {
-                    Logger.log("   *** WIN CONDITION MET! ***");
-                    emit('gameOver', true);
+                    Logger.log(`   *** WIN CONDITION MET by ${robot.id}! ***`);
+                    board.notify('gameOver', { isWin: true, robotId: robot.id });
                     gameEnded = true;
                 }
             } else {
@@ -203,44 +303,64 @@ export class Tile {
         return { gameEnded };
     }
 
+    /**
+     * Attempts to crush the robot if the tile is a crusher scheduled for this step.
+     * @param {Robot} robot - The robot instance.
+     * @param {number} currentProgramStep - The current step number of the program execution.
+     * @returns {{crushed: boolean}} - Indicates if the crusher fired on the robot.
+     */
+    tryApplyCrusher(robot, currentProgramStep) {
+        if (this.floorDevice.type !== 'crusher' || !this.floorDevice.steps.has(currentProgramStep)) {
+            return { crushed: false };
+        }
+        const damage = this.floorDevice.damage || Config.DEFAULT_CRUSHER_DAMAGE;
+        Logger.log(`   Crusher at (${this.row}, ${this.col}) crushes robot for ${damage} damage!`);
+        robot.takeDamage(damage);
+        return { crushed: true };
+    }
+
+    /**
+     * Attempts to rotate the robot if the tile is a gear, reporting the rotation on the board.
+     * @param {Robot} robot - The robot instance.
+     * @param {Board} board - The board instance.
+     * @returns {{turned: boolean}} - Indicates if the gear turned the robot.
+     */
+    tryApplyGear(robot, board) {
+        if (this.floorDevice.type !== 'gear') {
+            return { turned: false };
+        }
+        const rotation = this.floorDevice.direction;
+        board.notify('gearRotated', { robotId: robot.id, row: this.row, col: this.col, rotation });
+        if (rotation === 'cw') {
+            Logger.log(`   ${robot.id} on clockwise gear. Turning right.`);
+            robot.turn(Config.TURN_RIGHT);
+        } else {
+            Logger.log(`   ${robot.id} on counter-clockwise gear. Turning left.`);
+            robot.turn(Config.TURN_LEFT);
+        }
+        return { turned: true };
+    }
+
     /**
      * Attempts to apply hole effects if the tile is a hole.
      * @param {Robot} robot - The robot instance.
      * @param {Board} board - The board instance.
      * @returns {{gameEnded: boolean, fellInHole: boolean}} - Indicates if the game ended or robot fell in a hole.
      */
-    async tryApplyHole(robot, board) {
-        let gameEnded = false;
-        let fellInHole = false;
+    tryApplyHole(robot, board) {
         if (this.floorDevice.type === 'hole') {
             Logger.log(`   Robot landed on a hole at (${this.row}, ${this.col})!`);
-            fellInHole = true;
-            gameEnded = robot.loseLife(); // Robot loses a life and respawns or game ends
-
-            if (!gameEnded) { // If game didn't end, robot respawned
-                const lastKey = robot.getRobotState().lastVisitedStationKey;
-                if (lastKey) {
-                    Logger.log(`   Returning to last visited station: ${lastKey}`);
-                    const [lastR, lastC] = lastKey.split('-').map(Number);
-                    if (board.getTileData(lastR, lastC)) {
-                        robot.setPosition(lastR, lastC);
-                    } else {
-                        Logger.error(`   Last visited station key ${lastKey} points to an invalid tile! Cannot return.`);
-                    }
-                } else {
-                    Logger.error("   Fell in hole, but no last visited repair station recorded! Cannot return.");
-                }
-            }
+            return board.applyFall(robot);
         }
-        return { gameEnded, fellInHole };
+        return { gameEnded: false, fellInHole: false };
     }
 
     /**
      * Attempts to apply push panel movement from this tile.
-     * @param {object} robotState - The current state of the robot (row, col, orientation).
+     * @param {object} robotState - The current state of the robot (id, row, col, orientation).
      * @param {Board} board - The board instance for boundary/wall checks.
      * @param {number} currentProgramStep - The current step number of the program execution.
-     * @returns {{moved: boolean, newR?: number, newC?: number}} - Indicates if a move occurred and the new position.
+     * @returns {{moved: boolean, newR?: number, newC?: number, direction?: string, blocked?: {direction: string, reason: string}}} - Indicates if a move occurred, the new position and the direction of travel; or, for a push stopped by a wall or the board edge, the direction it was blocked in and the reason ('wall' or 'edge').
      */
     tryPushPanel(robotState, board, currentProgramStep) {
         const pusher = this.getWallDevice('pusher');
@@ -250,31 +370,20 @@ export class Tile {
                 Logger.log(`      Push Panel at (${this.row},${this.col}) configured to fire only on steps [${Array.from(pusher.steps).join(', ')}], skipping step ${currentProgramStep}.`);
                 return { moved: false };
             }
-            let dr = 0, dc = 0;
-            let exitSide = '';
             const pushDirection = pusher.direction;
-            switch (pushDirection) {
-                case 'north': dr = -1; exitSide = 'north'; break;
-                case 'south': dr = 1;  exitSide = 'south'; break;
-                case 'west':  dc = -1; exitSide = 'west';  break;
-                case 'east':  dc = 1;  exitSide = 'east';  break;
-            }
-
-            if (dr !== 0 || dc !== 0) {
-                const nextR = this.row + dr;
-                const nextC = this.col + dc;
+            const { row: nextR, col: nextC } = getNeighbour(this.row, this.col, pushDirection);
+            const targetTileData = board.getTileData(nextR, nextC);
+            const blockedByWall = board.isCrossingBlocked(this.row, this.col, pushDirection);
 
-                const targetTileData = board.getTileData(nextR, nextC);
-                const blockedByWall = this.hasWall(exitSide) ||
-                                      (targetTileData && targetTileData.hasWall(dr === 1 ? 'north' : (dr === -1 ? 'south' : (dc === 1 ? 'west' : 'east'))));
-
-                if (targetTileData && !blockedByWall) {
-                    Logger.log(`      Push Panel moving from (${this.row},${this.col}) to (${nextR},${nextC})`);
-                    return { moved: true, newR: nextR, newC: nextC };
-                } else {
-                    Logger.log(`      Push Panel at (${this.row},${this.col}) blocked (Wall: ${blockedByWall}, Boundary: ${!targetTileData}).`);
-                }
+            if (targetTileData && !blockedByWall) {
+                Logger.log(`      Push Panel moving from (${this.row},${this.col}) to (${nextR},${nextC})`);
+                return { moved: true, newR: nextR, newC: nextC, direction: pushDirection };
+            } else if (!targetTileData && !blockedByWall && board.edgesArePits) {
+                Logger.log(`      Push Panel at (${this.row},${this.col}) pushes the robot off the board.`);
+                return { moved: true, newR: nextR, newC: nextC, direction: pushDirection };
             }
+            Logger.log(`      Push Panel at (${this.row},${this.col}) blocked (Wall: ${blockedByWall}, Boundary: ${!targetTileData}).`);
+            return { moved: false, blocked: { direction: pushDirection, reason: targetTileData ? 'wall' : 'edge' } };
         }
         return { moved: false };
     }
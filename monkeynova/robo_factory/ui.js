@@ -15,7 +15,7 @@
  *  - Updates: The DOM (HTML elements) and Canvas based on data received from events.
  *  - Captures: User input (button clicks, drag-and-drop).
  *  - Triggers: Controller actions (e.g., calling `runProgramExecution` from gameLoop.js`)
- *    or specific Model updates related to input (e.g., calling `Cards.addToHandData`
+ *    or specific Model updates related to input (e.g., calling the deck's `addToHandData`
  *    after a drop event) in response to user input.
  *
  * RESPONSIBILITIES:
@@ -82,12 +82,13 @@
 
 import * as Config from './config.js';
 import { Board } from './board.js'; // Need this for tile/wall data
-import { on } from './eventEmitter.js';
 import * as Logger from './logger.js';
 import { getOppositeWallSide } from './tile.js'; // Imports utility for wall side calculations
 // Card imports remain if needed for drag/drop state updates
-import { getCardData, removeFromHandData, addToHandData } from './cards.js';
 import * as TestRunner from './testRunner.js'; // Import the test runner
+import { parseSteps } from './boardEditor.js';
+import { formatPar } from './campaign.js';
+import { predictGhostPath } from './preview.js';
 
 // --- DOM Element References (initialized in cacheDOMElements) ---
 let cardHandContainer = null;
@@ -95,9 +96,7 @@ let programSlots = [];
 let programSlotsContainer = null;
 let runProgramButton = null;
 let flagStatusContainer = null;
-let healthValueEl = null;
-let maxHealthValueEl = null;
-let livesValueEl = null; // Element for lives display
+let robotStatusList = null; // Container for the per-robot health/lives rows
 let powerDownButton = null; // Power Down Button
 let powerDownStatusEl = null; // Power Down Status Element
 let modal = null;
@@ -109,15 +108,62 @@ let debugModal = null;
 let debugDeckCount = null;
 let debugDiscardCount = null;
 let debugHandCount = null;
+let debugSeed = null;
 let debugCloseButton = null;
 let debugLogOutput = null;
 let boardContainer = null;
 let boardCanvas = null;
 let boardScrollArea = null;
 let runTestsButton = null;
+let saveGameButton = null;
+let loadGameButton = null;
+let exportReplayButton = null;
+let loadReplayButton = null;
+let replayFileInput = null;
+let replayControls = null;
+let replayPlayButton = null;
+let replayPauseButton = null;
+let replayStepButton = null;
+let replaySpeedSelect = null;
+let replayProgress = null;
+let playbackControls = null;
+let playbackPauseButton = null;
+let playbackResumeButton = null;
+let playbackStepPhaseButton = null;
+let playbackStepRegisterButton = null;
+let playbackSpeedSelect = null;
+let playbackStatus = null;
+let isReplayMode = false; // Replays drive the UI from recorded events, so programming stays disabled
+let ghostPath = null; // Predicted path of the program being built, from predictGhostPath(); null when hidden
 let zoomInButton = null;
 let zoomOutButton = null;
 let zoomLevelDisplay = null;
+let editorPanel = null;
+let editorNameInput = null;
+let editorRowsInput = null;
+let editorColsInput = null;
+let editorResizeButton = null;
+let editorToolSelect = null;
+let editorDirectionSelect = null;
+let editorSpeedSelect = null;
+let editorRotationSelect = null;
+let editorOrderInput = null;
+let editorStepsInput = null;
+let editorStrengthInput = null;
+let editorPairInput = null;
+let editorExportButton = null;
+let editorImportButton = null;
+let editorFileInput = null;
+let editorStatus = null;
+let editorLintList = null;
+let campaignPanel = null;
+let campaignTitle = null;
+let campaignDescription = null;
+let campaignPar = null;
+let campaignLevelList = null;
+let campaignResult = null;
+let campaignNextLink = null;
+let campaignRestartLink = null;
 
 /**
  * Caches references to all necessary DOM elements.
@@ -129,9 +175,7 @@ function cacheDOMElements() {
     programSlotsContainer = document.getElementById('program-slots');
     runProgramButton = document.getElementById('run-program');
     flagStatusContainer = document.getElementById('flag-status');
-    healthValueEl = document.getElementById('health-value');
-    maxHealthValueEl = document.getElementById('max-health-value');
-    livesValueEl = document.getElementById('lives-value'); // Cache lives element
+    robotStatusList = document.getElementById('robot-status-list');
     powerDownButton = document.getElementById('power-down-button'); // Cache power down button
     powerDownStatusEl = document.getElementById('power-down-status'); // Cache power down status element
     modal = document.getElementById('end-game-modal');
@@ -143,22 +187,67 @@ function cacheDOMElements() {
     debugDeckCount = document.getElementById('debug-deck-count');
     debugDiscardCount = document.getElementById('debug-discard-count');
     debugHandCount = document.getElementById('debug-hand-count');
+    debugSeed = document.getElementById('debug-seed');
     debugCloseButton = document.getElementById('debug-close-button');
     debugLogOutput = document.getElementById('debug-log-output');
     boardContainer = document.getElementById('board-container');
     boardCanvas = document.getElementById('board-canvas');
     boardScrollArea = document.getElementById('board-scroll-area');
     runTestsButton = document.getElementById('run-tests-button');
+    saveGameButton = document.getElementById('save-game-button');
+    loadGameButton = document.getElementById('load-game-button');
+    exportReplayButton = document.getElementById('export-replay-button');
+    loadReplayButton = document.getElementById('load-replay-button');
+    replayFileInput = document.getElementById('replay-file-input');
+    replayControls = document.getElementById('replay-controls');
+    replayPlayButton = document.getElementById('replay-play-button');
+    replayPauseButton = document.getElementById('replay-pause-button');
+    replayStepButton = document.getElementById('replay-step-button');
+    replaySpeedSelect = document.getElementById('replay-speed-select');
+    replayProgress = document.getElementById('replay-progress');
+    playbackControls = document.getElementById('playback-controls');
+    playbackPauseButton = document.getElementById('playback-pause-button');
+    playbackResumeButton = document.getElementById('playback-resume-button');
+    playbackStepPhaseButton = document.getElementById('playback-step-phase-button');
+    playbackStepRegisterButton = document.getElementById('playback-step-register-button');
+    playbackSpeedSelect = document.getElementById('playback-speed-select');
+    playbackStatus = document.getElementById('playback-status');
     zoomInButton = document.getElementById('zoom-in-button');
     zoomOutButton = document.getElementById('zoom-out-button');
     zoomLevelDisplay = document.getElementById('zoom-level');
+    editorPanel = document.getElementById('editor-panel');
+    editorNameInput = document.getElementById('editor-name');
+    editorRowsInput = document.getElementById('editor-rows');
+    editorColsInput = document.getElementById('editor-cols');
+    editorResizeButton = document.getElementById('editor-resize-button');
+    editorToolSelect = document.getElementById('editor-tool');
+    editorDirectionSelect = document.getElementById('editor-direction');
+    editorSpeedSelect = document.getElementById('editor-speed');
+    editorRotationSelect = document.getElementById('editor-rotation');
+    editorOrderInput = document.getElementById('editor-order');
+    editorStepsInput = document.getElementById('editor-steps');
+    editorStrengthInput = document.getElementById('editor-strength');
+    editorPairInput = document.getElementById('editor-pair');
+    editorExportButton = document.getElementById('editor-export-button');
+    editorImportButton = document.getElementById('editor-import-button');
+    editorFileInput = document.getElementById('editor-file-input');
+    editorStatus = document.getElementById('editor-status');
+    editorLintList = document.getElementById('editor-lint');
+    campaignPanel = document.getElementById('campaign-panel');
+    campaignTitle = document.getElementById('campaign-title');
+    campaignDescription = document.getElementById('campaign-description');
+    campaignPar = document.getElementById('campaign-par');
+    campaignLevelList = document.getElementById('campaign-level-list');
+    campaignResult = document.getElementById('campaign-result');
+    campaignNextLink = document.getElementById('campaign-next-link');
+    campaignRestartLink = document.getElementById('campaign-restart-link');
     Logger.log("DOM elements cached.");
 }
 
 
 // --- Canvas / Rendering State ---
 let ctx = null; // Canvas 2D context
-let robotElement = null; // Reference to the robot DOM element
+const robotElements = new Map(); // robotId -> robot DOM element
 let draggedCardElement = null; // Track dragged DOM element during drag event
 let originProgramSlot = null; // Track the program slot a card was dragged from
 let wallStripePattern = null; // Store the created pattern
@@ -168,21 +257,23 @@ const MIN_ZOOM = 0.3;
 const MAX_ZOOM = 2.0;
 
 /**
- * Initializes the entire game UI (canvas, static board, indicators, robot element).
+ * Initializes the entire game UI (canvas, static board, indicators, robot elements).
  * Should be called once during application startup.
  * @param {object} boardData - Parsed board data.
+ * @param {object[]} initialRobotStates - Initial state of every robot on the board.
  * @returns {boolean} True if initialization was successful, false otherwise.
  */
-export function initializeUI(boardData, initialRobotState) {
+export function initializeUI(boardData, initialRobotStates) {
     Logger.log("Initializing UI...");
     cacheDOMElements(); // Corrected function name
     if (!initCanvas(boardData)) return false; // Init canvas size/context
     renderStaticBoardElements(boardData);   // Draw static board elements
     createFlagIndicatorsUI(boardData.flags); // Create flag DOM elements (now uses boardData.flags) // Create flag DOM elements (now uses boardData.flags)
-    createRobotElement();                   // Create robot DOM element
+    createRobotElements(initialRobotStates); // Create one DOM element per robot
+    createRobotStatusUI(initialRobotStates, boardData.totalCheckpoints); // Create per-robot status rows
     applyZoom();                            // Apply initial zoom
-    drawLaserBeams(boardData, initialRobotState); // Initial draw of laser beams
-    updateLivesUI(initialRobotState.lives); // Set initial lives display
+    drawLaserBeams(boardData, initialRobotStates); // Initial draw of laser beams
+    initialRobotStates.forEach(state => updateLivesUI(state.id, state.lives)); // Set initial lives display
     Logger.log("UI Initialization complete.");
     return true;
 }
@@ -234,12 +325,12 @@ function initCanvas(boardData) {
 }
 
 /**
- * Draws all laser beams dynamically, considering the robot's current position.
- * This function should be called whenever the robot moves.
+ * Draws all laser beams dynamically, considering the robots' current positions.
+ * This function should be called whenever a robot moves.
  * @param {object} boardData - The parsed board data.
- * @param {object} robotState - The current state of the robot (row, col, orientation).
+ * @param {object[]} robotStates - The current state of every robot on the board (row, col, orientation).
  */
-function drawLaserBeams(boardData, robotState) {
+function drawLaserBeams(boardData, robotStates) {
     if (!ctx || !boardData) {
         Logger.error("Cannot draw laser beams: Missing context or board data.");
         return;
@@ -250,16 +341,9 @@ function drawLaserBeams(boardData, robotState) {
     // A more optimized approach would use multiple canvases or track dirty regions.
     // For now, let's just clear and redraw the static board elements first.
     // This is a temporary measure until a more robust layering/clearing strategy is implemented.
-    // For simplicity, we'll clear the entire canvas and redraw static elements, then dynamic.
-    // A more optimized approach would use multiple canvases or track dirty regions.
-    // For now, let's just clear and redraw the static board elements first.
-    // This is a temporary measure until a more robust layering/clearing strategy is implemented.
     ctx.clearRect(0, 0, boardCanvas.width, boardCanvas.height); // Clear previous frame
     renderStaticBoardElements(boardData); // Redraw everything *except* dynamic elements
 
-    const styles = getComputedStyle(document.documentElement);
-    const wallThickness = parseInt(styles.getPropertyValue('--wall-thickness').trim()) || 3;
-
     ctx.strokeStyle = 'red'; // Laser beam color
     ctx.lineWidth = 2; // Laser beam thickness
 
@@ -274,11 +358,9 @@ function drawLaserBeams(boardData, robotState) {
             const centerX = x + Config.TILE_SIZE / 2;
             const centerY = y + Config.TILE_SIZE / 2;
 
-            // Pass robotState to getLaserPath for dynamic termination
-            const laserPath = boardData.getLaserPath(r, c, laserDevice.direction, robotState);
+            // Robots block the beam, so pass their positions for dynamic termination
+            const laserPath = boardData.getLaserPath(r, c, laserDevice.direction, robotStates);
             if (laserPath.length > 0) { // Only draw if there's a path
-                ctx.beginPath();
-
                 let startBeamX = centerX;
                 let startBeamY = centerY;
 
@@ -299,85 +381,189 @@ function drawLaserBeams(boardData, robotState) {
                 }
                 Logger.log(`Laser at (${r},${c}) firing ${laserDevice.direction}. Calculated start: (${startBeamX}, ${startBeamY})`);
 
-                ctx.moveTo(startBeamX, startBeamY);
-
-                let currentBeamX = startBeamX;
-                let currentBeamY = startBeamY;
-
-                for (let i = 0; i < laserPath.length; i++) {
-                    const pathTile = laserPath[i];
-                    const pathTileX = pathTile.col * Config.TILE_SIZE;
-                    const pathTileY = pathTile.row * Config.TILE_SIZE;
-
-                    let targetBeamX = pathTileX + Config.TILE_SIZE / 2;
-                    let targetBeamY = pathTileY + Config.TILE_SIZE / 2;
-
-                    // Determine if this is the last segment (hitting a wall or robot)
-                    const isLastSegment = (i === laserPath.length - 1);
-
-                    if (isLastSegment) {
-                        if (robotState && pathTile.row === robotState.row && pathTile.col === robotState.col) {
-                            // If the last tile is the robot, draw to its edge
-                            const robotStyle = getComputedStyle(robotElement);
-                            const robotWidth = parseInt(robotStyle.width) || 35;
-                            const robotHeight = parseInt(robotStyle.height) || 35;
-
-                            switch (laserDevice.direction) {
-                                case 'north':
-                                    targetBeamY = pathTileY + Config.TILE_SIZE - (Config.TILE_SIZE - robotHeight) / 2; // Bottom edge of robot
-                                    break;
-                                case 'south':
-                                    targetBeamY = pathTileY + (Config.TILE_SIZE - robotHeight) / 2; // Top edge of robot
-                                    break;
-                                case 'east':
-                                    targetBeamX = pathTileX + (Config.TILE_SIZE - robotWidth) / 2; // Left edge of robot
-                                    break;
-                                case 'west':
-                                    targetBeamX = pathTileX + Config.TILE_SIZE - (Config.TILE_SIZE - robotWidth) / 2; // Right edge of robot
-                                    break;
-                            }
-                            Logger.log(`  Beam ends at robot (${pathTile.row},${pathTile.col}). Calculated end: (${targetBeamX}, ${targetBeamY})`);
-                        } else { // Terminate on the wall
-                            switch (laserDevice.direction) {
-                                case 'north':
-                                    targetBeamY = pathTileY; // Top edge of tile (wall)
-                                    break;
-                                case 'south':
-                                    targetBeamY = pathTileY + Config.TILE_SIZE; // Bottom edge of tile (wall)
-                                    break;
-                                case 'east':
-                                    targetBeamX = pathTileX + Config.TILE_SIZE; // Right edge of tile (wall)
-                                    break;
-                                case 'west':
-                                    targetBeamX = pathTileX; // Left edge of tile (wall)
-                                    break;
-                            }
-                            Logger.log(`  Beam ends at wall (${pathTile.row},${pathTile.col}). Calculated end: (${targetBeamX}, ${targetBeamY})`);
-                        }
-                    } else {
-                        // For intermediate tiles, draw to the edge of the current tile, towards the next
-                        switch (laserDevice.direction) {
-                            case 'north':
-                                targetBeamY = pathTileY; // Top edge of current tile
-                                break;
-                            case 'south':
-                                targetBeamY = pathTileY + Config.TILE_SIZE; // Bottom edge of current tile
-                                break;
-                            case 'east':
-                                targetBeamX = pathTileX + Config.TILE_SIZE; // Right edge of current tile
-                                break;
-                            case 'west':
-                                targetBeamX = pathTileX; // Left edge of current tile
-                                break;
-                        }
-                    }
-                    ctx.lineTo(targetBeamX, targetBeamY);
-                    currentBeamX = targetBeamX;
-                    currentBeamY = targetBeamY;
+                // Scheduled lasers are dashed, since they only fire on some steps
+                ctx.setLineDash(laserDevice.steps ? [6, 4] : []);
+                drawBeamPath(startBeamX, startBeamY, laserDevice.direction, laserPath, robotStates, laserDevice.strength || 1);
+                ctx.setLineDash([]);
+            }
+        }
+    }
+
+    // Robot-mounted lasers fire forward from the edge of the robot's tile
+    ctx.strokeStyle = Config.ROBOT_LASER_COLOR;
+    robotStates.filter(state => !state.isPoweredDown).forEach(state => {
+        const laserPath = boardData.getRobotLaserPath(state, robotStates);
+        if (laserPath.length === 0) return;
+
+        const x = state.col * Config.TILE_SIZE;
+        const y = state.row * Config.TILE_SIZE;
+        let startBeamX = x + Config.TILE_SIZE / 2;
+        let startBeamY = y + Config.TILE_SIZE / 2;
+        switch (state.orientation) {
+            case 'north': startBeamY = y; break;
+            case 'south': startBeamY = y + Config.TILE_SIZE; break;
+            case 'east': startBeamX = x + Config.TILE_SIZE; break;
+            case 'west': startBeamX = x; break;
+        }
+        drawBeamPath(startBeamX, startBeamY, state.orientation, laserPath, robotStates);
+    });
+
+    drawGhostPath();
+}
+
+/**
+ * Draws the predicted path of the program being built over the board: a dashed line through
+ * the tiles the robot visits, rings where it takes damage, warning markers where it loses a
+ * life, and a faint arrow where it ends up. Lines break where the robot respawns.
+ */
+function drawGhostPath() {
+    if (!ghostPath) return;
+    const half = Config.TILE_SIZE / 2;
+    const centerOf = (state) => ({ x: state.col * Config.TILE_SIZE + half, y: state.row * Config.TILE_SIZE + half });
+
+    ctx.save();
+    ctx.strokeStyle = Config.GHOST_PATH_COLOR;
+    ctx.lineWidth = 3;
+    ctx.setLineDash([8, 6]);
+    ctx.beginPath();
+    let from = centerOf(ghostPath.start);
+    ctx.moveTo(from.x, from.y);
+    ghostPath.steps.forEach(step => {
+        const to = centerOf(step);
+        if (to.x === from.x && to.y === from.y) return;
+        if (step.kind === 'respawn') {
+            ctx.moveTo(to.x, to.y);
+        } else {
+            ctx.lineTo(to.x, to.y);
+        }
+        from = to;
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ghostPath.steps.forEach(step => {
+        const { x, y } = centerOf(step);
+        if (step.risk) {
+            ctx.fillStyle = Config.GHOST_RISK_COLOR;
+            ctx.beginPath();
+            ctx.arc(x, y, half / 2.5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `bold ${Math.round(half / 2)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('!', x, y);
+        } else if (step.kind === 'laser' || step.kind === 'crusher') {
+            ctx.strokeStyle = Config.GHOST_RISK_COLOR;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, half / 2, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    });
+
+    if (ghostPath.finalState.lives > 0) {
+        ctx.globalAlpha = 0.6;
+        drawArrowMarker(ghostPath.finalState, Config.GHOST_PATH_COLOR);
+    }
+    ctx.restore();
+}
+
+/**
+ * Strokes one laser beam along its path with the current stroke style.
+ * The beam ends at the edge of the robot or wall that stops it. Stronger lasers
+ * are drawn as parallel lines, one per point of damage.
+ * @param {number} startBeamX - Canvas x coordinate where the beam starts.
+ * @param {number} startBeamY - Canvas y coordinate where the beam starts.
+ * @param {'north' | 'south' | 'east' | 'west'} direction - The direction the beam travels.
+ * @param {{row: number, col: number}[]} laserPath - The tiles the beam crosses, from getLaserPath.
+ * @param {object[]} robotStates - The current state of every robot on the board.
+ * @param {number} [strength=1] - Number of parallel beams to draw.
+ */
+function drawBeamPath(startBeamX, startBeamY, direction, laserPath, robotStates, strength = 1) {
+    const beamPoints = [];
+
+    for (let i = 0; i < laserPath.length; i++) {
+        const pathTile = laserPath[i];
+        const pathTileX = pathTile.col * Config.TILE_SIZE;
+        const pathTileY = pathTile.row * Config.TILE_SIZE;
+
+        let targetBeamX = pathTileX + Config.TILE_SIZE / 2;
+        let targetBeamY = pathTileY + Config.TILE_SIZE / 2;
+
+        // Determine if this is the last segment (hitting a wall or robot)
+        const isLastSegment = (i === laserPath.length - 1);
+
+        if (isLastSegment) {
+            const hitRobotState = robotStates.find(state => pathTile.row === state.row && pathTile.col === state.col);
+            if (hitRobotState) {
+                // If the last tile is a robot, draw to its edge
+                const robotStyle = getComputedStyle(robotElements.get(hitRobotState.id));
+                const robotWidth = parseInt(robotStyle.width) || 35;
+                const robotHeight = parseInt(robotStyle.height) || 35;
+
+                switch (direction) {
+                    case 'north':
+                        targetBeamY = pathTileY + Config.TILE_SIZE - (Config.TILE_SIZE - robotHeight) / 2; // Bottom edge of robot
+                        break;
+                    case 'south':
+                        targetBeamY = pathTileY + (Config.TILE_SIZE - robotHeight) / 2; // Top edge of robot
+                        break;
+                    case 'east':
+                        targetBeamX = pathTileX + (Config.TILE_SIZE - robotWidth) / 2; // Left edge of robot
+                        break;
+                    case 'west':
+                        targetBeamX = pathTileX + Config.TILE_SIZE - (Config.TILE_SIZE - robotWidth) / 2; // Right edge of robot
+                        break;
                 }
-                ctx.stroke();
+                Logger.log(`  Beam ends at robot (${pathTile.row},${pathTile.col}). Calculated end: (${targetBeamX}, ${targetBeamY})`);
+            } else { // Terminate on the wall
+                switch (direction) {
+                    case 'north':
+                        targetBeamY = pathTileY; // Top edge of tile (wall)
+                        break;
+                    case 'south':
+                        targetBeamY = pathTileY + Config.TILE_SIZE; // Bottom edge of tile (wall)
+                        break;
+                    case 'east':
+                        targetBeamX = pathTileX + Config.TILE_SIZE; // Right edge of tile (wall)
+                        break;
+                    case 'west':
+                        targetBeamX = pathTileX; // Left edge of tile (wall)
+                        break;
+                }
+                Logger.log(`  Beam ends at wall (${pathTile.row},${pathTile.col}). Calculated end: (${targetBeamX}, ${targetBeamY})`);
+            }
+        } else {
+            // For intermediate tiles, draw to the edge of the current tile, towards the next
+            switch (direction) {
+                case 'north':
+                    targetBeamY = pathTileY; // Top edge of current tile
+                    break;
+                case 'south':
+                    targetBeamY = pathTileY + Config.TILE_SIZE; // Bottom edge of current tile
+                    break;
+                case 'east':
+                    targetBeamX = pathTileX + Config.TILE_SIZE; // Right edge of current tile
+                    break;
+                case 'west':
+                    targetBeamX = pathTileX; // Left edge of current tile
+                    break;
             }
         }
+        beamPoints.push({ x: targetBeamX, y: targetBeamY });
+    }
+
+    // Offset each parallel beam sideways, centred on the beam's axis
+    const isVertical = direction === 'north' || direction === 'south';
+    for (let beam = 0; beam < strength; beam++) {
+        const offset = (beam - (strength - 1) / 2) * Config.LASER_BEAM_SPACING;
+        const offsetX = isVertical ? offset : 0;
+        const offsetY = isVertical ? 0 : offset;
+        ctx.beginPath();
+        ctx.moveTo(startBeamX + offsetX, startBeamY + offsetY);
+        beamPoints.forEach(point => ctx.lineTo(point.x + offsetX, point.y + offsetY));
+        ctx.stroke();
     }
 }
 
@@ -395,12 +581,18 @@ function drawTileBackground(ctx, tileData, x, y, styles) {
     const checkpointColor = styles.getPropertyValue('--tile-checkpoint-color').trim() || '#ffcc00';
     const holeColor = styles.getPropertyValue('--tile-hole-color').trim() || '#222';
     const gearColor = styles.getPropertyValue('--tile-gear-color').trim() || '#d8bfd8';
+    const crusherColor = styles.getPropertyValue('--tile-crusher-color').trim() || '#b0b0b0';
+    const teleporterColor = styles.getPropertyValue('--tile-teleporter-color').trim() || '#e6d9ff';
+    const oilColor = styles.getPropertyValue('--tile-oil-color').trim() || '#d9d2c0';
 
     switch (tileData.floorDevice.type) {
         case 'repair-station': ctx.fillStyle = repairColor; break;
         case 'checkpoint': ctx.fillStyle = checkpointColor; break;
         case 'hole': ctx.fillStyle = holeColor; break;
         case 'gear': ctx.fillStyle = gearColor; break;
+        case 'crusher': ctx.fillStyle = crusherColor; break;
+        case 'teleporter': ctx.fillStyle = teleporterColor; break;
+        case 'oil': ctx.fillStyle = oilColor; break;
         case 'conveyor': ctx.fillStyle = Config.CONVEYOR_BASE_COLOR; break;
         case 'none': default: ctx.fillStyle = plainColor; break;
     }
@@ -461,6 +653,48 @@ function drawGearVisuals(ctx, tileData, centerX, centerY) {
     }
 }
 
+/**
+ * Draws the visuals for a crusher tile (symbol and the steps it crushes on).
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {object} tileData - The tile data object.
+ * @param {number} centerX - X-coordinate (pixel) of the tile's center.
+ * @param {number} centerY - Y-coordinate (pixel) of the tile's center.
+ */
+function drawCrusherVisuals(ctx, tileData, centerX, centerY) {
+    const symbol = Config.TILE_SYMBOLS['crusher'] || '⚒';
+    ctx.fillText(symbol, centerX, centerY - 6);
+    ctx.font = '10px sans-serif';
+    ctx.fillText(Array.from(tileData.floorDevice.steps).sort((a, b) => a - b).join(','), centerX, centerY + 14);
+}
+
+/**
+ * Draws the visuals for a teleporter tile (symbol and pair label).
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {object} tileData - The tile data object.
+ * @param {number} centerX - X-coordinate (pixel) of the tile's center.
+ * @param {number} centerY - Y-coordinate (pixel) of the tile's center.
+ */
+function drawTeleporterVisuals(ctx, tileData, centerX, centerY) {
+    const symbol = Config.TILE_SYMBOLS['teleporter'] || '◎';
+    ctx.fillStyle = '#6a3fbf';
+    ctx.fillText(symbol, centerX, centerY - 6);
+    ctx.font = 'bold 10px sans-serif';
+    ctx.fillText(String(tileData.floorDevice.pairId), centerX, centerY + 14);
+}
+
+/**
+ * Draws the visuals for an oil slick (a dark puddle).
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {number} centerX - X-coordinate (pixel) of the tile's center.
+ * @param {number} centerY - Y-coordinate (pixel) of the tile's center.
+ */
+function drawOilSlickVisuals(ctx, centerX, centerY) {
+    ctx.fillStyle = 'rgba(30, 30, 30, 0.75)';
+    ctx.beginPath();
+    ctx.ellipse(centerX, centerY, Config.TILE_SIZE / 3, Config.TILE_SIZE / 5, Math.PI / 8, 0, 2 * Math.PI);
+    ctx.fill();
+}
+
 /**
  * Draws the visuals for a conveyor belt tile (stripes and speed indicator).
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
@@ -495,6 +729,15 @@ function drawConveyorVisuals(ctx, tileData, x, y, centerX, centerY) {
     }
     ctx.stroke();
 
+    if (tileData.floorDevice.entries) {
+        drawConveyorEntryLanes(ctx, tileData.floorDevice, x, y, centerX, centerY);
+    }
+    if (tileData.floorDevice.turn) {
+        ctx.fillStyle = Config.CONVEYOR_STRIPE_COLOR;
+        ctx.font = '24px sans-serif';
+        ctx.fillText(Config.TILE_SYMBOLS[`conveyor-turn-${tileData.floorDevice.turn}`], centerX, centerY);
+    }
+
     if (tileData.floorDevice.speed === 2) {
         const symbol = Config.TILE_SYMBOLS[`conveyor-${tileData.floorDevice.direction}-speed-2x`] || '2x';
         ctx.fillStyle = '#FF0000'; // Red color for 2x indicator
@@ -503,6 +746,38 @@ function drawConveyorVisuals(ctx, tileData, x, y, centerX, centerY) {
     }
 }
 
+/**
+ * Draws a lane from each side a merging or curved conveyor is fed from to the side it
+ * exits, curving around the tile centre for side entries.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {object} floorDevice - The conveyor floor device, with `entries`.
+ * @param {number} x - X-coordinate (pixel) of the tile's top-left corner.
+ * @param {number} y - Y-coordinate (pixel) of the tile's top-left corner.
+ * @param {number} centerX - X-coordinate (pixel) of the tile's center.
+ * @param {number} centerY - Y-coordinate (pixel) of the tile's center.
+ */
+function drawConveyorEntryLanes(ctx, floorDevice, x, y, centerX, centerY) {
+    const edgeMidpoint = side => {
+        switch (side) {
+            case 'north': return { x: centerX, y: y };
+            case 'south': return { x: centerX, y: y + Config.TILE_SIZE };
+            case 'east': return { x: x + Config.TILE_SIZE, y: centerY };
+            case 'west': return { x: x, y: centerY };
+        }
+    };
+    const exitPoint = edgeMidpoint(floorDevice.direction);
+
+    ctx.strokeStyle = Config.CONVEYOR_STRIPE_COLOR;
+    ctx.lineWidth = 4;
+    floorDevice.entries.forEach(side => {
+        const entryPoint = edgeMidpoint(side);
+        ctx.beginPath();
+        ctx.moveTo(entryPoint.x, entryPoint.y);
+        ctx.quadraticCurveTo(centerX, centerY, exitPoint.x, exitPoint.y);
+        ctx.stroke();
+    });
+}
+
 /**
  * Orchestrates drawing of floor device visuals.
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
@@ -535,6 +810,15 @@ function drawFloorDeviceVisuals(ctx, tileData, x, y, styles) {
         case 'conveyor':
             drawConveyorVisuals(ctx, tileData, x, y, centerX, centerY);
             break;
+        case 'crusher':
+            drawCrusherVisuals(ctx, tileData, centerX, centerY);
+            break;
+        case 'teleporter':
+            drawTeleporterVisuals(ctx, tileData, centerX, centerY);
+            break;
+        case 'oil':
+            drawOilSlickVisuals(ctx, centerX, centerY);
+            break;
         case 'none':
         default:
             // No symbol for plain tiles
@@ -543,34 +827,77 @@ function drawFloorDeviceVisuals(ctx, tileData, x, y, styles) {
 }
 
 /**
- * Draws the walls for a single tile.
+ * Gets the rectangle covered by a wall segment on one side of a tile.
+ * @param {'north' | 'south' | 'east' | 'west'} side - The side of the tile.
+ * @param {number} x - X-coordinate (pixel) of the tile's top-left corner.
+ * @param {number} y - Y-coordinate (pixel) of the tile's top-left corner.
+ * @param {number} thickness - Thickness of the segment in pixels.
+ * @returns {number[]} [x, y, width, height] of the segment.
+ */
+function getWallRect(side, x, y, thickness) {
+    switch (side) {
+        case 'north': return [x, y, Config.TILE_SIZE, thickness];
+        case 'south': return [x, y + Config.TILE_SIZE - thickness, Config.TILE_SIZE, thickness];
+        case 'west': return [x, y, thickness, Config.TILE_SIZE];
+        case 'east': default: return [x + Config.TILE_SIZE - thickness, y, thickness, Config.TILE_SIZE];
+    }
+}
+
+/**
+ * Draws the walls for a single tile. Toggle walls are drawn solid while closed and
+ * as a dashed outline while open; one-way gates are drawn with a chevron pointing
+ * the way robots may cross.
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
  * @param {object} tileData - The tile data object.
  * @param {number} x - X-coordinate (pixel) of the tile's top-left corner.
  * @param {number} y - Y-coordinate (pixel) of the tile's top-left corner.
  * @param {object} styles - Computed CSS styles.
+ * @param {number|null} currentProgramStep - The program step being resolved, or null between turns.
  */
-function drawWallVisuals(ctx, tileData, x, y, styles) {
+function drawWallVisuals(ctx, tileData, x, y, styles, currentProgramStep) {
     const wallThickness = parseInt(styles.getPropertyValue('--wall-thickness').trim()) || 3;
     const wallFill = wallStripePattern || styles.getPropertyValue('--wall-solid-color').trim() || '#630';
     ctx.fillStyle = wallFill;
 
-    if (tileData.walls.includes('north')) {
-        ctx.fillRect(x, y, Config.TILE_SIZE, wallThickness);
-    }
-    if (tileData.walls.includes('south')) {
-        ctx.fillRect(x, y + Config.TILE_SIZE - wallThickness, Config.TILE_SIZE, wallThickness);
-    }
-    if (tileData.walls.includes('west')) {
-        ctx.fillRect(x, y, wallThickness, Config.TILE_SIZE);
-    }
-    if (tileData.walls.includes('east')) {
-        ctx.fillRect(x + Config.TILE_SIZE - wallThickness, y, wallThickness, Config.TILE_SIZE);
-    }
+    tileData.walls.forEach(side => {
+        ctx.fillRect(...getWallRect(side, x, y, wallThickness));
+    });
+
+    tileData.toggleWalls.forEach(toggleWall => {
+        const rect = getWallRect(toggleWall.side, x, y, wallThickness);
+        if (tileData.isWallClosed(toggleWall.side, currentProgramStep)) {
+            ctx.fillStyle = wallFill;
+            ctx.fillRect(...rect);
+        } else {
+            ctx.strokeStyle = styles.getPropertyValue('--wall-open-color').trim() || '#c9a27a';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.strokeRect(rect[0] + 0.5, rect[1] + 0.5, rect[2] - 1, rect[3] - 1);
+            ctx.setLineDash([]);
+        }
+    });
+
+    const gateColor = styles.getPropertyValue('--gate-color').trim() || '#2a7fff';
+    tileData.gates.forEach(gate => {
+        const [gx, gy, gw, gh] = getWallRect(gate.side, x, y, wallThickness);
+        ctx.fillStyle = gateColor;
+        ctx.fillRect(gx, gy, gw, gh);
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const chevron = Config.TILE_SYMBOLS[`gate-${gate.direction}`] || '';
+        const inset = wallThickness + 6;
+        switch (gate.side) {
+            case 'north': ctx.fillText(chevron, gx + gw / 2, gy + inset); break;
+            case 'south': ctx.fillText(chevron, gx + gw / 2, gy + gh - inset); break;
+            case 'west': ctx.fillText(chevron, gx + inset, gy + gh / 2); break;
+            case 'east': ctx.fillText(chevron, gx + gw - inset, gy + gh / 2); break;
+        }
+    });
 }
 
 /**
- * Draws the symbol for a laser emitter.
+ * Draws the symbol for a laser emitter, with its firing steps if it is scheduled.
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
  * @param {object} laserDevice - The laser device object.
  * @param {number} x - X-coordinate (pixel) of the tile's top-left corner.
@@ -602,6 +929,11 @@ function drawLaserSymbol(ctx, laserDevice, x, y, centerX, centerY) {
                 break;
         }
         ctx.fillText(laserSymbol, symbolX, symbolY);
+
+        if (laserDevice.steps) {
+            ctx.font = '10px sans-serif';
+            ctx.fillText(Array.from(laserDevice.steps).sort((a, b) => a - b).join(','), centerX, centerY);
+        }
     }
 }
 
@@ -716,13 +1048,14 @@ function drawWallDeviceVisuals(ctx, tileData, x, y, styles) {
  * @param {number} x - X-coordinate (pixel) of the tile's top-left corner.
  * @param {number} y - Y-coordinate (pixel) of the tile's top-left corner.
  * @param {object} styles - Computed CSS styles.
+ * @param {number|null} [currentProgramStep=null] - The program step being resolved, for toggle walls.
  */
-function renderTile(ctx, tileData, x, y, styles) {
+function renderTile(ctx, tileData, x, y, styles, currentProgramStep = null) {
     if (!tileData) return;
 
     drawTileBackground(ctx, tileData, x, y, styles);
     drawFloorDeviceVisuals(ctx, tileData, x, y, styles);
-    drawWallVisuals(ctx, tileData, x, y, styles);
+    drawWallVisuals(ctx, tileData, x, y, styles, currentProgramStep);
     drawWallDeviceVisuals(ctx, tileData, x, y, styles);
 }
 
@@ -812,7 +1145,7 @@ function renderStaticBoardElements(boardData) {
             const tileData = boardData.getTileData(r, c);
             const x = c * Config.TILE_SIZE;
             const y = r * Config.TILE_SIZE;
-            renderTile(ctx, tileData, x, y, styles);
+            renderTile(ctx, tileData, x, y, styles, boardData.currentProgramStep);
         }
     }
 
@@ -854,34 +1187,43 @@ function createFlagIndicatorsUI(flags) {
     });
 }
 
-/** Creates the robot DOM element and appends it to the container */
-function createRobotElement() {
-    if (robotElement) { // Avoid creating multiple robots
-        robotElement.remove();
-    }
-    robotElement = document.createElement('div');
-    robotElement.id = 'robot-element'; // Assign an ID
-    robotElement.className = 'robot'; // Use class for base styling
+/**
+ * Creates one robot DOM element per robot and appends them to the container.
+ * @param {object[]} robotStates - Initial state of every robot (only `id` is used).
+ */
+function createRobotElements(robotStates) {
+    robotElements.forEach(element => element.remove()); // Avoid duplicating robots
+    robotElements.clear();
 
-    // Add orientation indicator structure if needed (CSS handles the ::before)
+    if (!boardContainer) {
+        Logger.error("Cannot create robot elements: boardContainer not found.");
+        return;
+    }
 
-    if (boardContainer) {
+    robotStates.forEach((state, index) => {
+        const robotElement = document.createElement('div');
+        robotElement.id = `robot-element-${state.id}`;
+        robotElement.className = 'robot'; // Use class for base styling
+        robotElement.title = state.id;
+        robotElement.style.backgroundColor = Config.ROBOT_COLORS[index % Config.ROBOT_COLORS.length];
+        // Orientation indicator is handled by CSS ::before
         boardContainer.appendChild(robotElement);
-        Logger.log("Robot DOM element created.");
-    } else {
-        Logger.error("Cannot create robot element: boardContainer not found.");
-    }
+        robotElements.set(state.id, robotElement);
+    });
+    Logger.log(`Created ${robotElements.size} robot DOM element(s).`);
 }
 
 /**
- * Updates the robot's position and orientation in the UI (DOM element).
+ * Updates a robot's position and orientation in the UI (DOM element).
+ * @param {string} robotId
  * @param {number} row
  * @param {number} col
  * @param {string} orientation
  */
-function updateRobotVisualsUI(row, col, orientation) {
+function updateRobotVisualsUI(robotId, row, col, orientation) {
+    const robotElement = robotElements.get(robotId);
     if (!robotElement) {
-        Logger.error("UI Error: Robot element not ready for update.");
+        Logger.error(`UI Error: Robot element for ${robotId} not ready for update.`);
         return;
     }
 
@@ -906,6 +1248,25 @@ function updateRobotVisualsUI(row, col, orientation) {
 
 // --- UI Update Functions ---
 
+/**
+ * Creates the DOM element for a card, showing its text and priority.
+ * @param {object} cardData - Card data object from cards.js.
+ * @returns {HTMLElement} The card element.
+ */
+function createCardElement(cardData) {
+    const cardElement = document.createElement('div');
+    cardElement.id = cardData.instanceId;
+    cardElement.classList.add('card', cardData.type);
+    const textElement = document.createElement('span');
+    textElement.classList.add('card-text');
+    textElement.textContent = cardData.text;
+    const priorityElement = document.createElement('span');
+    priorityElement.classList.add('card-priority');
+    priorityElement.textContent = cardData.priority;
+    cardElement.append(textElement, priorityElement);
+    return cardElement;
+}
+
 /**
  * Updates the card hand display based on provided card data.
  * @param {object[]} handCardsData - Array of card data objects from cards.js.
@@ -918,11 +1279,8 @@ function updateHandUI(handCardsData, robot) {
         return;
     }
     handCardsData.forEach(cardData => {
-        const cardElement = document.createElement('div');
-        cardElement.id = cardData.instanceId;
-        cardElement.classList.add('card', cardData.type);
+        const cardElement = createCardElement(cardData);
         // draggable attribute will be set by setProgrammingUIEnabled
-        cardElement.textContent = cardData.text;
         addDragHandlersToCardElement(cardElement);
         cardHandContainer.appendChild(cardElement);
     });
@@ -931,14 +1289,60 @@ function updateHandUI(handCardsData, robot) {
     Logger.log("Hand UI updated via event.");
 }
 
-/** Clears program slots and shows numbers. */
-function resetProgramSlotsUI() {
+/**
+ * Clears program slots and shows numbers, then refills the registers locked by damage.
+ * @param {Robot} robot - The robot programmed from the hand.
+ */
+function resetProgramSlotsUI(robot) {
     programSlots.forEach((slot, index) => {
         resetSingleProgramSlotUI(slot, index);
     });
+    showLockedRegistersUI(robot);
     // Logger.log("Program slots UI reset.");
 }
 
+/**
+ * Marks the program slots locked by damage and shows the cards they keep.
+ * A robot's program holds exactly its locked cards between turns.
+ * @param {Robot} robot - The robot programmed from the hand.
+ */
+function showLockedRegistersUI(robot) {
+    const lockedCards = robot.getProgram();
+    programSlots.forEach((slot, index) => {
+        if (!robot.isRegisterLocked(index)) return;
+        slot.classList.add('locked');
+        const cardData = lockedCards[lockedCards.length - (Config.PROGRAM_SIZE - index)]; // The locked cards fill the last registers
+        if (cardData) {
+            const cardElement = createCardElement(cardData);
+            cardElement.draggable = false;
+            slot.innerHTML = '';
+            slot.appendChild(cardElement);
+        }
+    });
+}
+
+/**
+ * Predicts the program in the slots and redraws the board with its ghost path.
+ * Nothing is shown in replays, for a robot that cannot be programmed, or for an empty program.
+ * @param {Board} boardData - The board.
+ * @param {Robot[]} robots - All robots; the first is the one programmed from the hand.
+ * @param {Deck} deck - The game's cards, which hold the data of the cards in the slots.
+ */
+function updateGhostPathUI(boardData, robots, deck) {
+    const [handRobot, ...otherRobots] = robots;
+    const program = Array.from(programSlots, slot => {
+        const cardElement = slot.querySelector('.card');
+        return (cardElement && deck.getCardData(cardElement.id)) || null;
+    });
+    if (isReplayMode || handRobot.isDestroyed() || handRobot.getIsPoweredDown() || program.every(card => !card)) {
+        ghostPath = null;
+    } else {
+        const otherRobotStates = otherRobots.filter(robot => !robot.isDestroyed()).map(robot => robot.serialize());
+        ghostPath = predictGhostPath(boardData, handRobot.serialize(), program, otherRobotStates);
+    }
+    drawLaserBeams(boardData, robots.filter(robot => !robot.isDestroyed()).map(robot => robot.getRobotState()));
+}
+
 /**
  * Resets a single program slot to display its number.
  * @param {HTMLElement} slotElement - The program slot DOM element.
@@ -950,8 +1354,46 @@ function resetSingleProgramSlotUI(slotElement, index) {
     slotElement.className = 'program-slot';
 }
 
-/** Updates the health display. */
-function updateHealthUI(health, maxHealth) {
+/**
+ * Creates one status row (health, lives, checkpoints) per robot.
+ * @param {object[]} robotStates - Initial state of every robot.
+ * @param {number} totalCheckpoints - Number of checkpoints on the board.
+ */
+function createRobotStatusUI(robotStates, totalCheckpoints) {
+    if (!robotStatusList) {
+        Logger.error("UI Error: Robot status list container not found.");
+        return;
+    }
+    robotStatusList.innerHTML = '';
+    robotStates.forEach((state, index) => {
+        const row = document.createElement('div');
+        row.className = 'robot-status';
+        row.dataset.robotId = state.id;
+        row.innerHTML = `
+            <span class="robot-swatch" style="background-color: ${Config.ROBOT_COLORS[index % Config.ROBOT_COLORS.length]}"></span>
+            <span class="robot-name">${state.id}</span>
+            <span>Health: <span class="health-value">--</span> / <span class="max-health-value">--</span></span>
+            <span>Lives: <span class="lives-value">--</span></span>
+            <span>Flags: <span class="flags-value">0</span> / ${totalCheckpoints}</span>`;
+        robotStatusList.appendChild(row);
+    });
+}
+
+/**
+ * Finds an element inside the status row of the given robot.
+ * @param {string} robotId
+ * @param {string} selector - CSS selector relative to the row.
+ * @returns {HTMLElement|null}
+ */
+function getRobotStatusElement(robotId, selector) {
+    if (!robotStatusList) return null;
+    return robotStatusList.querySelector(`.robot-status[data-robot-id="${robotId}"] ${selector}`);
+}
+
+/** Updates the health display of one robot. */
+function updateHealthUI(robotId, health, maxHealth) {
+    const healthValueEl = getRobotStatusElement(robotId, '.health-value');
+    const maxHealthValueEl = getRobotStatusElement(robotId, '.max-health-value');
     if (healthValueEl && maxHealthValueEl) {
         healthValueEl.textContent = health;
         maxHealthValueEl.textContent = maxHealth;
@@ -959,14 +1401,35 @@ function updateHealthUI(health, maxHealth) {
     }
 }
 
-/** Updates the lives display. */
-function updateLivesUI(lives) {
+/** Updates the lives display of one robot. */
+function updateLivesUI(robotId, lives) {
+    const livesValueEl = getRobotStatusElement(robotId, '.lives-value');
     if (livesValueEl) {
         livesValueEl.textContent = lives;
         livesValueEl.classList.toggle('critical', lives <= 1);
     }
 }
 
+/** Updates the checkpoint count display of one robot. */
+function updateRobotFlagsUI(robotId, visitedOrder) {
+    const flagsValueEl = getRobotStatusElement(robotId, '.flags-value');
+    if (flagsValueEl) {
+        flagsValueEl.textContent = visitedOrder;
+    }
+}
+
+/** Marks a robot's status row as destroyed. */
+function markRobotDestroyedUI(robotId) {
+    const row = robotStatusList ? robotStatusList.querySelector(`.robot-status[data-robot-id="${robotId}"]`) : null;
+    if (row) {
+        row.classList.add('destroyed');
+    }
+    const robotElement = robotElements.get(robotId);
+    if (robotElement) {
+        robotElement.style.display = 'none';
+    }
+}
+
 /** Updates the power down status display. */
 function updatePowerDownStatusUI(powerDownIntent, isPoweredDown) {
     if (powerDownStatusEl) {
@@ -997,12 +1460,19 @@ function updateFlagIndicatorUI({ flagKey, visitedOrder }) {
     Logger.log(`UI: Updated flag indicators. Highest visited order: ${visitedOrder}`);
 }
 
-/** Shows the end game modal. */
-function showModalUI(isWin) {
+/**
+ * Shows the end game modal.
+ * @param {boolean} isWin - True if a robot visited every checkpoint.
+ * @param {string|null} robotId - The winning robot, if any.
+ * @param {boolean} isMultiRobot - True if more than one robot is on the board.
+ */
+function showModalUI(isWin, robotId, isMultiRobot) {
     if (modal && modalTitleEl && modalMessageEl) {
-        modalTitleEl.textContent = isWin ? "You Win!" : "Robot Destroyed!";
+        modalTitleEl.textContent = isWin ? (isMultiRobot ? `${robotId} Wins!` : "You Win!") : "Robot Destroyed!";
         modalTitleEl.className = isWin ? 'win' : 'loss'; // Add class for styling
-        modalMessageEl.textContent = isWin ? "Congratulations! You visited all checkpoints in order!" : "Your robot ran out of lives.";
+        modalMessageEl.textContent = isWin
+            ? `Congratulations! ${isMultiRobot ? robotId : 'You'} visited all checkpoints in order!`
+            : (isMultiRobot ? "Every robot ran out of lives." : "Your robot ran out of lives.");
         modal.style.display = 'flex'; // Show modal
     }
 }
@@ -1026,12 +1496,19 @@ function updateDebugCountsUI(counts) {
     }
 }
 
-/** Shows the debug modal and updates its content. */
-function showDebugModal() {
+/**
+ * Shows the debug modal and updates its content.
+ * @param {Deck} deck - The game's cards, for the seed.
+ */
+function showDebugModal(deck) {
     if (debugModal && debugLogOutput) { // Check only needed elements
         const history = Logger.getHistory();
         debugLogOutput.textContent = history.slice().reverse().join('\n');
         debugLogOutput.scrollTop = 0;
+        if (debugSeed) {
+            const seed = deck.getSeed();
+            debugSeed.textContent = seed === null ? '--' : String(seed);
+        }
 
         debugModal.style.display = 'flex';
     } else {
@@ -1048,11 +1525,19 @@ function hideDebugModal() {
 
 /** Enables or disables the Run Program button. */
 function updateButtonStateUI(isEnabled) {
-    runProgramButton.disabled = !isEnabled;
+    runProgramButton.disabled = !isEnabled || isReplayMode;
+}
+
+/** Enables or disables the Save button, which is off while a turn runs. */
+function updateSaveButtonStateUI(isEnabled) {
+    if (saveGameButton) {
+        saveGameButton.disabled = !isEnabled;
+    }
 }
 
 /** Enables or disables the programming UI (card dragging, slot dropping). */
 function setProgrammingUIEnabled(isEnabled) {
+    isEnabled = isEnabled && !isReplayMode;
     // Toggle draggable attribute on cards in hand
     if (cardHandContainer) {
         cardHandContainer.querySelectorAll('.card').forEach(cardElement => {
@@ -1061,9 +1546,9 @@ function setProgrammingUIEnabled(isEnabled) {
         });
     }
 
-    // Toggle drop-zone class on program slots
+    // Toggle drop-zone class on program slots (locked slots never accept drops)
     programSlots.forEach(slot => {
-        slot.classList.toggle('drop-zone', isEnabled);
+        slot.classList.toggle('drop-zone', isEnabled && !slot.classList.contains('locked'));
         slot.classList.toggle('disabled', !isEnabled);
     });
 
@@ -1075,6 +1560,21 @@ function setProgrammingUIEnabled(isEnabled) {
 
 // --- UI Helpers ---
 
+/**
+ * Offers an object to the user as a downloaded JSON file.
+ * @param {string} filename - Suggested file name.
+ * @param {object} data - The object to serialize.
+ */
+function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
 /** Applies the current zoom level to the board container */
 function applyZoom() {
     if (boardContainer && zoomLevelDisplay) {
@@ -1138,7 +1638,7 @@ function handleDragLeave(e) {
     }
 }
 
-function handleDrop(e, robot) {
+function handleDrop(e, robot, deck) {
     e.preventDefault();
     const dropTarget = e.target.closest('.program-slot, #card-hand');
 
@@ -1174,6 +1674,12 @@ function handleDrop(e, robot) {
 
     const originWasHand = cardElement.parentElement.id === 'card-hand';
 
+    // Registers locked by damage keep their cards: nothing may be dropped onto or dragged out of them
+    if (dropTarget.classList.contains('locked') || (originProgramSlot && originProgramSlot.classList.contains('locked'))) {
+        Logger.log('Program register is locked, drop prevented.');
+        return;
+    }
+
     // --- Logic for dropping ---
     if (dropTarget.classList.contains('program-slot')) {
         const existingCard = dropTarget.querySelector('.card');
@@ -1183,7 +1689,7 @@ function handleDrop(e, robot) {
                 dropTarget.appendChild(cardElement); // Move element visually
                 // Update card data state (remove from hand) - This will trigger events
                 if (originWasHand) {
-                    removeFromHandData(cardInstanceId); // Let cards.js emit events
+                    deck.removeFromHandData(cardInstanceId); // Let the deck emit events
                 }
                 // If the card was moved from another program slot, reset that slot
                 if (originProgramSlot && originProgramSlot !== dropTarget) {
@@ -1200,7 +1706,7 @@ function handleDrop(e, robot) {
         if (!originWasHand) {
             cardHandContainer.appendChild(cardElement); // Move element visually
             // Update card data state (add back to hand) - This will trigger events
-            addToHandData(cardInstanceId); // Let cards.js emit events
+            deck.addToHandData(cardInstanceId); // Let the deck emit events
 
             // If the card was moved from a program slot, reset that slot
             if (originProgramSlot) {
@@ -1235,35 +1741,421 @@ function checkProgramReady(robot) {
     }
 }
 
+// --- Turn Playback ---
+/**
+ * Connects the playback controls to the controller that paces each turn, and shows
+ * which register and phase is playing.
+ * @param {PlaybackController} controller - The controller that paces the game's turns.
+ */
+export function setupPlaybackControls(controller) {
+    if (!playbackControls) {
+        Logger.warn("Playback controls not found.");
+        return;
+    }
+
+    controller.onProgress = ({ register, phase, paused }) => {
+        if (playbackStatus) {
+            const position = register === null
+                ? 'Waiting for a program'
+                : `Register ${register} of ${Config.PROGRAM_SIZE}: ${Config.REGISTER_PHASE_LABELS[phase] || phase}`;
+            playbackStatus.textContent = paused ? `${position} (paused)` : position;
+        }
+        if (playbackPauseButton) playbackPauseButton.disabled = paused;
+        if (playbackResumeButton) playbackResumeButton.disabled = !paused;
+        if (playbackStepPhaseButton) playbackStepPhaseButton.disabled = !paused;
+        if (playbackStepRegisterButton) playbackStepRegisterButton.disabled = !paused;
+    };
+    controller.reportProgress();
+
+    if (playbackPauseButton) playbackPauseButton.addEventListener('click', () => controller.pause());
+    if (playbackResumeButton) playbackResumeButton.addEventListener('click', () => controller.resume());
+    if (playbackStepPhaseButton) playbackStepPhaseButton.addEventListener('click', () => controller.step('phase'));
+    if (playbackStepRegisterButton) playbackStepRegisterButton.addEventListener('click', () => controller.step('register'));
+    if (playbackSpeedSelect) {
+        Config.PLAYBACK_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}x`;
+            option.selected = speed === controller.speed;
+            playbackSpeedSelect.appendChild(option);
+        });
+        playbackSpeedSelect.addEventListener('change', () => controller.setSpeed(Number(playbackSpeedSelect.value)));
+    }
+}
+
+// --- Replay Mode ---
+/**
+ * Switches the page into replay mode: programming is disabled and the replay
+ * controls drive the player, whose events update the UI through the usual listeners.
+ * @param {ReplayPlayer} player - The player for the loaded replay.
+ */
+export function setupReplayControls(player) {
+    isReplayMode = true;
+    setProgrammingUIEnabled(false);
+    updateButtonStateUI(false);
+    if (powerDownButton) powerDownButton.disabled = true;
+    if (!replayControls) {
+        Logger.warn("Replay controls not found.");
+        return;
+    }
+    replayControls.style.display = 'flex';
+    if (playbackControls) playbackControls.style.display = 'none'; // Replays have their own pacing
+
+    player.onProgress = (position, total, playing) => {
+        if (replayProgress) replayProgress.textContent = `${position} / ${total}`;
+        if (replayPlayButton) replayPlayButton.disabled = playing || position >= total;
+        if (replayPauseButton) replayPauseButton.disabled = !playing;
+        if (replayStepButton) replayStepButton.disabled = playing || position >= total;
+    };
+    player.reportProgress();
+
+    if (replayPlayButton) replayPlayButton.addEventListener('click', () => player.play());
+    if (replayPauseButton) replayPauseButton.addEventListener('click', () => player.pause());
+    if (replayStepButton) replayStepButton.addEventListener('click', () => player.step());
+    if (replaySpeedSelect) {
+        Config.REPLAY_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}x`;
+            option.selected = speed === player.speed;
+            replaySpeedSelect.appendChild(option);
+        });
+        replaySpeedSelect.addEventListener('change', () => player.setSpeed(Number(replaySpeedSelect.value)));
+    }
+    Logger.log("UI switched to replay mode.");
+}
+
+// --- Board Editor Mode ---
+/**
+ * Draws the robot start positions as arrows in the robots' colors.
+ * @param {{row: number, col: number, orientation: string}[]} starts - The start positions.
+ */
+function drawStartMarkers(starts) {
+    starts.forEach((start, index) => {
+        drawArrowMarker(start, Config.ROBOT_COLORS[index % Config.ROBOT_COLORS.length]);
+    });
+}
+
+/**
+ * Draws an arrow in the middle of a tile, pointing the way a robot there would face.
+ * @param {{row: number, col: number, orientation: string}} position - The tile and facing.
+ * @param {string} fillStyle - The arrow's fill color.
+ */
+function drawArrowMarker(position, fillStyle) {
+    const angles = { north: -Math.PI / 2, east: 0, south: Math.PI / 2, west: Math.PI };
+    const size = Config.TILE_SIZE / 4;
+    ctx.save();
+    ctx.translate(position.col * Config.TILE_SIZE + Config.TILE_SIZE / 2, position.row * Config.TILE_SIZE + Config.TILE_SIZE / 2);
+    ctx.rotate(angles[position.orientation]);
+    ctx.fillStyle = fillStyle;
+    ctx.strokeStyle = '#333333';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(size, 0);
+    ctx.lineTo(-size, -size * 0.8);
+    ctx.lineTo(-size, size * 0.8);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Redraws the board being edited and shows whether it is valid, with its lint report.
+ * An invalid edit leaves the last valid board on the canvas.
+ * @param {{board: Board | null, error: string | null, issues: object[], starts: object[]}} change - The 'editorBoardChanged' payload.
+ */
+function renderEditorBoardUI({ board, error, issues, starts }) {
+    if (board) {
+        if (!ctx || boardCanvas.width !== board.cols * Config.TILE_SIZE || boardCanvas.height !== board.rows * Config.TILE_SIZE) {
+            initCanvas(board);
+        }
+        drawLaserBeams(board, []); // Redraws the tiles as well as the beams
+        drawStartMarkers(starts.filter(start => board.getTileData(start.row, start.col)));
+    }
+    if (editorStatus) {
+        editorStatus.textContent = error
+            ? `Invalid board (showing the last valid one): ${error}`
+            : `Valid ${board.rows}x${board.cols} board with ${board.totalCheckpoints} checkpoint(s).`;
+        editorStatus.classList.toggle('editor-error', Boolean(error));
+    }
+    if (editorExportButton) editorExportButton.disabled = Boolean(error);
+    if (editorLintList) {
+        editorLintList.innerHTML = '';
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `lint-${issue.severity}`;
+            item.textContent = issue.message;
+            editorLintList.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Shows a rejected edit (e.g. a badly typed step list) in the editor status line.
+ * @param {string} message - What went wrong.
+ */
+function showEditorErrorUI(message) {
+    Logger.warn(`Board editor: ${message}`);
+    if (editorStatus) {
+        editorStatus.textContent = message;
+        editorStatus.classList.add('editor-error');
+    }
+}
+
+/**
+ * Finds the tile under a click on the board canvas and the side of it nearest the click.
+ * @param {MouseEvent} event - The click.
+ * @returns {{row: number, col: number, side: 'north' | 'south' | 'east' | 'west'}}
+ */
+function getClickedTileSide(event) {
+    // The board may be zoomed, so scale from displayed pixels back to canvas pixels
+    const rect = boardCanvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * boardCanvas.width / rect.width;
+    const y = (event.clientY - rect.top) * boardCanvas.height / rect.height;
+    const row = Math.floor(y / Config.TILE_SIZE);
+    const col = Math.floor(x / Config.TILE_SIZE);
+    const dx = x - (col * Config.TILE_SIZE + Config.TILE_SIZE / 2);
+    const dy = y - (row * Config.TILE_SIZE + Config.TILE_SIZE / 2);
+    const side = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'east' : 'west') : (dy > 0 ? 'south' : 'north');
+    return { row, col, side };
+}
+
+/**
+ * Reads the device settings from the editor panel.
+ * @returns {object} Settings for BoardEditor.applyTool().
+ */
+function readEditorSettings() {
+    return {
+        direction: editorDirectionSelect.value,
+        speed: Number(editorSpeedSelect.value),
+        rotation: editorRotationSelect.value,
+        order: Number(editorOrderInput.value),
+        steps: parseSteps(editorStepsInput.value),
+        strength: Number(editorStrengthInput.value),
+        pairId: editorPairInput.value.trim(),
+    };
+}
+
+/**
+ * Switches the page into board editor mode: the game controls are hidden and
+ * clicks on the board apply the tool chosen in the editor panel.
+ * @param {BoardEditor} editor - The editor holding the board.
+ * @param {EventBus} eventBus - The bus the editor announces its changes on.
+ * @returns {boolean} True if the editor UI was set up.
+ */
+export function setupEditorUI(editor, eventBus) {
+    Logger.log("Initializing board editor UI...");
+    cacheDOMElements();
+    if (!editorPanel || !boardCanvas) {
+        Logger.error("Board editor elements not found!");
+        return false;
+    }
+    ['controls', 'save-controls', 'flag-status', 'robot-status-list'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = 'none';
+    });
+    editorPanel.style.display = 'block';
+
+    const syncEditorInputs = () => {
+        editorNameInput.value = editor.name;
+        editorRowsInput.value = String(editor.rows);
+        editorColsInput.value = String(editor.cols);
+    };
+    syncEditorInputs();
+    editorRowsInput.max = String(Config.EDITOR_MAX_BOARD_SIZE);
+    editorColsInput.max = String(Config.EDITOR_MAX_BOARD_SIZE);
+
+    eventBus.on('editorBoardChanged', renderEditorBoardUI);
+
+    editorNameInput.addEventListener('input', () => editor.setName(editorNameInput.value));
+    editorResizeButton.addEventListener('click', () => {
+        try {
+            editor.resize(Number(editorRowsInput.value), Number(editorColsInput.value));
+        } catch (error) {
+            showEditorErrorUI(error.message);
+        }
+    });
+    boardCanvas.addEventListener('click', (event) => {
+        const { row, col, side } = getClickedTileSide(event);
+        if (row < 0 || row >= editor.rows || col < 0 || col >= editor.cols) return;
+        try {
+            editor.applyTool(editorToolSelect.value, row, col, side, readEditorSettings());
+        } catch (error) {
+            showEditorErrorUI(error.message);
+        }
+    });
+
+    editorExportButton.addEventListener('click', () => {
+        try {
+            const fileName = editor.name.trim().replace(/[^A-Za-z0-9_-]+/g, '-').toLowerCase() || 'board';
+            downloadJSON(`${fileName}.json`, editor.toBoardFile());
+        } catch (error) {
+            showEditorErrorUI(error.message);
+        }
+    });
+    editorImportButton.addEventListener('click', () => editorFileInput.click());
+    editorFileInput.addEventListener('change', async () => {
+        const file = editorFileInput.files[0];
+        if (!file) return;
+        Logger.log(`Importing board file ${file.name}.`);
+        try {
+            editor.loadBoardFile(JSON.parse(await file.text()));
+            syncEditorInputs();
+        } catch (error) {
+            showEditorErrorUI(`Could not import ${file.name}: ${error.message}`);
+        }
+        editorFileInput.value = ''; // Allow choosing the same file again
+    });
+
+    setupZoomListeners();
+    applyZoom();
+    editor.validate(); // Draws the board now that the UI is listening
+    Logger.log("Board editor UI set up.");
+    return true;
+}
+
+// --- Campaign Mode ---
+/**
+ * Formats stars earned out of the most a level gives, e.g. '★★☆'.
+ * @param {number} stars - The stars earned.
+ * @returns {string}
+ */
+function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(Config.CAMPAIGN_MAX_STARS - stars);
+}
+
+/**
+ * Shows the level-select screen in place of the game: one entry per level with the
+ * stars earned and its par. Locked levels are listed without a link.
+ * @param {{level: object, stars: number, unlocked: boolean}[]} entries - The levels, in campaign order.
+ * @returns {boolean} True if the level-select UI was set up.
+ */
+export function setupCampaignSelectUI(entries) {
+    Logger.log("Initializing campaign level select...");
+    cacheDOMElements();
+    if (!campaignPanel || !campaignLevelList) {
+        Logger.error("Campaign elements not found!");
+        return false;
+    }
+    ['status-area', 'controls', 'board-scroll-area'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = 'none';
+    });
+    campaignPanel.style.display = 'block';
+
+    const totalStars = entries.reduce((sum, entry) => sum + entry.stars, 0);
+    campaignDescription.textContent = `${totalStars} of ${entries.length * Config.CAMPAIGN_MAX_STARS} stars earned.`;
+    campaignLevelList.innerHTML = '';
+    entries.forEach(({ level, stars, unlocked }) => {
+        const item = document.createElement('li');
+        const name = document.createElement(unlocked ? 'a' : 'span');
+        name.textContent = level.name;
+        if (unlocked) {
+            name.href = `?level=${encodeURIComponent(level.id)}`;
+            name.title = level.description || '';
+        }
+        const details = document.createElement('span');
+        details.className = 'campaign-level-details';
+        details.textContent = unlocked ? `${formatStars(stars)} ${formatPar(level)}` : 'Locked';
+        item.append(name, details);
+        campaignLevelList.appendChild(item);
+    });
+    Logger.log("Campaign level select set up.");
+    return true;
+}
+
+/**
+ * Shows how a campaign level ended, with a link on to the next level after a win.
+ * @param {{completed: boolean, turns: number, cardsUsed: number, stars: number}} result - The 'levelFinished' payload.
+ * @param {object|null} nextLevel - The level after this one, if any.
+ */
+function showLevelResultUI(result, nextLevel) {
+    if (campaignResult) {
+        campaignResult.textContent = result.completed
+            ? `${formatStars(result.stars)} Completed in ${result.turns} turn(s) using ${result.cardsUsed} card(s).`
+            : "Level failed. Restart to try again.";
+    }
+    if (campaignNextLink && result.completed && nextLevel) {
+        campaignNextLink.href = `?level=${encodeURIComponent(nextLevel.id)}`;
+        campaignNextLink.textContent = `Next: ${nextLevel.name}`;
+        campaignNextLink.style.display = 'inline';
+    }
+}
+
+/**
+ * Adds the campaign panel to a level being played: its name, description and par,
+ * and its result once the 'levelFinished' event arrives. Call after initializeUI().
+ * Saving is hidden, as saved games resume in free play.
+ * @param {object} level - The level being played.
+ * @param {object|null} nextLevel - The level after this one, if any.
+ * @param {EventBus} eventBus - The level's bus.
+ */
+export function setupCampaignLevelUI(level, nextLevel, eventBus) {
+    if (!campaignPanel) {
+        Logger.warn("Campaign panel not found.");
+        return;
+    }
+    const saveControls = document.getElementById('save-controls');
+    if (saveControls) saveControls.style.display = 'none';
+    campaignPanel.style.display = 'block';
+    campaignTitle.textContent = level.name;
+    campaignDescription.textContent = level.description || '';
+    campaignPar.textContent = formatPar(level);
+    campaignLevelList.style.display = 'none';
+    campaignRestartLink.href = `?level=${encodeURIComponent(level.id)}`;
+    campaignRestartLink.style.display = 'inline';
+    eventBus.on('levelFinished', result => showLevelResultUI(result, nextLevel));
+}
+
 // --- Event Listener Setup ---
 /**
  * Sets up all static UI event listeners.
+ * The hand, program slots and power down button control the first robot in the list.
  * @param {Function} runProgramCallback - Function to call when Run button is clicked.
+ * @param {object} boardData - The parsed board data.
+ * @param {Robot[]} robots - Every robot on the board.
+ * @param {EventBus} eventBus - The game's bus; the UI redraws from the events on it.
+ * @param {Deck} deck - The game's cards, which the hand and program slots show.
+ * @param {object} [controlCallbacks={}] - Handlers for the save and replay buttons.
+ * @param {Function} [controlCallbacks.onSave] - Called by the Save button with the ids of the
+ *   cards in the unlocked program slots, which the hand no longer holds.
+ * @param {Function} [controlCallbacks.onLoad] - Called by the Load button.
+ * @param {Function} [controlCallbacks.onExportReplay] - Returns the replay log to download.
+ * @param {Function} [controlCallbacks.onLoadReplay] - Called with the text of a chosen replay file.
  */
-export function setupUIListeners(runProgramCallback, boardData, robot) { // Pass robotData
+export function setupUIListeners(runProgramCallback, boardData, robots, eventBus, deck, controlCallbacks = {}) {
+    const robot = robots[0]; // The robot programmed from the hand
+
     // Attach drop listeners to static containers
     const dropZones = [cardHandContainer, ...programSlots];
     dropZones.forEach(zone => {
         zone.addEventListener('dragover', handleDragOver);
         zone.addEventListener('dragenter', handleDragEnter);
         zone.addEventListener('dragleave', handleDragLeave);
-        zone.addEventListener('drop', (e) => handleDrop(e, robot));
+        zone.addEventListener('drop', (e) => {
+            handleDrop(e, robot, deck);
+            updateGhostPathUI(boardData, robots, deck);
+        });
     });
 
-    // Initial state for programming UI
+    // Initial state for programming UI (a resumed game may start with locked registers)
+    showLockedRegistersUI(robot);
     setProgrammingUIEnabled(!robot.getRobotState().isPoweredDown);
 
     // Attach run button listener
     runProgramButton.addEventListener('click', async () => {
         Logger.log("Run Program button clicked.");
         updateButtonStateUI(false); // Disable button immediately
+        updateSaveButtonStateUI(false); // A save mid-turn would store a half-run program
+        ghostPath = null; // The robot is about to walk the path itself
 
         // 1. Extract program cards from UI
         const programCards = [];
         programSlots.forEach(slot => {
             const cardElement = slot.querySelector('.card');
             if (cardElement) {
-                const cardData = getCardData(cardElement.id); // Assuming getCardData can retrieve by instanceId
+                const cardData = deck.getCardData(cardElement.id);
                 if (cardData) {
                     programCards.push(cardData);
                 }
@@ -1280,6 +2172,7 @@ export function setupUIListeners(runProgramCallback, boardData, robot) { // Pass
             Logger.error("Error during program execution:", err);
             // Optionally re-enable button on error? Or rely on programExecutionFinished event?
             // updateButtonStateUI(true);
+            updateSaveButtonStateUI(true);
         }
     });
 
@@ -1301,7 +2194,7 @@ export function setupUIListeners(runProgramCallback, boardData, robot) { // Pass
     }
 
     if (debugTrigger) {
-        debugTrigger.addEventListener('click', showDebugModal);
+        debugTrigger.addEventListener('click', () => showDebugModal(deck));
     } else {
         Logger.warn("Debug trigger element not found.");
     }
@@ -1342,7 +2235,57 @@ export function setupUIListeners(runProgramCallback, boardData, robot) { // Pass
         Logger.warn("Run Tests button not found.");
     }
 
-    // Attach Zoom Listeners
+    // Attach Save / Load Listeners
+    if (saveGameButton && controlCallbacks.onSave) {
+        saveGameButton.addEventListener('click', () => {
+            Logger.log("Save button clicked.");
+            const slottedCardIds = [];
+            programSlots.forEach(slot => {
+                const cardElement = slot.querySelector('.card');
+                if (cardElement && !slot.classList.contains('locked')) {
+                    slottedCardIds.push(cardElement.id);
+                }
+            });
+            controlCallbacks.onSave(slottedCardIds);
+        });
+    }
+    if (loadGameButton && controlCallbacks.onLoad) {
+        loadGameButton.addEventListener('click', () => {
+            Logger.log("Load button clicked.");
+            controlCallbacks.onLoad();
+        });
+    }
+
+    // Attach Replay Export / Load Listeners
+    if (exportReplayButton && controlCallbacks.onExportReplay) {
+        exportReplayButton.addEventListener('click', () => {
+            Logger.log("Export Replay button clicked.");
+            downloadJSON('robo-factory-replay.json', controlCallbacks.onExportReplay());
+        });
+    }
+    if (loadReplayButton && replayFileInput && controlCallbacks.onLoadReplay) {
+        loadReplayButton.addEventListener('click', () => replayFileInput.click());
+        replayFileInput.addEventListener('change', async () => {
+            const file = replayFileInput.files[0];
+            if (!file) return;
+            Logger.log(`Loading replay file ${file.name}.`);
+            controlCallbacks.onLoadReplay(await file.text());
+            replayFileInput.value = ''; // Allow choosing the same file again
+        });
+    }
+
+    setupZoomListeners();
+
+
+    subscribeToModelEvents(boardData, robots, eventBus, deck); // Setup model listeners
+
+    // Initial check for button state after setup
+    checkProgramReady(robot);
+    Logger.log("UI Listeners set up.");
+}
+
+/** Attaches the zoom button and Ctrl+wheel listeners. */
+function setupZoomListeners() {
     if (zoomInButton) {
         zoomInButton.addEventListener('click', () => {
             zoomLevel = Math.min(MAX_ZOOM, zoomLevel + ZOOM_INCREMENT);
@@ -1367,56 +2310,70 @@ export function setupUIListeners(runProgramCallback, boardData, robot) { // Pass
             // If Ctrl is not held, do nothing and allow default scroll behavior
         }, { passive: false }); // passive:false is needed for preventDefault
     }
-
-
-    subscribeToModelEvents(boardData, robot); // Setup model listeners
-
-    // Initial check for button state after setup
-    checkProgramReady(robot);
-    Logger.log("UI Listeners set up.");
 }
 
-function subscribeToModelEvents(boardData, robot) { // Pass needed static data like gridCols
-    on('robotMoved', ({ row, col, orientation }) => {
-        updateRobotVisualsUI(row, col, orientation);
-        // Redraw laser beams whenever the robot moves
-        drawLaserBeams(boardData, { row, col, orientation });
+function subscribeToModelEvents(boardData, robots, eventBus, deck) {
+    const handRobot = robots[0];
+    const isMultiRobot = robots.length > 1;
+    const currentRobotStates = () => robots.filter(robot => !robot.isDestroyed()).map(robot => robot.getRobotState());
+
+    eventBus.on('robotMoved', ({ robotId, row, col, orientation }) => {
+        updateRobotVisualsUI(robotId, row, col, orientation);
+        // Redraw laser beams whenever a robot moves
+        drawLaserBeams(boardData, currentRobotStates());
+    });
+    eventBus.on('robotTurned', ({ robotId, row, col, orientation }) => {
+        updateRobotVisualsUI(robotId, row, col, orientation); // Same UI update needed
+        // Robot lasers fire forward, so turning redirects the robot's beam
+        drawLaserBeams(boardData, currentRobotStates());
     });
-    on('robotTurned', ({ row, col, orientation }) => {
-        updateRobotVisualsUI(row, col, orientation); // Same UI update needed
+    eventBus.on('programStepChanged', () => {
+        drawLaserBeams(boardData, currentRobotStates()); // Redraws toggle walls in their new state
     });
-    on('healthChanged', ({ health, maxHealth }) => {
-        updateHealthUI(health, maxHealth);
+    eventBus.on('healthChanged', ({ robotId, health, maxHealth }) => {
+        updateHealthUI(robotId, health, maxHealth);
     });
-    on('livesChanged', (lives) => { // Listen for lives changes
-        updateLivesUI(lives);
+    eventBus.on('livesChanged', ({ robotId, lives }) => { // Listen for lives changes
+        updateLivesUI(robotId, lives);
     });
-    on('powerDownIntentChanged', (intent) => { // Listen for power down intent changes
-        updatePowerDownStatusUI(intent, robot.getIsPoweredDown());
+    eventBus.on('robotDestroyed', ({ robotId }) => {
+        markRobotDestroyedUI(robotId);
+        drawLaserBeams(boardData, currentRobotStates());
     });
-    on('isPoweredDownChanged', (isPoweredDown) => { // Listen for isPoweredDown changes
-        updatePowerDownStatusUI(robot.getPowerDownIntent(), isPoweredDown);
+    eventBus.on('powerDownIntentChanged', ({ robotId, powerDownIntent }) => { // Listen for power down intent changes
+        if (robotId !== handRobot.id) return;
+        updatePowerDownStatusUI(powerDownIntent, handRobot.getIsPoweredDown());
+    });
+    eventBus.on('isPoweredDownChanged', ({ robotId, isPoweredDown }) => { // Listen for isPoweredDown changes
+        drawLaserBeams(boardData, currentRobotStates()); // Powered down robots do not fire
+        if (robotId !== handRobot.id) return;
+        updatePowerDownStatusUI(handRobot.getPowerDownIntent(), isPoweredDown);
         setProgrammingUIEnabled(!isPoweredDown); // Disable programming when powered down
     });
-    on('flagVisited', (stationKey) => { // Assuming gameLoop emits this
-         updateFlagIndicatorUI(stationKey);
+    eventBus.on('flagVisited', ({ robotId, flagKey, visitedOrder }) => {
+        updateRobotFlagsUI(robotId, visitedOrder);
+        if (robotId === handRobot.id) {
+            updateFlagIndicatorUI({ flagKey, visitedOrder });
+        }
     });
-    on('gameOver', (isWin) => { // Assuming gameLoop emits this
-         showModalUI(isWin);
+    eventBus.on('gameOver', ({ isWin, robotId }) => {
+         showModalUI(isWin, robotId, isMultiRobot);
     });
-    on('handUpdated', (handData) => {
-        updateHandUI(handData, robot); // Pass robot instance
-        checkProgramReady(robot); // Check button state whenever hand changes (might be empty)
+    eventBus.on('handUpdated', (handData) => {
+        updateHandUI(handData, handRobot); // Pass robot instance
+        checkProgramReady(handRobot); // Check button state whenever hand changes (might be empty)
     });
-    on('cardCountsUpdated', (counts) => {
+    eventBus.on('cardCountsUpdated', (counts) => {
         updateDebugCountsUI(counts);
     });
-    on('programExecutionFinished', () => {
+    eventBus.on('programExecutionFinished', () => {
         Logger.log("UI: Received programExecutionFinished event. Resetting slots.");
-        resetProgramSlotsUI();
+        resetProgramSlotsUI(handRobot);
+        updateGhostPathUI(boardData, robots, deck); // Only locked registers are left to predict
         // Also ensure the run button is disabled after reset, as the program is no longer full
         // checkProgramReady() might be called by handUpdated, but let's be explicit
         updateButtonStateUI(false);
+        updateSaveButtonStateUI(true);
     });
     Logger.log("UI subscribed to model events.");
 }